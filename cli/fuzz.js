@@ -0,0 +1,349 @@
+/**
+ * Turing Soup - differential fuzzer for the JS and WASM interpreters
+ *
+ * Usage: node cli/fuzz.js [--cases n] [--seed s] [--language id] [--heads r] [--ip r] [--brackets r]
+ *                         [--region-size n] [--max-steps n]
+ *
+ * Runs random and adversarial tape pairs through BFFInterpreter (what the
+ * pair debugger steps) and through execute_pair (what the soup runs), and
+ * compares final tapes, step counts, halt reasons and per-category counters,
+ * under every tape topology unless one is fixed by flags.
+ * Exits with status 1 if any case differs.
+ */
+
+import { parseArgs } from 'node:util';
+import { Tape } from '../js/tape.js';
+import { BFFInterpreter, HALT_REASONS } from '../js/bff.js';
+import { Random } from '../js/rng.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, getLanguage } from '../js/languages.js';
+import { TOPOLOGY_OPTIONS, normalizeTopology, encodeTopology, describeTopology } from '../js/topology.js';
+import { traceInterpreter, traceWasm } from '../js/trace.js';
+import * as wasm from '../js/wasm-bridge.js';
+import { loadWasmModule } from './node-runtime.js';
+
+const HELP = `Usage: node cli/fuzz.js [options]
+
+Runs random and adversarial tape pairs through the JS interpreter and the
+WASM interpreter and reports every case where they disagree.
+
+Options:
+  --cases <n>         Number of cases (default 10000)
+  --seed <n>          Case generator seed (default: random)
+  --language <id>     Instruction set: ${Object.keys(LANGUAGES).join(', ')} (default ${DEFAULT_LANGUAGE})
+  --heads <rule>      Only this head rule: ${TOPOLOGY_OPTIONS.heads.join(', ')} (default: all)
+  --ip <rule>         Only this IP rule: ${TOPOLOGY_OPTIONS.ip.join(', ')} (default: all)
+  --brackets <rule>   Only this bracket rule: ${TOPOLOGY_OPTIONS.brackets.join(', ')} (default: all)
+  --region-size <n>   Tape length in bytes (default 64)
+  --max-steps <n>     Step limit for random cases (default ${BFFInterpreter.MAX_STEPS})
+  --show <n>          Mismatches to print in detail (default 5)
+  -h, --help          Show this help
+`;
+
+const COUNTERS = ['head0Count', 'head1Count', 'mathCount', 'copyCount', 'loopCount'];
+
+/**
+ * Every topology allowed by the flags
+ * @param {Object} fixed - Rule -> choice for the rules given on the command line
+ * @returns {Array<Object>} Topologies
+ */
+function topologyCombinations(fixed) {
+  let combinations = [{}];
+  for (const [rule, choices] of Object.entries(TOPOLOGY_OPTIONS)) {
+    const allowed = fixed[rule] === undefined ? choices : [fixed[rule]];
+    combinations = combinations.flatMap(partial => allowed.map(choice => ({ ...partial, [rule]: choice })));
+  }
+  return combinations.map(topology => normalizeTopology(topology));
+}
+
+/**
+ * Fill a tape with random bytes, a given share of them instructions
+ * @param {Random} rng
+ * @param {number} length - Tape length
+ * @param {number} density - Probability that a cell is an instruction
+ * @param {number[]} opcodes - Instruction bytes of the language
+ * @returns {Uint8Array}
+ */
+function randomTape(rng, length, density, opcodes) {
+  const tape = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    tape[i] = rng.next() < density
+      ? opcodes[rng.nextInt(opcodes.length)]
+      : rng.nextInt(256);
+  }
+  return tape;
+}
+
+/**
+ * Turn program text into a zero-padded tape
+ * @param {string} text
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function programTape(text, length) {
+  const tape = new Uint8Array(length);
+  for (let i = 0; i < Math.min(text.length, length); i++) {
+    tape[i] = text.charCodeAt(i);
+  }
+  return tape;
+}
+
+/**
+ * Adversarial cases: edges of the halting rules and head arithmetic
+ *
+ * Written in BFF; other languages share the heads, brackets and step limit,
+ * so the same bytes still probe them there. Every case runs under each topology.
+ * @param {number} regionSize
+ * @param {number} maxSteps
+ * @param {Array<Object>} topologies
+ * @returns {Array<Object>} Cases as {name, tape, head1Offset, maxSteps, topology}
+ */
+function adversarialCases(regionSize, maxSteps, topologies) {
+  const size = regionSize * 2;
+  const cases = [];
+  const add = (name, tape, head1Offset = regionSize, steps = maxSteps) => {
+    for (const topology of topologies) {
+      cases.push({ name, tape, head1Offset, maxSteps: steps, topology });
+    }
+  };
+
+  add('empty tape', new Uint8Array(size));
+  add('no instructions', new Uint8Array(size).fill(0x41));
+  add('zero step limit', programTape('+', size), regionSize, 0);
+  add('one step limit', programTape('+', size), regionSize, 1);
+
+  // Brackets at the very edges of the tape
+  add('unmatched [ at start', programTape('[', size));
+  add('unmatched ] at start', programTape('+]', size));
+  const lastOpen = new Uint8Array(size);
+  lastOpen[size - 1] = '['.charCodeAt(0);
+  add('[ on last cell', lastOpen);
+  const lastClose = programTape('+', size);
+  lastClose[size - 1] = ']'.charCodeAt(0);
+  add('] on last cell', lastClose);
+  add('deep nesting', programTape('['.repeat(size / 2) + ']'.repeat(size / 2), size));
+  add('deep nesting, one short', programTape('+' + '['.repeat(size / 2) + ']'.repeat(size / 2 - 2), size));
+
+  // Loops that never exit hit the step limit
+  add('infinite loop', programTape('+[]', size));
+  add('infinite copy loop', programTape('+[.}>]', size));
+
+  // Programs whose last instruction runs on exactly the last allowed step
+  for (const length of [1, 2, size - 1, size]) {
+    add(`ends at step limit (${length})`, programTape('>'.repeat(length), size), regionSize, length);
+  }
+
+  // Head arithmetic around the wrap point
+  add('head0 wraps backwards', programTape('<<<+.,-', size));
+  add('head1 wraps backwards', programTape('{{{.+,', size), 0);
+  add('head1 offset past tape', programTape('.}.}.', size), size * 3 + 5);
+  add('head1 offset at tape end', programTape('{.', size), size);
+  add('heads overlap', programTape('+.,+.,', size), 0);
+  add('head0 leaves the end', programTape('[>]', size).fill(1, 3));
+  add('head1 leaves the end', programTape('}}.', size), size - 2);
+
+  // IP and brackets across the tape ends
+  add('ip runs off the end', programTape('+', size).fill(0x3E, size - 4));
+  add('] matches [ on last cell', (() => {
+    const tape = programTape('+]', size);
+    tape[size - 1] = '['.charCodeAt(0);
+    return tape;
+  })());
+  add('[ matches ] on first cell', (() => {
+    const tape = programTape(']', size);
+    tape[size - 1] = '['.charCodeAt(0);
+    return tape;
+  })());
+
+  // Stack languages: popping the empty stack and wrapping a full one
+  add('pop empty stack', programTape('$~:-+!', size));
+  add('stack overflow', programTape('1'.repeat(40) + '+!}!', size));
+  add('stack copy loop', programTape('1[@!>}1]', size));
+
+  return cases;
+}
+
+/**
+ * Random case: instruction-dense, sparse or uniform bytes, with varied offsets and limits
+ * @param {Random} rng
+ * @param {number} regionSize
+ * @param {number} maxSteps
+ * @param {number[]} opcodes - Instruction bytes of the language
+ * @param {Array<Object>} topologies - One is drawn per case
+ * @returns {Object} Case as {name, tape, head1Offset, maxSteps, topology}
+ */
+function randomCase(rng, regionSize, maxSteps, opcodes, topologies) {
+  const size = regionSize * 2;
+  const kinds = [
+    ['uniform', 10 / 256],
+    ['dense', 0.9],
+    ['sparse', 0.1],
+  ];
+  const [kind, density] = kinds[rng.nextInt(kinds.length)];
+
+  // Mostly the soup's own settings, sometimes other offsets and short limits
+  const head1Offset = rng.next() < 0.75 ? regionSize : rng.nextInt(size * 2);
+  const steps = rng.next() < 0.75 ? maxSteps : rng.nextInt(256);
+  const topology = topologies[rng.nextInt(topologies.length)];
+  return { name: kind, tape: randomTape(rng, size, density, opcodes), head1Offset, maxSteps: steps, topology };
+}
+
+/**
+ * Run a case through both interpreters
+ * @param {Object} testCase
+ * @param {number} regionSize
+ * @param {Language} language
+ * @returns {Array<string>} Differences (empty if they agree)
+ */
+function compare(testCase, regionSize, language) {
+  const { tape, head1Offset, maxSteps, topology } = testCase;
+
+  const interpreter = new BFFInterpreter(Tape.fromArray(tape), { head1Offset, maxSteps, language, topology, recordHistory: false });
+  interpreter.run();
+  const js = {
+    steps: interpreter.stepCount,
+    haltReason: interpreter.haltReason,
+    tape: interpreter.tape.toArray(),
+  };
+  for (const counter of COUNTERS) {
+    js[counter] = interpreter[counter];
+  }
+
+  const result = wasm.executePair(tape, 0, regionSize, regionSize, head1Offset, maxSteps, language.code, encodeTopology(topology));
+  const native = { ...result, haltReason: HALT_REASONS[result.haltReason] };
+
+  const differences = [];
+  for (const key of ['steps', 'haltReason', ...COUNTERS]) {
+    if (js[key] !== native[key]) {
+      differences.push(`${key}: js ${js[key]}, wasm ${native[key]}`);
+    }
+  }
+  const cell = js.tape.findIndex((byte, i) => byte !== native.tape[i]);
+  if (cell !== -1) {
+    differences.push(`tape[${cell}]: js ${js.tape[cell]}, wasm ${native.tape[cell]}`);
+  }
+  return differences;
+}
+
+/**
+ * Find the first step where the two traces disagree
+ * @param {Object} testCase
+ * @param {Language} language
+ * @returns {string} Description, or why it could not be found
+ */
+function firstDivergence(testCase, language) {
+  const { tape, head1Offset, maxSteps, topology } = testCase;
+  let native;
+  try {
+    native = traceWasm(tape, head1Offset, maxSteps, language, topology);
+  } catch (e) {
+    return `no WASM trace (${e.message}); rebuild with make build`;
+  }
+  const js = traceInterpreter(tape, head1Offset, maxSteps, language, topology);
+
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const length = Math.max(js.steps.length, native.steps.length);
+  for (let i = 0; i < length; i++) {
+    if (!same(js.steps[i], native.steps[i])) {
+      return `first divergent step ${i + 1}:\n      js   ${JSON.stringify(js.steps[i] ?? null)}\n      wasm ${JSON.stringify(native.steps[i] ?? null)}`;
+    }
+  }
+  return 'traces agree step for step; results differ after the last step';
+}
+
+/**
+ * Print a mismatching case so it can be replayed in the pair debugger
+ * @param {Object} testCase
+ * @param {Array<string>} differences
+ * @param {Language} language
+ */
+function report(testCase, differences, language) {
+  console.log(`MISMATCH ${testCase.name} (head1Offset ${testCase.head1Offset}, maxSteps ${testCase.maxSteps}, ${describeTopology(testCase.topology)})`);
+  console.log(`  tape: ${Buffer.from(testCase.tape).toString('hex')}`);
+  for (const difference of differences) {
+    console.log(`  ${difference}`);
+  }
+  console.log(`  ${firstDivergence(testCase, language)}`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      cases: { type: 'string', default: '10000' },
+      seed: { type: 'string' },
+      language: { type: 'string', default: DEFAULT_LANGUAGE },
+      heads: { type: 'string' },
+      ip: { type: 'string' },
+      brackets: { type: 'string' },
+      'region-size': { type: 'string', default: '64' },
+      'max-steps': { type: 'string', default: String(BFFInterpreter.MAX_STEPS) },
+      show: { type: 'string', default: '5' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  const cases = Number(values.cases);
+  const regionSize = Number(values['region-size']);
+  const maxSteps = Number(values['max-steps']);
+  const show = Number(values.show);
+  const seed = values.seed === undefined ? Random.randomSeed() : Random.parseSeed(values.seed);
+  if (seed === null) {
+    throw new Error(`--seed must be an integer, got "${values.seed}"`);
+  }
+  for (const [flag, value] of [['cases', cases], ['region-size', regionSize], ['max-steps', maxSteps], ['show', show]]) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`--${flag} must be a non-negative integer, got "${values[flag]}"`);
+    }
+  }
+  if (regionSize < 2) {
+    throw new Error('--region-size must be at least 2');
+  }
+
+  const language = getLanguage(values.language);
+  const combinations = topologyCombinations(values);
+
+  await wasm.initWasm(await loadWasmModule());
+  if (!wasm.isLanguageSupported(language.code)) {
+    throw new Error(`This WASM build cannot run ${language.name}; rebuild it with make build`);
+  }
+  // Skip topologies an older build cannot run instead of failing the run;
+  // only fail when none of the requested ones are left
+  const topologies = combinations.filter(topology => wasm.isTopologySupported(encodeTopology(topology)));
+  if (topologies.length === 0) {
+    throw new Error(`This WASM build cannot run with ${describeTopology(combinations[0])}; rebuild it with make build`);
+  }
+  if (topologies.length < combinations.length) {
+    console.error(`Skipping ${combinations.length - topologies.length} of ${combinations.length} topologies this WASM build cannot run; rebuild it with make build`);
+  }
+
+  const opcodes = Object.values(language.instructions).map(spec => spec.byte);
+  const rng = new Random(seed);
+  const all = adversarialCases(regionSize, maxSteps, topologies);
+  for (let i = 0; i < cases; i++) {
+    all.push(randomCase(rng, regionSize, maxSteps, opcodes, topologies));
+  }
+
+  let mismatches = 0;
+  for (const testCase of all) {
+    const differences = compare(testCase, regionSize, language);
+    if (differences.length === 0) continue;
+    mismatches++;
+    if (mismatches <= show) {
+      report(testCase, differences, language);
+    }
+  }
+
+  console.log(`${all.length} ${language.name} cases (seed ${seed}): ${mismatches} mismatches`);
+  if (mismatches > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,77 @@
+/**
+ * Node runtime adapters
+ *
+ * Lets PopulationWasm run without a browser: worker_threads stand in for Web
+ * Workers and the WASM module is read from disk instead of fetched.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { readFile } from 'node:fs/promises';
+import os from 'node:os';
+
+const WASM_PATH = new URL('../wasm/pkg/turing_soup_wasm_bg.wasm', import.meta.url);
+const THREAD_ENTRY = new URL('./worker-thread.js', import.meta.url);
+
+/**
+ * Minimal Web Worker facade over a worker_threads Worker
+ */
+class NodeWorker {
+  /**
+   * @param {URL} url - Browser worker script to run
+   */
+  constructor(url) {
+    this.worker = new Worker(THREAD_ENTRY, { workerData: { script: url.href } });
+    this.listeners = new Map();  // listener -> wrapped EventEmitter handler
+  }
+
+  addEventListener(type, listener) {
+    // Uncaught errors arrive as Error objects; browsers pass an ErrorEvent with a message
+    const wrapped = type === 'error'
+      ? (error) => listener({ message: error?.message ?? String(error), error })
+      : (data) => listener({ data });
+    this.listeners.set(listener, wrapped);
+    this.worker.on(type, wrapped);
+  }
+
+  removeEventListener(type, listener) {
+    const wrapped = this.listeners.get(listener);
+    if (wrapped) {
+      this.listeners.delete(listener);
+      this.worker.off(type, wrapped);
+    }
+  }
+
+  postMessage(message) {
+    this.worker.postMessage(message);
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
+
+/**
+ * Worker factory for WorkerPool
+ * @param {URL} url - Worker script URL
+ * @returns {NodeWorker}
+ */
+export function createNodeWorker(url) {
+  return new NodeWorker(url);
+}
+
+/**
+ * Compile the WASM module from disk (shared by the main thread and all workers)
+ * @returns {Promise<WebAssembly.Module>}
+ */
+export async function loadWasmModule() {
+  return WebAssembly.compile(await readFile(WASM_PATH));
+}
+
+/**
+ * Default worker count: all cores but one, at least one
+ * @returns {number}
+ */
+export function defaultWorkerCount() {
+  const cores = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
@@ -0,0 +1,56 @@
+/**
+ * Sample output formatting shared by the CLI entry points
+ */
+
+/**
+ * CSV columns for metric samples: [column name, sample key]
+ */
+export const SAMPLE_COLUMNS = [
+  ['epoch', 'epoch'],
+  ['pairs', 'pairs'],
+  ['shannon', 'shannon'],
+  ['kolmogorov', 'kolmogorov'],
+  ['high_order', 'highOrder'],
+  ['head0', 'head0'],
+  ['head1', 'head1'],
+  ['math', 'math'],
+  ['copy', 'copy'],
+  ['loop', 'loop'],
+  ['steps', 'steps'],
+  ['max_step_halts', 'maxStepHalts'],
+  ['tape_mutations', 'tapeMutations'],
+  ['cosmic_mutations', 'cosmicMutations'],
+  ['epochs_per_sec', 'epochsPerSec'],
+];
+
+/**
+ * Format one CSV cell (integers as-is, floats to 6 decimals, missing as empty)
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'number') return String(value);
+  return Number.isInteger(value) ? String(value) : value.toFixed(6);
+}
+
+/**
+ * CSV header line for samples
+ * @returns {string}
+ */
+export function sampleCsvHeader() {
+  return SAMPLE_COLUMNS.map(([name]) => name).join(',');
+}
+
+/**
+ * Format a sample as one output line
+ * @param {Object} sample - Sample from runSoup()
+ * @param {'csv'|'jsonl'} format
+ * @returns {string}
+ */
+export function formatSample(sample, format) {
+  if (format === 'jsonl') {
+    return JSON.stringify(sample);
+  }
+  return SAMPLE_COLUMNS.map(([, key]) => csvCell(sample[key])).join(',');
+}
@@ -0,0 +1,154 @@
+/**
+ * Headless soup runner
+ *
+ * Drives PopulationWasm in Node with worker_threads, emitting metric samples
+ * at a fixed epoch interval. Shared by the CLI entry points.
+ */
+
+import { PopulationWasm } from '../js/population-wasm.js';
+import { createNodeWorker, loadWasmModule, defaultWorkerCount } from './node-runtime.js';
+
+/**
+ * Default run configuration (matches the browser defaults at 1000x speed)
+ */
+export const DEFAULT_CONFIG = {
+  width: 64,
+  height: 32768,
+  regionSize: 64,
+  language: 'bff',       // instruction set, see js/languages.js
+  seed: null,            // null = random
+  epochs: 1000,
+  mutationRate: 0.00024,
+  mutationType: 'uniform', // see js/mutation.js
+  mutationStdDev: 16,    // gaussian mutation delta
+  cosmicRate: 0,         // background per-byte mutation probability per epoch
+  alignment: 64,
+  localityLimit: null,   // null = any
+  head1Offset: 32,
+  maxSteps: 8192,
+  heads: 'wrap',         // tape edge rules, see js/topology.js
+  ip: 'halt',
+  brackets: 'bounded',
+  pairsPerStep: 10000,
+  deterministic: false,
+  workers: null,         // null = all cores but one
+  sampleEvery: 1,        // epochs between samples
+};
+
+let wasmModulePromise = null;
+
+/**
+ * Wait briefly so worker results can be delivered
+ * @returns {Promise<void>}
+ */
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 1));
+}
+
+/**
+ * Take a metrics sample from a population
+ * @param {PopulationWasm} population
+ * @param {number} startTime - performance.now() at run start
+ * @returns {Object} Sample row
+ */
+function takeSample(population, startTime) {
+  const complexity = population.complexityHistory[population.complexityHistory.length - 1];
+  const mutations = population.mutationHistory[population.mutationHistory.length - 1];
+  const halts = population.haltHistory[population.haltHistory.length - 1];
+  const elapsed = (performance.now() - startTime) / 1000;
+  return {
+    epoch: population.generation,
+    pairs: population.completedPairs,
+    shannon: complexity.shannon,
+    kolmogorov: complexity.kolmogorov,
+    highOrder: complexity.highOrder,
+    head0: population.head0EMA,
+    head1: population.head1EMA,
+    math: population.mathEMA,
+    copy: population.copyEMA,
+    loop: population.loopEMA,
+    steps: population.stepsEMA,
+    maxStepHalts: halts?.max_steps,
+    tapeMutations: mutations?.tape,
+    cosmicMutations: mutations?.cosmic,
+    epochsPerSec: elapsed > 0 ? population.generation / elapsed : 0,
+  };
+}
+
+/**
+ * Run one soup to the configured epoch count
+ * @param {Object} options - Overrides for DEFAULT_CONFIG
+ * @param {Object} hooks
+ * @param {function(Object): void} hooks.onSample - Called with each metrics sample
+ * @returns {Promise<{config: Object, seed: number, final: Object, elapsed: number, workers: Array<{pairs: number, busyMs: number}>}>}
+ *   Resolved config, seed used, last sample, run time in seconds and per-worker throughput
+ */
+export async function runSoup(options = {}, { onSample = () => {} } = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+
+  if (!wasmModulePromise) {
+    wasmModulePromise = loadWasmModule();
+  }
+  const wasmModule = await wasmModulePromise;
+
+  const population = new PopulationWasm(config.width, config.height, config.regionSize, {
+    numWorkers: config.workers ?? defaultWorkerCount(),
+    createWorker: createNodeWorker,
+    wasmModule,
+    language: config.language,
+    topology: { heads: config.heads, ip: config.ip, brackets: config.brackets },
+  });
+
+  try {
+    await population.initialize(config.seed ?? undefined);
+    population.setMutationParams(config.mutationRate, config.mutationType, config.mutationStdDev);
+    population.cosmicRate = config.cosmicRate;
+    population.alignment = config.alignment;
+    population.localityLimit = config.localityLimit;
+    population.head1Offset = config.head1Offset;
+    population.maxSteps = config.maxSteps;
+    population.pairsPerStep = config.pairsPerStep;
+    population.deterministic = config.deterministic;
+    population.updateComplexity();
+
+    const startTime = performance.now();
+    let last = takeSample(population, startTime);
+    onSample(last);
+    let nextSample = config.sampleEvery;
+
+    // Stop on the exact pair count of the target epoch
+    const pairLimit = Math.round(config.epochs * population.numTapes);
+    while (population.completedPairs < pairLimit) {
+      if (population.lastError) {
+        throw new Error(`Execution failed at epoch ${population.generation.toFixed(2)}: ${population.lastError.message}`);
+      }
+      const before = population.dispatchedPairs;
+      population.soupStep(pairLimit);
+      if (population.dispatchedPairs === before) {
+        // At the in-flight limit: let workers report back
+        await tick();
+      }
+
+      if (population.generation >= nextSample) {
+        last = takeSample(population, startTime);
+        onSample(last);
+        nextSample = (Math.floor(population.generation / config.sampleEvery) + 1) * config.sampleEvery;
+      }
+    }
+
+    // The loop normally took the final sample already; only sample again if
+    // batches still settling changed the count, with complexity measured on
+    // the final soup rather than kept from the last history point
+    await population.drain();
+    if (population.completedPairs !== last.pairs) {
+      population.updateComplexity();
+      last = takeSample(population, startTime);
+      onSample(last);
+    }
+
+    const elapsed = (performance.now() - startTime) / 1000;
+    return { config, seed: population.seed, final: last, elapsed, workers: population.workerStats() };
+  } finally {
+    population.dispose();
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Turing Soup - headless command-line runner
+ *
+ * Usage: node cli/soup.js [--config run.json] [options]
+ * Run with --help for the option list.
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { createWriteStream } from 'node:fs';
+import { runSoup, DEFAULT_CONFIG } from './runner.js';
+import { formatSample, sampleCsvHeader } from './output.js';
+import { LANGUAGES } from '../js/languages.js';
+import { TOPOLOGY_OPTIONS } from '../js/topology.js';
+import { MUTATION_TYPES } from '../js/mutation.js';
+
+const NUMERIC_OPTIONS = {
+  'width': 'width',
+  'height': 'height',
+  'region-size': 'regionSize',
+  'seed': 'seed',
+  'epochs': 'epochs',
+  'mutation-rate': 'mutationRate',
+  'mutation-std-dev': 'mutationStdDev',
+  'cosmic-rate': 'cosmicRate',
+  'alignment': 'alignment',
+  'locality': 'localityLimit',
+  'head1-offset': 'head1Offset',
+  'max-steps': 'maxSteps',
+  'pairs-per-step': 'pairsPerStep',
+  'workers': 'workers',
+  'sample-every': 'sampleEvery',
+};
+
+const HELP = `Usage: node cli/soup.js [options]
+
+Runs a Turing Soup without a browser and writes metric samples.
+
+Options:
+  --config <file>         JSON file with run settings (camelCase keys); flags override it
+  --epochs <n>            Epochs to run (default ${DEFAULT_CONFIG.epochs})
+  --seed <n>              Run seed (default: random)
+  --width <n>             Soup width in bytes (default ${DEFAULT_CONFIG.width})
+  --height <n>            Soup height in rows (default ${DEFAULT_CONFIG.height})
+  --region-size <n>       Tape length in bytes (default ${DEFAULT_CONFIG.regionSize})
+  --language <id>         Instruction set: ${Object.keys(LANGUAGES).join(', ')} (default ${DEFAULT_CONFIG.language})
+  --mutation-rate <p>     Per-byte mutation probability (default ${DEFAULT_CONFIG.mutationRate})
+  --mutation-type <t>     Mutation model: ${Object.keys(MUTATION_TYPES).join(', ')} (default ${DEFAULT_CONFIG.mutationType})
+  --mutation-std-dev <n>  Std dev of gaussian mutation deltas (default ${DEFAULT_CONFIG.mutationStdDev})
+  --cosmic-rate <p>       Background per-byte mutation probability per epoch (default ${DEFAULT_CONFIG.cosmicRate})
+  --alignment <n>         Selection alignment in bytes (default ${DEFAULT_CONFIG.alignment})
+  --locality <n>          Max aligned positions between paired tapes (default: any)
+  --head1-offset <n>      Initial head1 position (default ${DEFAULT_CONFIG.head1Offset})
+  --max-steps <n>         Step limit per execution (default ${DEFAULT_CONFIG.maxSteps})
+  --heads <rule>          Heads at the tape ends: ${TOPOLOGY_OPTIONS.heads.join(', ')} (default ${DEFAULT_CONFIG.heads})
+  --ip <rule>             IP past the tape end: ${TOPOLOGY_OPTIONS.ip.join(', ')} (default ${DEFAULT_CONFIG.ip})
+  --brackets <rule>       Bracket matching: ${TOPOLOGY_OPTIONS.brackets.join(', ')} (default ${DEFAULT_CONFIG.brackets})
+  --pairs-per-step <n>    Pairs per dispatched batch (default ${DEFAULT_CONFIG.pairsPerStep})
+  --workers <n>           Worker threads (default: cores - 1)
+  --deterministic         Bit-for-bit repeatable execution (slower)
+  --sample-every <n>      Epochs between samples (default ${DEFAULT_CONFIG.sampleEvery})
+  --format <csv|jsonl>    Output format (default csv)
+  --out <file>            Write samples to a file instead of stdout
+  -h, --help              Show this help
+`;
+
+/**
+ * Build the run configuration from a config file and command-line flags
+ * @param {string[]} argv - Command-line arguments
+ * @returns {Promise<{config: Object, format: string, out: string|undefined}|null>} null if help was requested
+ */
+async function parseCommandLine(argv) {
+  const options = {
+    config: { type: 'string' },
+    format: { type: 'string', default: 'csv' },
+    out: { type: 'string' },
+    language: { type: 'string' },
+    'mutation-type': { type: 'string' },
+    heads: { type: 'string' },
+    ip: { type: 'string' },
+    brackets: { type: 'string' },
+    deterministic: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+  };
+  for (const flag of Object.keys(NUMERIC_OPTIONS)) {
+    options[flag] = { type: 'string' };
+  }
+
+  const { values } = parseArgs({ args: argv, options });
+  if (values.help) return null;
+
+  const config = values.config ? JSON.parse(await readFile(values.config, 'utf8')) : {};
+  for (const [flag, key] of Object.entries(NUMERIC_OPTIONS)) {
+    if (values[flag] === undefined) continue;
+    const value = Number(values[flag]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`--${flag} must be a number, got "${values[flag]}"`);
+    }
+    config[key] = value;
+  }
+  if (values.deterministic) config.deterministic = true;
+  for (const key of ['language', ...Object.keys(TOPOLOGY_OPTIONS)]) {
+    if (values[key] !== undefined) config[key] = values[key];
+  }
+  if (values['mutation-type'] !== undefined) config.mutationType = values['mutation-type'];
+
+  if (values.format !== 'csv' && values.format !== 'jsonl') {
+    throw new Error(`--format must be csv or jsonl, got "${values.format}"`);
+  }
+  return { config, format: values.format, out: values.out };
+}
+
+async function main() {
+  const parsed = await parseCommandLine(process.argv.slice(2));
+  if (!parsed) {
+    process.stdout.write(HELP);
+    return;
+  }
+  const { config, format, out } = parsed;
+
+  const output = out ? createWriteStream(out) : process.stdout;
+  if (format === 'csv') {
+    output.write(sampleCsvHeader() + '\n');
+  }
+
+  const { seed, final, elapsed, workers } = await runSoup(config, {
+    onSample: sample => output.write(formatSample(sample, format) + '\n'),
+  });
+  console.error(`Done: seed ${seed}, epoch ${final.epoch.toFixed(2)}, H-K ${final.highOrder.toFixed(3)}, ${final.epochsPerSec.toFixed(1)} e/s`);
+  // Pairs per second of busy time, and the share of the run each worker was busy
+  console.error(`Workers: ${workers.map(({ pairs, busyMs }, i) =>
+    `#${i} ${busyMs > 0 ? Math.round(pairs / busyMs * 1000) : 0} pairs/s ${(busyMs / 10 / elapsed).toFixed(0)}% busy`).join(', ')}`);
+
+  if (out) {
+    await new Promise(resolve => output.end(resolve));
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,134 @@
+/**
+ * Turing Soup - parameter sweep runner
+ *
+ * Usage: node cli/sweep.js <sweep.json> [--out-dir dir] [--workers n]
+ *
+ * Runs one soup per point of a parameter grid and writes:
+ *   <outDir>/summary.csv     one row per run: parameters, epochs to transition, final metrics
+ *   <outDir>/runs/<id>.csv   metric trajectory of each run
+ *
+ * Sweep file example:
+ *   {
+ *     "base": { "epochs": 5000, "height": 8192 },
+ *     "grid": { "mutationRate": [0.0001, 0.00024, 0.001], "seed": [1, 2, 3, 4] },
+ *     "transition": { "highOrder": 1.0, "copy": 32 },
+ *     "outDir": "sweep-results"
+ *   }
+ *
+ * Any run setting (see DEFAULT_CONFIG in runner.js) may be a grid axis, e.g.
+ * mutationRate, mutationType, mutationStdDev, cosmicRate, localityLimit, alignment,
+ * regionSize, head1Offset, maxSteps, seed, language, heads, ip, brackets.
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { runSoup } from './runner.js';
+import { formatSample, sampleCsvHeader, csvCell } from './output.js';
+import { TransitionDetector } from '../js/transition-detector.js';
+
+const HELP = `Usage: node cli/sweep.js <sweep.json> [options]
+
+Runs one soup per combination of the grid in the sweep file and writes a
+summary table plus a metric trajectory per run.
+
+Options:
+  --out-dir <dir>   Output directory (overrides "outDir" in the sweep file)
+  --workers <n>     Worker threads per run (default: cores - 1)
+  -h, --help        Show this help
+`;
+
+/**
+ * Expand a grid of value lists into every combination
+ * @param {Object<string, Array>} grid - Setting name -> values
+ * @returns {Array<Object>} One settings object per combination
+ */
+function expandGrid(grid) {
+  let points = [{}];
+  for (const [key, values] of Object.entries(grid)) {
+    const list = Array.isArray(values) ? values : [values];
+    points = points.flatMap(point => list.map(value => ({ ...point, [key]: value })));
+  }
+  return points;
+}
+
+/**
+ * Find the first phase transition, as the browser's detector would report it
+ * @param {Array<Object>} samples - Samples in epoch order
+ * @param {Object} thresholds - Overrides for DEFAULT_TRANSITION_THRESHOLDS
+ * @returns {number|null} Epoch of the transition, or null if never reached
+ */
+function findTransition(samples, thresholds) {
+  const detector = new TransitionDetector(thresholds);
+  for (const sample of samples) {
+    const event = detector.update(sample);
+    if (event?.type === 'transition') {
+      return event.epoch;
+    }
+  }
+  return null;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      'out-dir': { type: 'string' },
+      workers: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help || positionals.length !== 1) {
+    process.stdout.write(HELP);
+    if (!values.help) process.exitCode = 1;
+    return;
+  }
+
+  const sweep = JSON.parse(await readFile(positionals[0], 'utf8'));
+  const base = { ...sweep.base };
+  if (values.workers !== undefined) base.workers = Number(values.workers);
+  const thresholds = sweep.transition ?? {};
+  const outDir = values['out-dir'] ?? sweep.outDir ?? 'sweep-results';
+  const points = expandGrid(sweep.grid ?? {});
+  // Seed has its own summary column (the seed actually used, also when random)
+  const axes = Object.keys(sweep.grid ?? {}).filter(axis => axis !== 'seed');
+
+  await mkdir(path.join(outDir, 'runs'), { recursive: true });
+
+  const summaryColumns = ['run', ...axes, 'seed', 'transition_epoch', 'final_epoch',
+    'final_high_order', 'final_copy', 'final_loop', 'epochs_per_sec'];
+  const summaryRows = [summaryColumns.join(',')];
+  const summaryPath = path.join(outDir, 'summary.csv');
+
+  for (let i = 0; i < points.length; i++) {
+    const runId = `run-${String(i + 1).padStart(String(points.length).length, '0')}`;
+    const settings = { ...base, ...points[i] };
+    console.error(`[${i + 1}/${points.length}] ${runId} ${JSON.stringify(points[i])}`);
+
+    const samples = [];
+    const { seed, final } = await runSoup(settings, { onSample: sample => samples.push(sample) });
+    const transitionEpoch = findTransition(samples, thresholds);
+
+    const trajectory = [sampleCsvHeader(), ...samples.map(sample => formatSample(sample, 'csv'))];
+    await writeFile(path.join(outDir, 'runs', `${runId}.csv`), trajectory.join('\n') + '\n');
+
+    // Parameters verbatim (small rates would lose digits as fixed-point floats)
+    const params = axes.map(axis => points[i][axis] === null ? null : String(points[i][axis]));
+    const row = [runId, ...params, seed, transitionEpoch,
+      final.epoch, final.highOrder, final.copy, final.loop, final.epochsPerSec];
+    summaryRows.push(row.map(csvCell).join(','));
+    // Rewrite after every run so partial sweeps keep their results
+    await writeFile(summaryPath, summaryRows.join('\n') + '\n');
+
+    const outcome = transitionEpoch === null ? 'no transition' : `transition at epoch ${transitionEpoch.toFixed(1)}`;
+    console.error(`  ${outcome}, final H-K ${final.highOrder.toFixed(3)}`);
+  }
+
+  console.error(`Wrote ${summaryPath}`);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,16 @@
+/**
+ * Node worker_threads entry
+ *
+ * Gives a browser worker script (workerData.script) the `self` messaging API
+ * it expects, then loads it.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+
+globalThis.self = globalThis;
+self.postMessage = (message) => parentPort.postMessage(message);
+
+await import(workerData.script);
+
+// Attaching the listener starts the port; messages sent during import are queued until now
+parentPort.on('message', (data) => self.onmessage({ data }));
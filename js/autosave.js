@@ -0,0 +1,73 @@
+/**
+ * Autosave - keeps the latest run checkpoint in IndexedDB
+ *
+ * Checkpoints are snapshot files (see snapshot.js) stored under a single key,
+ * so only the most recent session can be resumed.
+ */
+
+const DB_NAME = 'turingsoup';
+const DB_VERSION = 1;
+const STORE_NAME = 'checkpoints';
+const CHECKPOINT_KEY = 'last';
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the checkpoint database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the checkpoint store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Save a checkpoint, replacing the previous one
+ * @param {Uint8Array} bytes - Snapshot file bytes
+ * @param {{epoch: number, seed: number}} info - Summary shown when offering to resume
+ * @returns {Promise<void>}
+ */
+export async function saveCheckpoint(bytes, info) {
+  await withStore('readwrite', store => store.put({ ...info, savedAt: Date.now(), bytes }, CHECKPOINT_KEY));
+}
+
+/**
+ * Load the last checkpoint
+ * @returns {Promise<{bytes: Uint8Array, epoch: number, seed: number, savedAt: number}|null>}
+ */
+export async function loadCheckpoint() {
+  const checkpoint = await withStore('readonly', store => store.get(CHECKPOINT_KEY));
+  return checkpoint || null;
+}
@@ -0,0 +1,164 @@
+/**
+ * Batch Executor for Turing Soup
+ *
+ * Runs batches of pairs on a soup with the WASM module and mutates their
+ * tapes. Used by the workers, and on the main thread when there are none
+ * (see MainThreadPool).
+ */
+
+import { Random } from './rng.js';
+import { mutateTape } from './mutation.js';
+import { selectPair } from './selection.js';
+import { HALT_REASONS, STEP_BINS, stepBin } from './bff.js';
+
+export class BatchExecutor {
+  /**
+   * Create an executor for one soup
+   * @param {Object} wasmModule - Initialized wasm-bindgen module
+   * @param {Uint8Array} soup - The soup
+   * @param {number} regionSize - Tape length
+   * @param {number|null} soupPtr - Soup address in shared WASM memory to run pairs in place
+   *   (threaded build only; default null: copy tapes in and out)
+   */
+  constructor(wasmModule, soup, regionSize, soupPtr = null) {
+    this.wasmModule = wasmModule;
+    this.soup = soup;
+    this.regionSize = regionSize;
+    this.soupPtr = soupPtr;
+  }
+
+  /**
+   * Execute a batch of pairs on the soup
+   * Each pair's tapes are mutated right after the pair runs, with a generator
+   * seeded from the batch seed and the pair's global index, so the result does
+   * not depend on which worker ran the pair.
+   * @param {Array<{a: number, b: number, index: number}>} pairs - Pairs to execute
+   * @param {number} head1Offset - Starting offset for head1
+   * @param {number} maxSteps - Max execution steps
+   * @param {number} languageCode - Language to run
+   * @param {number} topologyBits - Packed topology
+   * @param {Object|null} mutation - {rate, type, stdDev, seed}, or null for none
+   * @returns {Object} Aggregated metrics for the batch
+   */
+  execute(pairs, head1Offset, maxSteps, languageCode, topologyBits, mutation) {
+    const { wasmModule, soup, soupPtr, regionSize } = this;
+
+    // Pack pairs into byte array (8 bytes per pair: 2 x u32 little-endian)
+    const pairsData = new Uint8Array(pairs.length * 8);
+    const pairsView = new DataView(pairsData.buffer);
+    for (let i = 0; i < pairs.length; i++) {
+      pairsView.setUint32(i * 8, pairs[i].a, true);
+      pairsView.setUint32(i * 8 + 4, pairs[i].b, true);
+    }
+
+    // Single WASM call for all pairs. Each result starts with 28 bytes of stats,
+    // followed by:
+    // - in place: nothing, WASM wrote the tapes back itself
+    // - compact: a u32 count, then a u16 tape index and new value per modified byte
+    // - full (builds without execute_batch_compact): both tapes, regionSize*2 bytes
+    const mode = soupPtr !== null ? 'inPlace' : wasmModule.execute_batch_compact ? 'compact' : 'full';
+    const args = [pairsData, regionSize, head1Offset, maxSteps, languageCode, topologyBits];
+    const result = mode === 'inPlace'
+      ? wasmModule.execute_batch_in_place(soupPtr, soup.length, ...args)
+      : mode === 'compact'
+        ? wasmModule.execute_batch_compact(soup, ...args)
+        : wasmModule.execute_batch(soup, ...args);
+    const view = new DataView(result.buffer, result.byteOffset, result.byteLength);
+
+    let offset = 0;
+    let totalSteps = 0;
+    let totalHead0 = 0;
+    let totalHead1 = 0;
+    let totalMath = 0;
+    let totalCopy = 0;
+    let totalLoop = 0;
+    let mutations = 0;
+    const haltCounts = new Array(HALT_REASONS.length).fill(0);
+    const stepHistogram = new Array(STEP_BINS).fill(0);
+    const mutate = mutation !== null && mutation.rate > 0;
+
+    for (let i = 0; i < pairs.length; i++) {
+      const steps = view.getUint32(offset, true);
+      const head0Count = view.getUint32(offset + 4, true);
+      const head1Count = view.getUint32(offset + 8, true);
+      const mathCount = view.getUint32(offset + 12, true);
+      const copyCount = view.getUint32(offset + 16, true);
+      const loopCount = view.getUint32(offset + 20, true);
+      const haltReason = view.getUint32(offset + 24, true);
+      offset += 28;
+
+      // Write results back to the soup
+      const { a, b } = pairs[i];
+      if (mode === 'compact') {
+        const count = view.getUint32(offset, true);
+        offset += 4;
+        for (let k = 0; k < count; k++, offset += 3) {
+          const j = view.getUint16(offset, true);
+          soup[j < regionSize ? a + j : b + j - regionSize] = result[offset + 2];
+        }
+      } else if (mode === 'full') {
+        if (mathCount > 0 || copyCount > 0) {
+          for (let j = 0; j < regionSize; j++) {
+            soup[a + j] = result[offset + j];
+            soup[b + j] = result[offset + regionSize + j];
+          }
+        }
+        offset += regionSize * 2;
+      }
+
+      totalSteps += steps;
+      haltCounts[haltReason]++;
+      stepHistogram[stepBin(steps)]++;
+      totalHead0 += head0Count;
+      totalHead1 += head1Count;
+      totalMath += mathCount;
+      totalCopy += copyCount;
+      totalLoop += loopCount;
+
+      if (mutate) {
+        const rng = new Random(Random.deriveSeed(mutation.seed, pairs[i].index));
+        mutations += mutateTape(soup, a, regionSize, rng, mutation);
+        mutations += mutateTape(soup, b, regionSize, rng, mutation);
+      }
+    }
+
+    // Only aggregated metrics, not the data
+    return { totalSteps, totalHead0, totalHead1, totalMath, totalCopy, totalLoop, haltCounts, stepHistogram, mutations, count: pairs.length };
+  }
+
+  /**
+   * Draw a share of a batch's pairs
+   * The generator is seeded from the batch seed and the index of the first
+   * pair, so a share draws the same pairs whichever worker gets it.
+   * @param {number} count - Pairs to draw
+   * @param {Object} selection - {alignment, localityLimit, seed, firstIndex}
+   * @returns {Array<{a: number, b: number, index: number}>}
+   */
+  drawPairs(count, { alignment, localityLimit, seed, firstIndex }) {
+    const rng = new Random(Random.deriveSeed(seed, firstIndex));
+    const pairs = new Array(count);
+    for (let i = 0; i < count; i++) {
+      const pair = selectPair(rng, this.soup.length, this.regionSize, alignment, localityLimit);
+      pair.index = firstIndex + i;
+      pairs[i] = pair;
+    }
+    return pairs;
+  }
+
+  /**
+   * Draw and execute a share of a batch's pairs
+   * @param {number} count - Pairs to draw
+   * @param {Object} selection - {alignment, localityLimit, seed, firstIndex}
+   * @param {number} head1Offset - Starting offset for head1
+   * @param {number} maxSteps - Max execution steps
+   * @param {number} languageCode - Language to run
+   * @param {number} topologyBits - Packed topology
+   * @param {Object|null} mutation - {rate, type, stdDev, seed}, or null for none
+   * @returns {Object} Aggregated metrics, plus the first pair drawn as `samplePair`
+   */
+  generate(count, selection, head1Offset, maxSteps, languageCode, topologyBits, mutation) {
+    const pairs = this.drawPairs(count, selection);
+    const results = this.execute(pairs, head1Offset, maxSteps, languageCode, topologyBits, mutation);
+    return { ...results, samplePair: pairs[0] ?? null };
+  }
+}
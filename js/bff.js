@@ -1,64 +1,39 @@
 /**
  * BFFInterpreter - Brainfuck Friends interpreter
  *
- * Implements the BFF instruction set from the Turing Soup paper.
+ * Implements the BFF instruction set from the Turing Soup paper, or any
+ * other language from languages.js.
  * Uses three heads on a single tape:
  * - IP (instruction pointer): current execution position
  * - head0 (read head): for reading data
  * - head1 (write head): for writing data
+ * plus a small data stack for stack-based languages. Edge behaviour follows
+ * a topology (see topology.js).
  *
  * This is a pure interpreter with no visualization logic.
  */
 
-// BFF instruction byte values
-export const BFF_INSTRUCTIONS = {
-  '<': 0x3C,  // head0--
-  '>': 0x3E,  // head0++
-  '{': 0x7B,  // head1--
-  '}': 0x7D,  // head1++
-  '-': 0x2D,  // tape[head0]--
-  '+': 0x2B,  // tape[head0]++
-  '.': 0x2E,  // tape[head1] = tape[head0]
-  ',': 0x2C,  // tape[head0] = tape[head1]
-  '[': 0x5B,  // if tape[head0]==0, jump forward to matching ]
-  ']': 0x5D,  // if tape[head0]!=0, jump back to matching [
-};
-
-// Reverse lookup: byte value to instruction character
-export const BYTE_TO_INSTRUCTION = {};
-for (const [char, byte] of Object.entries(BFF_INSTRUCTIONS)) {
-  BYTE_TO_INSTRUCTION[byte] = char;
-}
+import { BFF, STACK_SIZE } from './languages.js';
+import { DEFAULT_TOPOLOGY } from './topology.js';
 
-// Instruction categories for visualization
-export const INSTRUCTION_CATEGORIES = {
-  'head_movement': ['<', '>', '{', '}'],
-  'arithmetic': ['+', '-'],
-  'copy': ['.', ','],
-  'control': ['[', ']'],
-};
+// Bracket bytes, shared by every language
+const OPEN_BRACKET = 0x5B;   // [
+const CLOSE_BRACKET = 0x5D;  // ]
 
-/**
- * Check if a byte value is a BFF instruction
- * @param {number} byte - Byte value 0-255
- * @returns {string|null} Instruction character or null if no-op
- */
-export function byteToInstruction(byte) {
-  return BYTE_TO_INSTRUCTION[byte] || null;
-}
+// Halt reasons by WASM code (HaltReason in wasm/src/bff.rs)
+export const HALT_REASONS = ['end_of_tape', 'max_steps', 'unmatched_bracket', 'no_instructions', 'head_out_of_bounds'];
+
+// Step-count histogram: bin 0 holds runs of 0 steps, bin k runs of [2^(k-1), 2^k)
+// steps; the last bin holds 65536, the largest step limit
+export const STEP_BINS = 18;
 
 /**
- * Get the category of an instruction
- * @param {string} instruction - Single character instruction
- * @returns {string|null} Category name or null
+ * Histogram bin of a step count
+ * @param {number} steps
+ * @returns {number} Bin index in [0, STEP_BINS)
  */
-export function getInstructionCategory(instruction) {
-  for (const [category, instructions] of Object.entries(INSTRUCTION_CATEGORIES)) {
-    if (instructions.includes(instruction)) {
-      return category;
-    }
-  }
-  return null;
+export function stepBin(steps) {
+  return Math.min(STEP_BINS - 1, 32 - Math.clz32(steps));
 }
 
 // v12 - MAX_STEPS = 8192 to match paper
@@ -68,9 +43,20 @@ export class BFFInterpreter {
   /**
    * Create a new BFF interpreter
    * @param {Tape} tape - The tape to execute on
+   * @param {Object} options
+   * @param {number} options.head1Offset - Starting head1 position (default 0; the soup uses its head1 offset)
+   * @param {number} options.maxSteps - Step limit (default MAX_STEPS)
+   * @param {boolean} options.recordHistory - Keep an undo log so steps can be reversed (default true)
+   * @param {Language} options.language - Instruction set (default BFF)
+   * @param {Object} options.topology - Edge rules from normalizeTopology (default DEFAULT_TOPOLOGY)
    */
-  constructor(tape) {
+  constructor(tape, { head1Offset = 0, maxSteps = BFFInterpreter.MAX_STEPS, recordHistory = true, language = BFF, topology = DEFAULT_TOPOLOGY } = {}) {
     this.tape = tape;
+    this.language = language;
+    this.topology = topology;
+    this.head1Offset = head1Offset;
+    this.maxSteps = maxSteps;
+    this.recordHistory = recordHistory;
     this.reset();
   }
 
@@ -80,12 +66,21 @@ export class BFFInterpreter {
   reset() {
     this.ip = 0;      // Instruction pointer
     this.head0 = 0;   // Read head
-    this.head1 = 0;   // Write head
+    this.head1 = this.head1Offset % this.tape.size;   // Write head
     this.stepCount = 0;
     this.writeCount = 0;  // Track tape modifications
     this.loopJumps = 0;   // Track backward jumps from ]
+    // Per-category counts, as reported by the WASM interpreter
+    this.head0Count = 0;  // < >
+    this.head1Count = 0;  // { }
+    this.mathCount = 0;   // + -
+    this.copyCount = 0;   // . ,
+    this.loopCount = 0;   // ] (taken or not)
+    this.stack = new Uint8Array(STACK_SIZE);  // Circular data stack (stack languages)
+    this.sp = 0;
     this.halted = false;
     this.haltReason = null;
+    this.history = [];    // Undo log: registers before each step, plus its write
   }
 
   /**
@@ -100,7 +95,7 @@ export class BFFInterpreter {
       stepCount: this.stepCount,
       halted: this.halted,
       haltReason: this.haltReason,
-      currentInstruction: byteToInstruction(this.tape.get(this.ip)),
+      currentInstruction: this.language.byteToInstruction(this.tape.get(this.ip)),
       currentByte: this.tape.get(this.ip),
     };
   }
@@ -113,123 +108,228 @@ export class BFFInterpreter {
     if (this.halted) {
       return { ...this.getState(), changed: null };
     }
+    if (!this.recordHistory) {
+      return this._execute();
+    }
+
+    const entry = {
+      ip: this.ip,
+      head0: this.head0,
+      head1: this.head1,
+      stepCount: this.stepCount,
+      writeCount: this.writeCount,
+      loopJumps: this.loopJumps,
+      head0Count: this.head0Count,
+      head1Count: this.head1Count,
+      mathCount: this.mathCount,
+      copyCount: this.copyCount,
+      loopCount: this.loopCount,
+      changed: null,
+    };
+    if (this.language.usesStack) {
+      entry.stack = this.stack.slice();
+      entry.sp = this.sp;
+    }
+    const result = this._execute();
+    if (result.changed && result.changed.type !== null) {
+      entry.changed = { ...result.changed };
+    }
+    this.history.push(entry);
+    return result;
+  }
+
+  /**
+   * Undo the most recent step
+   * @returns {boolean} False if there is nothing to undo
+   */
+  stepBack() {
+    const entry = this.history.pop();
+    if (!entry) {
+      return false;
+    }
+    if (entry.changed) {
+      this.tape.set(entry.changed.index, entry.changed.oldValue);
+    }
+    this.ip = entry.ip;
+    this.head0 = entry.head0;
+    this.head1 = entry.head1;
+    this.stepCount = entry.stepCount;
+    this.writeCount = entry.writeCount;
+    this.loopJumps = entry.loopJumps;
+    this.head0Count = entry.head0Count;
+    this.head1Count = entry.head1Count;
+    this.mathCount = entry.mathCount;
+    this.copyCount = entry.copyCount;
+    this.loopCount = entry.loopCount;
+    if (entry.stack) {
+      this.stack.set(entry.stack);
+      this.sp = entry.sp;
+    }
+    // Only running states are recorded
+    this.halted = false;
+    this.haltReason = null;
+    return true;
+  }
+
+  /**
+   * Move to a step index, backwards through the history or forwards by executing
+   * @param {number} stepIndex - Target step count
+   * @returns {Object} State at the target (or where execution halted first)
+   */
+  seek(stepIndex) {
+    while (this.stepCount > stepIndex && this.stepBack()) {
+      // Undo
+    }
+    while (this.stepCount < stepIndex && !this.halted) {
+      this.step();
+    }
+    return this.getState();
+  }
+
+  /**
+   * Execute one instruction without recording it
+   * @returns {Object} State after execution, including what changed
+   * @private
+   */
+  _execute() {
+    // Like the WASM interpreter, a tape without instructions is not run at all
+    if (this.stepCount === 0 && !this.language.hasInstructions(this.tape.data)) {
+      this.halted = true;
+      this.haltReason = 'no_instructions';
+      return { ...this.getState(), changed: null };
+    }
 
     // Check step limit
-    if (this.stepCount >= BFFInterpreter.MAX_STEPS) {
+    if (this.stepCount >= this.maxSteps) {
       this.halted = true;
       this.haltReason = 'max_steps';
       return { ...this.getState(), changed: null };
     }
 
-    const byte = this.tape.get(this.ip);
-    const instruction = byteToInstruction(byte);
+    const instruction = this.language.byteToInstruction(this.tape.get(this.ip));
     const changed = { type: null, index: null, oldValue: null, newValue: null };
 
     this.stepCount++;
 
-    if (instruction === null) {
-      // No-op: just advance IP
-      this.ip++;
-      if (this.ip >= this.tape.size) {
+    if (instruction !== null) {
+      const spec = this.language.instructions[instruction];
+      if (spec.counted !== false) {
+        this[`${spec.slot}Count`]++;
+      }
+      // The machine method that refused (jump, moveHead0/1) set the halt reason
+      if (spec.run(this, changed) === false) {
         this.halted = true;
-        this.haltReason = 'end_of_tape';
+        return { ...this.getState(), changed };
       }
-      return { ...this.getState(), changed };
     }
 
-    switch (instruction) {
-      case '<': // head0--
-        this.head0 = this._wrapHead(this.head0 - 1);
-        break;
-
-      case '>': // head0++
-        this.head0 = this._wrapHead(this.head0 + 1);
-        break;
-
-      case '{': // head1--
-        this.head1 = this._wrapHead(this.head1 - 1);
-        break;
-
-      case '}': // head1++
-        this.head1 = this._wrapHead(this.head1 + 1);
-        break;
-
-      case '-': // tape[head0]--
-        changed.type = 'decrement';
-        changed.index = this.head0;
-        changed.oldValue = this.tape.get(this.head0);
-        this.tape.decrement(this.head0);
-        changed.newValue = this.tape.get(this.head0);
-        this.writeCount++;
-        break;
-
-      case '+': // tape[head0]++
-        changed.type = 'increment';
-        changed.index = this.head0;
-        changed.oldValue = this.tape.get(this.head0);
-        this.tape.increment(this.head0);
-        changed.newValue = this.tape.get(this.head0);
-        this.writeCount++;
-        break;
-
-      case '.': // tape[head1] = tape[head0]
-        changed.type = 'copy_to_head1';
-        changed.index = this.head1;
-        changed.oldValue = this.tape.get(this.head1);
-        this.tape.set(this.head1, this.tape.get(this.head0));
-        changed.newValue = this.tape.get(this.head1);
-        this.writeCount++;
-        break;
-
-      case ',': // tape[head0] = tape[head1]
-        changed.type = 'copy_to_head0';
-        changed.index = this.head0;
-        changed.oldValue = this.tape.get(this.head0);
-        this.tape.set(this.head0, this.tape.get(this.head1));
-        changed.newValue = this.tape.get(this.head0);
-        this.writeCount++;
-        break;
-
-      case '[': // if tape[head0]==0, jump forward to matching ]
-        if (this.tape.get(this.head0) === 0) {
-          const target = this._findMatchingBracket(this.ip, 1);
-          if (target === -1) {
-            this.halted = true;
-            this.haltReason = 'unmatched_bracket';
-            return { ...this.getState(), changed };
-          }
-          this.ip = target;
-        }
-        break;
-
-      case ']': // if tape[head0]!=0, jump back to matching [
-        if (this.tape.get(this.head0) !== 0) {
-          const target = this._findMatchingBracket(this.ip, -1);
-          if (target === -1) {
-            this.halted = true;
-            this.haltReason = 'unmatched_bracket';
-            return { ...this.getState(), changed };
-          }
-          this.ip = target;
-          this.loopJumps++;
-        }
-        break;
+    this._advance();
+    return { ...this.getState(), changed };
+  }
+
+  /**
+   * Move head0 one cell under the topology's head rule (for language instructions)
+   * @param {number} delta - -1 or 1
+   * @returns {boolean} False if the head left the tape and execution halts
+   */
+  moveHead0(delta) {
+    const head = this._movedHead(this.head0, delta);
+    if (head === -1) {
+      return false;
     }
+    this.head0 = head;
+    return true;
+  }
 
-    // Advance IP (unless halted)
-    if (!this.halted) {
-      this.ip++;
-      if (this.ip >= this.tape.size) {
-        this.halted = true;
-        this.haltReason = 'end_of_tape';
-      }
+  /**
+   * Move head1 one cell under the topology's head rule (for language instructions)
+   * @param {number} delta - -1 or 1
+   * @returns {boolean} False if the head left the tape and execution halts
+   */
+  moveHead1(delta) {
+    const head = this._movedHead(this.head1, delta);
+    if (head === -1) {
+      return false;
     }
+    this.head1 = head;
+    return true;
+  }
 
-    return { ...this.getState(), changed };
+  /**
+   * Write a tape cell and describe the write (for language instructions)
+   * @param {Object} changed - Change record of the current step, filled in
+   * @param {string} type - Kind of write, e.g. 'increment'
+   * @param {number} index - Cell written
+   * @param {number} value - New value (wraps to 0-255)
+   */
+  write(changed, type, index, value) {
+    changed.type = type;
+    changed.index = index;
+    changed.oldValue = this.tape.get(index);
+    this.tape.set(index, value);
+    changed.newValue = this.tape.get(index);
+    this.writeCount++;
+  }
+
+  /**
+   * Jump to the bracket matching the one at the IP (for language instructions)
+   * @param {number} direction - 1 for forward, -1 for backward
+   * @returns {boolean} False if the bracket is unmatched
+   */
+  jump(direction) {
+    const target = this._findMatchingBracket(this.ip, direction);
+    if (target === -1) {
+      this.haltReason = 'unmatched_bracket';
+      return false;
+    }
+    this.ip = target;
+    if (direction < 0) {
+      this.loopJumps++;
+    }
+    return true;
+  }
+
+  /**
+   * Push onto the data stack (for language instructions)
+   * @param {number} value - Wraps to 0-255
+   */
+  push(value) {
+    this.stack[this.sp] = value & 0xFF;
+    this.sp = (this.sp + 1) % STACK_SIZE;
   }
 
   /**
-   * Find matching bracket (does not cross tape boundaries)
+   * Pop the data stack (for language instructions)
+   * @returns {number}
+   */
+  pop() {
+    this.sp = (this.sp + STACK_SIZE - 1) % STACK_SIZE;
+    return this.stack[this.sp];
+  }
+
+  /**
+   * Move the IP past the executed instruction and halt if the run is over
+   * The step limit wins over running off the tape, as in the WASM interpreter.
+   * @private
+   */
+  _advance() {
+    this.ip++;
+    if (this.ip === this.tape.size && this.topology.ip === 'wrap') {
+      this.ip = 0;
+    }
+    if (this.stepCount >= this.maxSteps) {
+      this.halted = true;
+      this.haltReason = 'max_steps';
+    } else if (this.ip >= this.tape.size) {
+      this.halted = true;
+      this.haltReason = 'end_of_tape';
+    }
+  }
+
+  /**
+   * Find matching bracket
+   * Bounded search stops at the tape ends; cyclic search wraps around and
+   * visits every other cell once.
    * @param {number} start - Starting position
    * @param {number} direction - 1 for forward, -1 for backward
    * @returns {number} Position of matching bracket, or -1 if not found
@@ -238,16 +338,18 @@ export class BFFInterpreter {
   _findMatchingBracket(start, direction) {
     let depth = 1;
     let pos = start;
-    const openBracket = BFF_INSTRUCTIONS['['];
-    const closeBracket = BFF_INSTRUCTIONS[']'];
+    const openBracket = OPEN_BRACKET;
+    const closeBracket = CLOSE_BRACKET;
+    const cyclic = this.topology.brackets === 'cyclic';
 
-    // Search without wrapping - stop at tape boundaries
-    while (true) {
+    for (let visited = 1; visited < this.tape.size; visited++) {
       pos += direction;
 
-      // Stop at tape boundaries
       if (pos < 0 || pos >= this.tape.size) {
-        return -1; // Unmatched - hit boundary
+        if (!cyclic) {
+          return -1; // Unmatched - hit boundary
+        }
+        pos = this._wrapHead(pos);
       }
 
       const byte = this.tape.get(pos);
@@ -266,6 +368,30 @@ export class BFFInterpreter {
         return pos;
       }
     }
+    return -1;
+  }
+
+  /**
+   * Position of a head after moving one cell, or -1 if it halts instead
+   * @param {number} head - Current position
+   * @param {number} delta - -1 or 1
+   * @returns {number}
+   * @private
+   */
+  _movedHead(head, delta) {
+    const target = head + delta;
+    if (target >= 0 && target < this.tape.size) {
+      return target;
+    }
+    switch (this.topology.heads) {
+      case 'clamp':
+        return head;
+      case 'halt':
+        this.haltReason = 'head_out_of_bounds';
+        return -1;
+      default:
+        return this._wrapHead(target);
+    }
   }
 
   /**
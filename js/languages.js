@@ -0,0 +1,343 @@
+/**
+ * Languages - the instruction sets a soup can run
+ *
+ * Every language runs on the same machine (IP, head0, head1 and a small data
+ * stack) with the same halting rules and `[`/`]` bracket bytes; they differ in
+ * which bytes are instructions and what those do. A language lists, per
+ * instruction, its byte, its color, the execution metric it counts towards
+ * and its effect when run by BFFInterpreter. The WASM interpreter implements
+ * the same languages under the same codes (wasm/src/language.rs).
+ *
+ * To add a language: define it here, register it in LANGUAGES and implement
+ * InstructionSet for it in Rust.
+ */
+
+// Execution metric slots, in display order (the counters both interpreters report)
+export const EXEC_SLOTS = ['head0', 'head1', 'math', 'copy', 'loop'];
+
+// Data stack depth (circular: pushing onto a full stack overwrites the oldest entry)
+export const STACK_SIZE = 16;
+
+export class Language {
+  /**
+   * Define a language
+   * @param {Object} spec
+   * @param {string} spec.id - Registry key, stored with runs and snapshots
+   * @param {number} spec.code - Language id passed to WASM
+   * @param {string} spec.name - Display name
+   * @param {string} spec.description - Legend tooltip HTML
+   * @param {boolean} spec.usesStack - Whether instructions touch the data stack
+   * @param {Object<string, {label: string, title: string, note: string}>} spec.slots - Per metric slot: legend label and tooltip text
+   * @param {Object<string, Object>} spec.instructions - Instruction character ->
+   *   {byte, slot, color: {h, s, l}, doc, counted (default true), run(vm, changed)};
+   *   run returns false when the instruction halts execution (an unmatched
+   *   bracket, or a head leaving the tape under the halt rule)
+   */
+  constructor({ id, code, name, description, usesStack = false, slots, instructions }) {
+    this.id = id;
+    this.code = code;
+    this.name = name;
+    this.description = description;
+    this.usesStack = usesStack;
+    this.slots = slots;
+    this.instructions = instructions;
+
+    // Byte -> instruction character (null = no-op)
+    this.byteTable = new Array(256).fill(null);
+    for (const [char, spec] of Object.entries(instructions)) {
+      this.byteTable[spec.byte] = char;
+    }
+  }
+
+  /**
+   * Instruction for a byte
+   * @param {number} byte - Byte value 0-255
+   * @returns {string|null} Instruction character or null if no-op
+   */
+  byteToInstruction(byte) {
+    return this.byteTable[byte];
+  }
+
+  /**
+   * Check if a tape contains any instruction
+   * @param {Uint8Array|number[]} bytes
+   * @returns {boolean}
+   */
+  hasInstructions(bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+      if (this.byteTable[bytes[i]] !== null) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Instructions belonging to a metric slot
+   * @param {string} slot - One of EXEC_SLOTS
+   * @param {boolean} countedOnly - Only those that increment the slot's counter
+   * @returns {string[]} Instruction characters
+   */
+  instructionsIn(slot, countedOnly = false) {
+    return Object.entries(this.instructions)
+      .filter(([, spec]) => spec.slot === slot && (!countedOnly || spec.counted !== false))
+      .map(([char]) => char);
+  }
+}
+
+export const BFF = new Language({
+  id: 'bff',
+  code: 0,
+  name: 'BFF',
+  description: `
+    <div>BFF is a variant of <a class="tooltip-link" href="https://en.wikipedia.org/wiki/Brainfuck" target="_blank" rel="noopener">Brainfuck</a> with two read/write heads
+    operating on a shared tape.</div>
+    <div style="margin-top: 8px; color: #888; font-size: 11px;">
+      10 instructions: <code>&lt; &gt; { } + - . , [ ]</code><br>
+      All other byte values are no-ops (data).
+    </div>
+  `,
+  slots: {
+    head0: {
+      label: 'head0',
+      title: 'Head0 Movement',
+      note: `Head0 is the primary read head. It determines what byte is read
+        for conditionals and what location is modified by <code>+</code>/<code>-</code> operations.
+        <strong>Initialized at position 0</strong> (start of tape).
+        Wraps around at tape boundaries.`,
+    },
+    head1: {
+      label: 'head1',
+      title: 'Head1 Movement',
+      note: `Head1 is the secondary write head. It's used as source/destination
+        for copy operations. <strong>Initialized at the configured offset</strong>
+        (default 32). Wraps around at tape boundaries.`,
+    },
+    math: {
+      label: 'math',
+      title: 'Arithmetic',
+      note: `These operations modify the tape content at the current head0 position.
+        Essential for creating and modifying program code.`,
+    },
+    copy: {
+      label: 'copy',
+      title: 'Copy Operations',
+      note: `Copy operations are key to self-replication. A replicator uses these
+        to duplicate its own code to another location in the soup.`,
+    },
+    loop: {
+      label: 'loop',
+      title: 'Conditional Loops',
+      note: `Loops enable conditional execution. Unmatched brackets cause the
+        program to halt immediately. The loop counter tracks <code>]</code> executions only.`,
+    },
+  },
+  instructions: {
+    '<': {
+      byte: 0x3C, slot: 'head0', color: { h: 180, s: 100, l: 70 },
+      doc: 'decrements head0 position (moves left)',
+      run: (vm) => vm.moveHead0(-1),
+    },
+    '>': {
+      byte: 0x3E, slot: 'head0', color: { h: 160, s: 100, l: 75 },
+      doc: 'increments head0 position (moves right)',
+      run: (vm) => vm.moveHead0(1),
+    },
+    '{': {
+      byte: 0x7B, slot: 'head1', color: { h: 320, s: 100, l: 75 },
+      doc: 'decrements head1 position (moves left)',
+      run: (vm) => vm.moveHead1(-1),
+    },
+    '}': {
+      byte: 0x7D, slot: 'head1', color: { h: 340, s: 100, l: 80 },
+      doc: 'increments head1 position (moves right)',
+      run: (vm) => vm.moveHead1(1),
+    },
+    '+': {
+      byte: 0x2B, slot: 'math', color: { h: 120, s: 100, l: 70 },
+      doc: 'increments byte at head0 (wrapping 255→0)',
+      run: (vm, changed) => vm.write(changed, 'increment', vm.head0, vm.tape.get(vm.head0) + 1),
+    },
+    '-': {
+      byte: 0x2D, slot: 'math', color: { h: 90, s: 100, l: 75 },
+      doc: 'decrements byte at head0 (wrapping 0→255)',
+      run: (vm, changed) => vm.write(changed, 'decrement', vm.head0, vm.tape.get(vm.head0) - 1),
+    },
+    '.': {
+      byte: 0x2E, slot: 'copy', color: { h: 60, s: 100, l: 70 },
+      doc: 'copies byte from head0 to head1',
+      run: (vm, changed) => vm.write(changed, 'copy_to_head1', vm.head1, vm.tape.get(vm.head0)),
+    },
+    ',': {
+      byte: 0x2C, slot: 'copy', color: { h: 45, s: 100, l: 75 },
+      doc: 'copies byte from head1 to head0',
+      run: (vm, changed) => vm.write(changed, 'copy_to_head0', vm.head0, vm.tape.get(vm.head1)),
+    },
+    '[': {
+      byte: 0x5B, slot: 'loop', color: { h: 210, s: 100, l: 75 }, counted: false,
+      doc: 'if byte at head0 is 0, jump to matching <code>]</code>',
+      run: (vm) => vm.tape.get(vm.head0) !== 0 || vm.jump(1),
+    },
+    ']': {
+      byte: 0x5D, slot: 'loop', color: { h: 240, s: 100, l: 80 },
+      doc: 'if byte at head0 is not 0, jump back to matching <code>[</code>',
+      run: (vm) => vm.tape.get(vm.head0) === 0 || vm.jump(-1),
+    },
+  },
+});
+
+export const FORTH = new Language({
+  id: 'forth',
+  code: 1,
+  name: 'Forth',
+  usesStack: true,
+  description: `
+    <div>A Forth-style stack language on BFF's machine: the same two heads and
+    loops, but bytes move through a ${STACK_SIZE}-entry circular data stack
+    instead of directly between heads.</div>
+    <div style="margin-top: 8px; color: #888; font-size: 11px;">
+      14 instructions: <code>&lt; &gt; { } @ ! + - 1 : ~ $ [ ]</code><br>
+      <code>@!</code> does what BFF's <code>.</code> does. Loops test and consume
+      the top of the stack. All other byte values are no-ops (data).
+    </div>
+  `,
+  slots: {
+    head0: {
+      label: 'head0',
+      title: 'Head0 Movement',
+      note: `Head0 is the read head: <code>@</code> loads the byte under it.
+        <strong>Initialized at position 0</strong>. Wraps around at tape boundaries.`,
+    },
+    head1: {
+      label: 'head1',
+      title: 'Head1 Movement',
+      note: `Head1 is the write head: <code>!</code> stores to the byte under it.
+        <strong>Initialized at the configured offset</strong>. Wraps around at tape boundaries.`,
+    },
+    math: {
+      label: 'stack',
+      title: 'Stack Operations',
+      note: `Arithmetic and stack shuffling only touch the stack, never the tape.
+        Popping an empty stack reads whatever the circular stack last held (initially 0).`,
+    },
+    copy: {
+      label: 'load/store',
+      title: 'Load and Store',
+      note: `The only way to read or write the tape. A replicator loads each byte
+        of its own code and stores it at head1, e.g. <code>1[@!&gt;}1]</code>.`,
+    },
+    loop: {
+      label: 'loop',
+      title: 'Conditional Loops',
+      note: `Both brackets pop their condition. Unmatched brackets cause the
+        program to halt immediately. The loop counter tracks <code>]</code> executions only.`,
+    },
+  },
+  instructions: {
+    '<': {
+      byte: 0x3C, slot: 'head0', color: { h: 180, s: 100, l: 70 },
+      doc: 'decrements head0 position (moves left)',
+      run: (vm) => vm.moveHead0(-1),
+    },
+    '>': {
+      byte: 0x3E, slot: 'head0', color: { h: 160, s: 100, l: 75 },
+      doc: 'increments head0 position (moves right)',
+      run: (vm) => vm.moveHead0(1),
+    },
+    '{': {
+      byte: 0x7B, slot: 'head1', color: { h: 320, s: 100, l: 75 },
+      doc: 'decrements head1 position (moves left)',
+      run: (vm) => vm.moveHead1(-1),
+    },
+    '}': {
+      byte: 0x7D, slot: 'head1', color: { h: 340, s: 100, l: 80 },
+      doc: 'increments head1 position (moves right)',
+      run: (vm) => vm.moveHead1(1),
+    },
+    '@': {
+      byte: 0x40, slot: 'copy', color: { h: 60, s: 100, l: 70 },
+      doc: 'pushes the byte at head0',
+      run: (vm) => vm.push(vm.tape.get(vm.head0)),
+    },
+    '!': {
+      byte: 0x21, slot: 'copy', color: { h: 45, s: 100, l: 75 },
+      doc: 'pops into the byte at head1',
+      run: (vm, changed) => vm.write(changed, 'store', vm.head1, vm.pop()),
+    },
+    '+': {
+      byte: 0x2B, slot: 'math', color: { h: 120, s: 100, l: 70 },
+      doc: 'adds the top two entries',
+      run: (vm) => {
+        const b = vm.pop();
+        vm.push(vm.pop() + b);
+      },
+    },
+    '-': {
+      byte: 0x2D, slot: 'math', color: { h: 90, s: 100, l: 75 },
+      doc: 'subtracts the top entry from the one below',
+      run: (vm) => {
+        const b = vm.pop();
+        vm.push(vm.pop() - b);
+      },
+    },
+    '1': {
+      byte: 0x31, slot: 'math', color: { h: 140, s: 100, l: 75 },
+      doc: 'pushes 1',
+      run: (vm) => vm.push(1),
+    },
+    ':': {
+      byte: 0x3A, slot: 'math', color: { h: 105, s: 100, l: 80 },
+      doc: 'duplicates the top entry',
+      run: (vm) => {
+        const a = vm.pop();
+        vm.push(a);
+        vm.push(a);
+      },
+    },
+    '~': {
+      byte: 0x7E, slot: 'math', color: { h: 150, s: 100, l: 80 },
+      doc: 'swaps the top two entries',
+      run: (vm) => {
+        const b = vm.pop();
+        const a = vm.pop();
+        vm.push(b);
+        vm.push(a);
+      },
+    },
+    '$': {
+      byte: 0x24, slot: 'math', color: { h: 75, s: 100, l: 80 },
+      doc: 'drops the top entry',
+      run: (vm) => vm.pop(),
+    },
+    '[': {
+      byte: 0x5B, slot: 'loop', color: { h: 210, s: 100, l: 75 }, counted: false,
+      doc: 'pops; if 0, jump to matching <code>]</code>',
+      run: (vm) => vm.pop() !== 0 || vm.jump(1),
+    },
+    ']': {
+      byte: 0x5D, slot: 'loop', color: { h: 240, s: 100, l: 80 },
+      doc: 'pops; if not 0, jump back to matching <code>[</code>',
+      run: (vm) => vm.pop() === 0 || vm.jump(-1),
+    },
+  },
+});
+
+// Registry: id -> language
+export const LANGUAGES = {
+  [BFF.id]: BFF,
+  [FORTH.id]: FORTH,
+};
+
+export const DEFAULT_LANGUAGE = BFF.id;
+
+/**
+ * Look up a registered language
+ * @param {string} id - Language id, e.g. 'bff'
+ * @returns {Language}
+ * @throws {Error} If no language has that id
+ */
+export function getLanguage(id) {
+  const language = LANGUAGES[id];
+  if (!language) {
+    throw new Error(`Unknown language "${id}" (available: ${Object.keys(LANGUAGES).join(', ')})`);
+  }
+  return language;
+}
@@ -0,0 +1,190 @@
+/**
+ * Main-thread stand-in for the worker pool
+ *
+ * Without SharedArrayBuffer (pages that are not cross-origin isolated:
+ * embedded pages, hosts that cannot send COOP/COEP headers) workers cannot
+ * share the soup, so batches run here instead. They are cut into small chunks
+ * run a few milliseconds at a time, which keeps the page responsive at the
+ * cost of all parallelism. Same interface as WorkerPool.
+ */
+
+import { BatchExecutor } from './batch-executor.js';
+
+export class MainThreadPool {
+  /**
+   * Create a pool that runs batches on the calling thread
+   * @param {Object} options
+   * @param {number} options.chunkSize - Pairs per chunk (default 64)
+   * @param {number} options.sliceMs - Milliseconds of work before yielding to the page (default 8)
+   */
+  constructor({ chunkSize = 64, sliceMs = 8 } = {}) {
+    this.numWorkers = 1;
+    this.ready = false;
+    this.terminated = false;
+    this.executor = null;
+    this.chunkSize = chunkSize;
+    this.sliceMs = sliceMs;
+    this.queue = [];  // Chunks waiting to run: {run, batch, pairs}
+    this.scheduled = false;
+    this.stats = { pairs: 0, busyMs: 0 };
+
+    // Never replaced; kept for the WorkerPool interface
+    this.restarts = 0;
+    this.onWorkerLost = null;
+  }
+
+  /**
+   * Initialize the pool
+   * @param {ArrayBuffer} buffer - Buffer containing soup data
+   * @param {number} regionSize - Region size
+   * @param {Object} wasmModule - Initialized wasm-bindgen module of the main thread
+   * @returns {Promise<void>}
+   */
+  async init(buffer, regionSize, wasmModule) {
+    this.executor = new BatchExecutor(wasmModule, new Uint8Array(buffer), regionSize);
+    this.ready = true;
+  }
+
+  /**
+   * Always one: the main thread
+   * @returns {number}
+   */
+  get availableWorkers() {
+    return this.ready ? 1 : 0;
+  }
+
+  /**
+   * The main thread cannot be resized; kept for the WorkerPool interface
+   * @returns {Promise<void>}
+   */
+  async resize() {}
+
+  /**
+   * Throughput of the main thread
+   * @returns {Array<{pairs: number, busyMs: number}>}
+   */
+  workerStats() {
+    return [{ ...this.stats }];
+  }
+
+  /**
+   * Execute pairs
+   * @param {Array<{a: number, b: number, index: number}>} pairs - Pairs to execute
+   * @param {number} head1Offset - Starting offset for head1
+   * @param {number} maxSteps - Max execution steps
+   * @param {number} languageCode - Language to run (default 0, BFF)
+   * @param {number} topologyBits - Packed topology (default 0, the paper's rules)
+   * @param {Object|null} mutation - Tape mutation after each pair (default none)
+   * @returns {Promise<Array>} Results of each chunk
+   * @throws {Error} If a chunk fails, with `failedPairs` and `results` as for WorkerPool
+   */
+  async executeBatch(pairs, head1Offset = 64, maxSteps = 8192, languageCode = 0, topologyBits = 0, mutation = null) {
+    return this.dispatch(pairs.length, (start, end) =>
+      this.executor.execute(pairs.slice(start, end), head1Offset, maxSteps, languageCode, topologyBits, mutation));
+  }
+
+  /**
+   * Draw and execute pairs
+   * @param {number} count - Pairs to draw
+   * @param {Object} selection - {alignment, localityLimit, seed, firstIndex}
+   * @param {number} head1Offset - Starting offset for head1
+   * @param {number} maxSteps - Max execution steps
+   * @param {number} languageCode - Language to run
+   * @param {number} topologyBits - Packed topology
+   * @param {Object|null} mutation - Tape mutation after each pair (default none)
+   * @returns {Promise<Array>} Results of each chunk, each with a `samplePair`
+   * @throws {Error} If a chunk fails, as for executeBatch
+   */
+  async executeGenerated(count, selection, head1Offset, maxSteps, languageCode, topologyBits, mutation = null) {
+    return this.dispatch(count, (start, end) =>
+      this.executor.generate(end - start, { ...selection, firstIndex: selection.firstIndex + start },
+        head1Offset, maxSteps, languageCode, topologyBits, mutation));
+  }
+
+  /**
+   * Queue a batch as chunks and wait for all of them
+   * @param {number} count - Pairs in the batch
+   * @param {function(number, number): Object} run - Runs pairs [start, end) and returns their results
+   * @returns {Promise<Array>} Results of each chunk
+   */
+  dispatch(count, run) {
+    if (!this.ready) {
+      return Promise.reject(new Error('Worker pool not initialized'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const batch = { remaining: 0, results: [], failedPairs: 0, error: null, resolve, reject };
+      for (let start = 0; start < count; start += this.chunkSize) {
+        const end = Math.min(start + this.chunkSize, count);
+        this.queue.push({ run: () => run(start, end), batch, pairs: end - start });
+        batch.remaining++;
+      }
+      if (batch.remaining === 0) {
+        resolve([]);
+        return;
+      }
+      this.schedule();
+    });
+  }
+
+  /**
+   * Run queued chunks on a later task
+   */
+  schedule() {
+    if (this.scheduled || this.terminated) return;
+    this.scheduled = true;
+    setTimeout(() => {
+      this.scheduled = false;
+      this.runSlice();
+    }, 0);
+  }
+
+  /**
+   * Run chunks for up to sliceMs, then yield
+   */
+  runSlice() {
+    const sliceStart = performance.now();
+    while (this.queue.length > 0 && performance.now() - sliceStart < this.sliceMs) {
+      const { run, batch, pairs } = this.queue.shift();
+      const start = performance.now();
+      try {
+        batch.results.push(run());
+        this.stats.pairs += pairs;
+      } catch (err) {
+        batch.failedPairs += pairs;
+        batch.error ??= err instanceof Error ? err : new Error(String(err));
+      }
+      this.stats.busyMs += performance.now() - start;
+      if (--batch.remaining === 0) this.settle(batch);
+    }
+    if (this.queue.length > 0) this.schedule();
+  }
+
+  /**
+   * Answer a batch whose chunks have all run
+   * @param {Object} batch
+   */
+  settle(batch) {
+    if (batch.failedPairs === 0) {
+      batch.resolve(batch.results);
+      return;
+    }
+    const error = new Error(batch.error.message);
+    error.failedPairs = batch.failedPairs;
+    error.results = batch.results;
+    batch.reject(error);
+  }
+
+  /**
+   * Drop queued work; batches still waiting are rejected
+   */
+  terminate() {
+    this.terminated = true;
+    const batches = new Set(this.queue.map(chunk => chunk.batch));
+    this.queue = [];
+    for (const batch of batches) {
+      batch.reject(new Error('Worker pool terminated'));
+    }
+    this.ready = false;
+  }
+}
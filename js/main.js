@@ -4,6 +4,17 @@
 
 import { PopulationWasm as Population } from './population-wasm.js';
 import { initTooltips, registerTooltip } from './tooltip.js';
+import { Random } from './rng.js';
+import { StopConditions } from './stop-conditions.js';
+import { PairDebugger } from './pair-debugger.js';
+import { traceInterpreter, traceWasm, traceToJSON, traceToCSV, renderSpaceTime } from './trace.js';
+import { encodeSnapshot, decodeSnapshot, SNAPSHOT_EXTENSION } from './snapshot.js';
+import { saveCheckpoint, loadCheckpoint } from './autosave.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, EXEC_SLOTS, getLanguage } from './languages.js';
+import { MUTATION_TYPES } from './mutation.js';
+import { stepBin } from './bff.js';
+import { TOPOLOGY_OPTIONS, DEFAULT_TOPOLOGY, normalizeTopology, encodeTopology } from './topology.js';
+import { initWasm, initThreadedWasm, isLanguageSupported, isTopologySupported } from './wasm-bridge.js';
 
 // Clear any stuck reload counter from previous attempts
 sessionStorage.removeItem('coiReloadCount');
@@ -12,12 +23,17 @@ const SOUP_WIDTH = 64;
 const SOUP_HEIGHT = 32768;   // 2^15 tapes (2MB soup)
 let regionSize = 64;         // 64 bytes per tape (paper default), configurable
 const DISPLAY_HEIGHT = 4096; // Viewport height for rendering
+const AUTOSAVE_INTERVAL_MS = 30000; // Checkpoint to IndexedDB this often while running
 
 // DOM Elements
 const soupCanvas = document.getElementById('soup-canvas');
 const soupCtx = soupCanvas.getContext('2d');
 const soupGenerationSpan = document.getElementById('soup-generation');
 const mutationRateSlider = document.getElementById('mutation-rate');
+const mutationTypeSlider = document.getElementById('mutation-type-range');
+const mutationTypeDisplay = document.getElementById('mutation-type-display');
+const cosmicRateSlider = document.getElementById('cosmic-rate');
+const cosmicDisplay = document.getElementById('cosmic-display');
 const complexityGraph = document.getElementById('complexity-graph');
 const complexityCtx = complexityGraph.getContext('2d');
 const shannonValueSpan = document.getElementById('shannon-value');
@@ -25,12 +41,23 @@ const kolmogorovValueSpan = document.getElementById('kolmogorov-value');
 const complexityValueSpan = document.getElementById('complexity-value');
 const execGraph = document.getElementById('exec-graph');
 const execCtx = execGraph.getContext('2d');
+const mutationGraph = document.getElementById('mutation-graph');
+const mutationCtx = mutationGraph.getContext('2d');
+const haltGraph = document.getElementById('halt-graph');
+const haltCtx = haltGraph.getContext('2d');
+const stepsGraph = document.getElementById('steps-graph');
+const stepsCtx = stepsGraph.getContext('2d');
+const maxStepHaltsValueSpan = document.getElementById('max-step-halts-value');
+const stepsValueSpan = document.getElementById('steps-value');
+const tapeMutationValueSpan = document.getElementById('tape-mutation-value');
+const cosmicMutationValueSpan = document.getElementById('cosmic-mutation-value');
 const head0ValueSpan = document.getElementById('head0-value');
 const head1ValueSpan = document.getElementById('head1-value');
 const mathValueSpan = document.getElementById('math-value');
 const copyValueSpan = document.getElementById('copy-value');
 const loopValueSpan = document.getElementById('loop-value');
 const epochsPerSecSpan = document.getElementById('epochs-per-sec');
+const failedPairsSpan = document.getElementById('failed-pairs');
 const runStateSpan = document.getElementById('run-state');
 const speedDisplaySpan = document.getElementById('speed-display');
 const localitySlider = document.getElementById('locality-range');
@@ -43,6 +70,48 @@ const head1OffsetSlider = document.getElementById('head1-offset-range');
 const head1OffsetDisplay = document.getElementById('head1-offset-display');
 const maxStepsSlider = document.getElementById('max-steps-range');
 const maxStepsDisplay = document.getElementById('max-steps-display');
+const seedDisplay = document.getElementById('seed-display');
+const modeDisplay = document.getElementById('mode-display');
+const workersDisplay = document.getElementById('workers-display');
+const workerThroughputSpan = document.getElementById('worker-throughput');
+const languageDisplay = document.getElementById('language-display');
+const topologyKeys = {
+  heads: document.getElementById('cycle-heads'),
+  ip: document.getElementById('cycle-ip'),
+  brackets: document.getElementById('cycle-brackets'),
+};
+const instructionsTitle = document.getElementById('instructions-title');
+const instructionLegend = document.getElementById('instruction-legend');
+const snapshotFileInput = document.getElementById('snapshot-file');
+const detectHkSlider = document.getElementById('detect-hk-range');
+const detectHkDisplay = document.getElementById('detect-hk-display');
+const detectCopySlider = document.getElementById('detect-copy-range');
+const detectCopyDisplay = document.getElementById('detect-copy-display');
+const eventLogSpan = document.getElementById('event-log');
+const transitionActionSpan = document.getElementById('transition-action');
+const untilDisplay = document.getElementById('until-display');
+const debuggerPanel = document.getElementById('debugger-panel');
+const debugOffsetA = document.getElementById('debug-offset-a');
+const debugOffsetB = document.getElementById('debug-offset-b');
+const debugProgramA = document.getElementById('debug-program-a');
+const debugProgramB = document.getElementById('debug-program-b');
+const debugScrub = document.getElementById('debug-scrub');
+const traceView = document.getElementById('trace-view');
+const traceCanvas = document.getElementById('trace-canvas');
+const traceSummary = document.getElementById('trace-summary');
+const pairDebugger = new PairDebugger(document.getElementById('debug-tape'), document.getElementById('debug-info'));
+// Scrub range covers every step reached since the last restart
+pairDebugger.onRender = (state) => {
+  debugScrub.max = pairDebugger.furthestStep;
+  debugScrub.value = state.stepCount;
+};
+const resumeRow = document.getElementById('resume-row');
+const resumeEpochSpan = document.getElementById('resume-epoch');
+const autosaveErrorSpan = document.getElementById('autosave-error');
+
+// What to do when a phase transition is detected
+const TRANSITION_ACTIONS = ['none', 'notify', 'pause'];
+let transitionActionIndex = 1;  // Default to notify
 
 // Speed levels: 1x, 10x, 100x, 1000x
 const SPEED_LEVELS = [1, 10, 100, 1000];
@@ -54,23 +123,253 @@ let lastEpoch = 0;
 let lastEpochTime = performance.now();
 let running = false;
 let animationId = null;
+let deterministic = false;
+let lastAutosaveTime = performance.now();
+let autosaveInFlight = false;
+let autosavePending = null;  // State captured during a save, written right after it
+
+// Run-until conditions and the running time spent on them so far
+let stopConditions = null;
+let untilElapsed = 0;
+let runSegmentStart = performance.now();
+
+// Seed for the next reset (null = draw a fresh random seed). Can be preset via ?seed=
+let nextSeed = Random.parseSeed(new URLSearchParams(window.location.search).get('seed') ?? '');
+
+// Language for the next reset. Can be preset via ?lang=
+let nextLanguage = new URLSearchParams(window.location.search).get('lang') ?? DEFAULT_LANGUAGE;
+if (!LANGUAGES[nextLanguage]) nextLanguage = DEFAULT_LANGUAGE;
+
+// Worker count (null = cores - 1); changes apply immediately and carry over
+// to resets. Can be preset via ?workers=
+const MAX_WORKERS = navigator.hardwareConcurrency || 4;
+let numWorkers = Number(new URLSearchParams(window.location.search).get('workers')) || null;
+if (numWorkers !== null) numWorkers = Math.min(MAX_WORKERS, Math.max(1, Math.floor(numWorkers)));
+
+// Per-worker throughput since the last update: cumulative stats at that
+// point, and {rate, busy} per worker
+let lastWorkerStats = null;
+let workerRates = [];
+
+// Tape edge rules; changes apply immediately and carry over to resets
+let topology = { ...DEFAULT_TOPOLOGY };
 
 async function initializePopulation() {
-  population = new Population(SOUP_WIDTH, SOUP_HEIGHT, regionSize);
-  await population.initialize();  // Initialize WASM and random data
+  if (population) {
+    population.dispose();
+  }
+  population = new Population(SOUP_WIDTH, SOUP_HEIGHT, regionSize, { language: nextLanguage, topology, numWorkers });
+  await population.initialize(nextSeed ?? Random.randomSeed());  // Initialize WASM and seeded random data
+  numWorkers = population.numWorkers;
+  lastWorkerStats = null;
+  updateWorkersDisplay();
+  updateSeedDisplay();
+  updateLanguageDisplay();
+  renderLanguageLegend();
+  updateTopologyDisplay();
   updateMutationRate();
+  updateCosmicRate();
   updateLocality();
   updateAlignment();
   updateHead1Offset();
   updateMaxSteps();
+  updateMode();
+  updateTransitionThresholds();
+  population.onEvent = handleSoupEvent;
+  updateEventLog();
   viewOffset = 0;
   updatePageIndicator();
   renderSoup();
-  soupGenerationSpan.textContent = '0.00';
+  updateGeneration();
   // Compute and display initial complexity
   population.updateComplexity();
   renderComplexityGraph();
   renderExecGraph();
+  renderMutationGraph();
+  renderHaltGraph();
+}
+
+/**
+ * Move the sliders and toggles to match a saved state (without applying them)
+ */
+function setControlsFromState(state) {
+  const tapeExp = Math.log2(state.regionSize);
+  tapeLengthSlider.value = tapeExp;
+  tapeLengthDisplay.textContent = state.regionSize;
+  alignmentSlider.max = tapeExp;
+  head1OffsetSlider.max = state.regionSize * 2;
+
+  mutationRateSlider.value = rateToSlider(state.mutationRate);
+  cosmicRateSlider.value = rateToSlider(state.cosmicRate ?? 0);
+  mutationTypeSlider.value = Math.max(0, Object.keys(MUTATION_TYPES).indexOf(state.mutationType));
+  localitySlider.value = state.localityLimit ? Math.log2(state.localityLimit) + 1 : 0;
+  alignmentSlider.value = Math.log2(state.alignment);
+  head1OffsetSlider.value = state.head1Offset;
+  maxStepsSlider.value = Math.log2(state.maxSteps);
+  deterministic = state.deterministic;
+  if (state.transitionThresholds) {
+    detectHkSlider.value = Math.round(state.transitionThresholds.highOrder * 10);
+    detectCopySlider.value = state.transitionThresholds.copy;
+  }
+}
+
+/**
+ * Replace the running population with a saved state
+ */
+async function restoreState(state) {
+  if (state.width !== SOUP_WIDTH || state.height !== SOUP_HEIGHT) {
+    throw new Error(`Snapshot soup is ${state.width}x${state.height}, this page runs ${SOUP_WIDTH}x${SOUP_HEIGHT}`);
+  }
+  stopRunning();
+  setControlsFromState(state);
+  regionSize = state.regionSize;
+  nextLanguage = state.language ?? DEFAULT_LANGUAGE;
+  topology = normalizeTopology(state.topology);
+  await initializePopulation();
+  // Exact saved values override the slider approximations applied above
+  population.importState(state);
+  updateSeedDisplay();
+  updateEventLog();
+  renderSoup();
+  renderComplexityGraph();
+  renderExecGraph();
+  renderMutationGraph();
+  renderHaltGraph();
+  updateGeneration();
+}
+
+/**
+ * Offer a blob as a file download
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function saveSnapshot() {
+  if (!population) return;
+  // When paused, let the last batches land so the snapshot is an exact state
+  if (!running) {
+    await population.drain();
+  }
+  try {
+    const bytes = await encodeSnapshot(population.exportState());
+    downloadBlob(
+      new Blob([bytes], { type: 'application/octet-stream' }),
+      `turingsoup-seed${population.seed}-epoch${Math.floor(population.generation)}${SNAPSHOT_EXTENSION}`,
+    );
+  } catch (e) {
+    console.error('Failed to save snapshot:', e);
+    window.alert(`Failed to save snapshot: ${e.message}`);
+  }
+}
+
+async function loadSnapshot(file) {
+  try {
+    const state = await decodeSnapshot(new Uint8Array(await file.arrayBuffer()));
+    await restoreState(state);
+  } catch (e) {
+    console.error('Failed to load snapshot:', e);
+    window.alert(`Failed to load snapshot: ${e.message}`);
+  }
+}
+
+/**
+ * Checkpoint the current run to IndexedDB
+ * If a save is still in progress, the state is written once it finishes
+ * (only the latest such state: each checkpoint replaces the last anyway).
+ */
+async function autosave() {
+  if (!population) return;
+  lastAutosaveTime = performance.now();
+  // Capture synchronously: a reset may replace population while encoding
+  const state = population.exportState();
+  if (autosaveInFlight) {
+    autosavePending = state;
+    return;
+  }
+
+  autosaveInFlight = true;
+  let next = state;
+  while (next !== null) {
+    try {
+      const bytes = await encodeSnapshot(next);
+      await saveCheckpoint(bytes, { epoch: next.generation, seed: next.seed });
+      autosaveErrorSpan.hidden = true;
+    } catch (e) {
+      console.warn('Autosave failed:', e);
+      // Keep it visible until a later save works: a reload would lose the run
+      autosaveErrorSpan.hidden = false;
+      autosaveErrorSpan.title = e.message;
+    }
+    next = autosavePending;
+    autosavePending = null;
+  }
+  autosaveInFlight = false;
+}
+
+/**
+ * Show the resume prompt and wait for a choice
+ * @returns {Promise<boolean>} true to resume the checkpoint, false to start fresh
+ */
+function offerResume(checkpoint) {
+  resumeEpochSpan.textContent = `(epoch ${Math.floor(checkpoint.epoch)}, seed ${checkpoint.seed})`;
+  resumeRow.hidden = false;
+
+  return new Promise((resolve) => {
+    const yes = document.getElementById('resume-yes');
+    const no = document.getElementById('resume-no');
+    const choose = (resume) => {
+      resumeRow.hidden = true;
+      yes.removeEventListener('click', onYes);
+      no.removeEventListener('click', onNo);
+      document.removeEventListener('keydown', onKey);
+      resolve(resume);
+    };
+    const onYes = () => choose(true);
+    const onNo = () => choose(false);
+    const onKey = (e) => {
+      if (e.key === 'y' || e.key === 'Y' || e.key === 'Enter') choose(true);
+      else if (e.key === 'n' || e.key === 'N' || e.key === 'Escape') choose(false);
+    };
+    yes.addEventListener('click', onYes);
+    no.addEventListener('click', onNo);
+    document.addEventListener('keydown', onKey);
+  });
+}
+
+/**
+ * Start the page: resume the last checkpoint if the user wants it, else a fresh soup
+ */
+async function start() {
+  let checkpoint = null;
+  try {
+    checkpoint = await loadCheckpoint();
+  } catch (e) {
+    console.warn('Could not read autosave checkpoint:', e);
+  }
+
+  if (checkpoint && await offerResume(checkpoint)) {
+    try {
+      await restoreState(await decodeSnapshot(checkpoint.bytes));
+      return;
+    } catch (e) {
+      console.error('Failed to resume checkpoint, starting fresh:', e);
+    }
+  }
+
+  // ?lang= is only checked against LANGUAGES; load WASM the way the population
+  // would (threaded build first) to ask whether this build can run it
+  await initThreadedWasm() || await initWasm();
+  if (!isLanguageSupported(getLanguage(nextLanguage).code)) {
+    window.alert(`This WASM build cannot run ${getLanguage(nextLanguage).name}; starting with ${getLanguage(DEFAULT_LANGUAGE).name} instead.`);
+    nextLanguage = DEFAULT_LANGUAGE;
+  }
+  await initializePopulation();
 }
 
 // View offset for scrolling through soup
@@ -89,6 +388,101 @@ function renderSoup() {
   }
 }
 
+// Marker colors for detected soup events
+const EVENT_COLORS = {
+  transition: 'rgba(255, 255, 255, 0.8)',
+  reversion: 'rgba(255, 80, 80, 0.8)',
+};
+
+/**
+ * Draw a dashed vertical marker at each detected event's epoch
+ * Uses the same bucketing as the graph lines so markers line up with them.
+ */
+function drawEventMarkers(ctx, history, w, h) {
+  if (!population || population.events.length === 0) return;
+
+  const numPoints = Math.min(history.length, w);
+  const step = history.length / numPoints;
+
+  ctx.save();
+  ctx.setLineDash([3, 3]);
+  ctx.lineWidth = 1;
+  for (const event of population.events) {
+    let index = history.findIndex(entry => entry.epoch >= event.epoch);
+    if (index === -1) index = history.length - 1;
+    const x = (Math.floor(index / step) / Math.max(1, numPoints - 1)) * w;
+
+    ctx.strokeStyle = EVENT_COLORS[event.type];
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, h);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+/**
+ * Draw grid lines at quarters of a graph's height
+ */
+function drawGrid(ctx, w, h) {
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+  ctx.lineWidth = 1;
+  for (let i = 1; i < 4; i++) {
+    const y = h * i / 4;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(w, y);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Draw one metric of a history as a line from 0 (bottom) to maxVal (top)
+ * Long histories are downsampled to one point per pixel, averaging each bucket.
+ * @param {string|function(Object): number} metric - Entry key, or a function reading the value
+ */
+function drawHistoryLine(ctx, history, w, h, metric, maxVal, color, lineWidth = 1.5) {
+  const value = typeof metric === 'function' ? metric : entry => entry[metric];
+  const numPoints = Math.min(history.length, w);
+  const step = history.length / numPoints;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+
+  for (let i = 0; i < numPoints; i++) {
+    const startIdx = Math.floor(i * step);
+    const endIdx = Math.floor((i + 1) * step);
+
+    let sum = 0, count = 0;
+    for (let j = startIdx; j < endIdx && j < history.length; j++) {
+      sum += value(history[j]);
+      count++;
+    }
+    const val = count > 0 ? sum / count : 0;
+
+    const x = (i / Math.max(1, numPoints - 1)) * w;
+    const y = h - (val / maxVal) * (h - 4) - 2;
+
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+}
+
+/**
+ * Graph scale that grows instantly and decays slowly (0.5% per frame)
+ * @param {number} previous - Scale of the last frame
+ * @param {number} currentMax - Largest value in the history now
+ * @returns {number}
+ */
+function stableScale(previous, currentMax) {
+  return Math.max(currentMax, previous * 0.995);
+}
+
 function renderComplexityGraph() {
   if (!population) return;
 
@@ -110,58 +504,15 @@ function renderComplexityGraph() {
 
   if (history.length < 2) return;
 
-  // Find max for scaling - max of 8 bits (theoretical max for entropy)
+  // Max of 8 bits (theoretical max for entropy)
   const maxVal = 8;
+  drawGrid(complexityCtx, w, h);
 
-  // Draw grid lines
-  complexityCtx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-  complexityCtx.lineWidth = 1;
-  for (let i = 1; i < 4; i++) {
-    const y = h * i / 4;
-    complexityCtx.beginPath();
-    complexityCtx.moveTo(0, y);
-    complexityCtx.lineTo(w, y);
-    complexityCtx.stroke();
-  }
-
-  // Downsample if needed
-  const numPoints = Math.min(history.length, w);
-  const step = history.length / numPoints;
-
-  // Helper to draw a line for a specific metric
-  function drawLine(metric, color, lineWidth = 1.5) {
-    complexityCtx.strokeStyle = color;
-    complexityCtx.lineWidth = lineWidth;
-    complexityCtx.beginPath();
-
-    for (let i = 0; i < numPoints; i++) {
-      const startIdx = Math.floor(i * step);
-      const endIdx = Math.floor((i + 1) * step);
-
-      // Average in bucket for smoother lines
-      let sum = 0, count = 0;
-      for (let j = startIdx; j < endIdx && j < history.length; j++) {
-        sum += history[j][metric];
-        count++;
-      }
-      const val = count > 0 ? sum / count : 0;
-
-      const x = (i / Math.max(1, numPoints - 1)) * w;
-      const y = h - (val / maxVal) * (h - 4) - 2;
-
-      if (i === 0) {
-        complexityCtx.moveTo(x, y);
-      } else {
-        complexityCtx.lineTo(x, y);
-      }
-    }
-    complexityCtx.stroke();
-  }
+  drawHistoryLine(complexityCtx, history, w, h, 'shannon', maxVal, 'rgba(255, 255, 255, 0.6)', 1);   // White - Shannon entropy
+  drawHistoryLine(complexityCtx, history, w, h, 'kolmogorov', maxVal, 'rgba(255, 160, 0, 0.6)', 1);  // Orange - Kolmogorov estimate
+  drawHistoryLine(complexityCtx, history, w, h, 'highOrder', maxVal, '#0ff', 1.5);                    // Cyan - High-order entropy
 
-  // Draw all three metrics
-  drawLine('shannon', 'rgba(255, 255, 255, 0.6)', 1);    // White - Shannon entropy
-  drawLine('kolmogorov', 'rgba(255, 160, 0, 0.6)', 1);   // Orange - Kolmogorov estimate
-  drawLine('highOrder', '#0ff', 1.5);                     // Cyan - High-order entropy
+  drawEventMarkers(complexityCtx, history, w, h);
 }
 
 // Execution graph colors (non-pastel, matching legend)
@@ -203,64 +554,494 @@ function renderExecGraph() {
     currentMax = Math.max(currentMax, entry.head0, entry.head1, entry.math, entry.copy, entry.loop);
   }
 
-  // Stable scaling: grow instantly, decay slowly (0.5% per frame)
-  if (currentMax > execGraphMax) {
-    execGraphMax = currentMax;
-  } else {
-    execGraphMax = Math.max(currentMax, execGraphMax * 0.995);
+  execGraphMax = stableScale(execGraphMax, currentMax);
+  drawGrid(execCtx, w, h);
+
+  // Draw all 5 instruction category metrics
+  for (const metric of ['head0', 'head1', 'math', 'copy', 'loop']) {
+    drawHistoryLine(execCtx, history, w, h, metric, execGraphMax, EXEC_COLORS[metric]);
   }
-  const maxVal = execGraphMax;
 
-  // Draw grid lines
-  execCtx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-  execCtx.lineWidth = 1;
-  for (let i = 1; i < 4; i++) {
-    const y = h * i / 4;
-    execCtx.beginPath();
-    execCtx.moveTo(0, y);
-    execCtx.lineTo(w, y);
-    execCtx.stroke();
+  drawEventMarkers(execCtx, history, w, h);
+}
+
+const MUTATION_COLORS = {
+  tape: 'rgba(255, 160, 0, 0.8)',    // orange - interacting tapes
+  cosmic: 'rgba(255, 255, 255, 0.6)', // white - background
+};
+
+// Stable max for mutation graph scaling (grows instantly, decays slowly)
+let mutationGraphMax = 1;
+
+/**
+ * Format a per-epoch mutation count compactly (e.g. 512, 3.4k, 1.2M)
+ */
+function formatCount(value) {
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e4) return `${(value / 1e3).toFixed(0)}k`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+  return value.toFixed(0);
+}
+
+function renderMutationGraph() {
+  if (!population) return;
+
+  const history = population.mutationHistory;
+  const w = mutationGraph.width;
+  const h = mutationGraph.height;
+
+  // Clear
+  mutationCtx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  mutationCtx.fillRect(0, 0, w, h);
+
+  if (history.length > 0) {
+    const current = history[history.length - 1];
+    tapeMutationValueSpan.textContent = formatCount(current.tape);
+    cosmicMutationValueSpan.textContent = formatCount(current.cosmic);
   }
 
-  // Downsample if needed
-  const numPoints = Math.min(history.length, w);
-  const step = history.length / numPoints;
+  if (history.length < 2) return;
+
+  // Stable scaling, as in the execution graph
+  let currentMax = 1;
+  for (const entry of history) {
+    currentMax = Math.max(currentMax, entry.tape, entry.cosmic);
+  }
+  mutationGraphMax = stableScale(mutationGraphMax, currentMax);
+  drawGrid(mutationCtx, w, h);
+
+  drawHistoryLine(mutationCtx, history, w, h, 'tape', mutationGraphMax, MUTATION_COLORS.tape);
+  drawHistoryLine(mutationCtx, history, w, h, 'cosmic', mutationGraphMax, MUTATION_COLORS.cosmic);
+
+  drawEventMarkers(mutationCtx, history, w, h);
+}
+
+const HALT_COLORS = {
+  max_steps: 'hsl(0, 100%, 60%)',             // red - looping programs
+  end_of_tape: 'rgba(255, 255, 255, 0.6)',    // white
+  unmatched_bracket: 'rgba(255, 160, 0, 0.8)', // orange
+  other: 'rgba(255, 255, 255, 0.25)',          // no instructions, head out of bounds
+};
+
+/**
+ * Draw the share of each halt reason over time, and the latest step-count
+ * histogram (log2 bins) below it
+ */
+function renderHaltGraph() {
+  if (!population) return;
+
+  const history = population.haltHistory;
+  const w = haltGraph.width;
+  const h = haltGraph.height;
+
+  // Clear
+  haltCtx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  haltCtx.fillRect(0, 0, w, h);
+
+  if (history.length > 0) {
+    const current = history[history.length - 1];
+    maxStepHaltsValueSpan.textContent = `${(current.max_steps * 100).toFixed(1)}%`;
+  }
+  stepsValueSpan.textContent = population.stepsEMA.toFixed(0);
+
+  renderStepHistogram();
+
+  if (history.length < 2) return;
+
+  // Shares have a fixed 0-1 scale
+  drawGrid(haltCtx, w, h);
+
+  const share = (entry, reason) => reason === 'other'
+    ? entry.no_instructions + entry.head_out_of_bounds
+    : entry[reason];
+  for (const reason of ['other', 'unmatched_bracket', 'end_of_tape', 'max_steps']) {
+    drawHistoryLine(haltCtx, history, w, h, entry => share(entry, reason), 1, HALT_COLORS[reason]);
+  }
+
+  drawEventMarkers(haltCtx, history, w, h);
+}
+
+function renderStepHistogram() {
+  const histogram = population.stepHistogram;
+  const w = stepsGraph.width;
+  const h = stepsGraph.height;
+
+  stepsCtx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  stepsCtx.fillRect(0, 0, w, h);
+
+  const maxCount = Math.max(...histogram);
+  if (maxCount === 0) return;
+
+  // One bar per log2 bin; the bin holding the step limit is drawn in the max-steps color
+  const limitBin = stepBin(population.maxSteps);
+  const barWidth = w / histogram.length;
+  for (let bin = 0; bin < histogram.length; bin++) {
+    const barHeight = (histogram[bin] / maxCount) * (h - 2);
+    stepsCtx.fillStyle = bin === limitBin ? HALT_COLORS.max_steps : HALT_COLORS.end_of_tape;
+    stepsCtx.fillRect(bin * barWidth + 1, h - barHeight, barWidth - 2, barHeight);
+  }
+}
+
+/**
+ * Show the epoch (completed pairs only), any pairs lost to failed batches and
+ * any workers replaced after crashing or hanging
+ */
+function updateGeneration() {
+  soupGenerationSpan.textContent = population.generation.toFixed(2);
+  const restarts = population.workerRestarts;
+  const problems = [];
+  if (population.failedPairs > 0) problems.push(`${population.failedPairs} failed`);
+  if (restarts > 0) problems.push(`${restarts} worker restart${restarts === 1 ? '' : 's'}`);
+  failedPairsSpan.hidden = problems.length === 0;
+  failedPairsSpan.textContent = problems.join(' · ');
+  failedPairsSpan.title = population.lastError?.message ?? '';
+}
+
+function updateSeedDisplay() {
+  if (!population) return;
+  const pending = nextSeed !== null && nextSeed !== population.seed ? ` → ${nextSeed}` : '';
+  seedDisplay.textContent = `${population.seed}${pending}`;
+}
 
-  // Helper to draw a line for a specific metric
-  function drawLine(metric, color, lineWidth = 1.5) {
-    execCtx.strokeStyle = color;
-    execCtx.lineWidth = lineWidth;
-    execCtx.beginPath();
-
-    for (let i = 0; i < numPoints; i++) {
-      const startIdx = Math.floor(i * step);
-      const endIdx = Math.floor((i + 1) * step);
-
-      let sum = 0, count = 0;
-      for (let j = startIdx; j < endIdx && j < history.length; j++) {
-        sum += history[j][metric];
-        count++;
-      }
-      const val = count > 0 ? sum / count : 0;
-
-      const x = (i / Math.max(1, numPoints - 1)) * w;
-      const yPos = h - (val / maxVal) * (h - 4) - 2;
-
-      if (i === 0) {
-        execCtx.moveTo(x, yPos);
-      } else {
-        execCtx.lineTo(x, yPos);
-      }
+function promptSeed() {
+  let message = 'Seed for next reset (r). Leave empty for a random seed.';
+  let input = String(nextSeed ?? population?.seed ?? '');
+  // Ask again until the input parses or the prompt is cancelled
+  while (true) {
+    input = window.prompt(message, input);
+    if (input === null) return;
+    if (input.trim() === '') {
+      nextSeed = null;
+      break;
     }
-    execCtx.stroke();
+    const seed = Random.parseSeed(input);
+    if (seed !== null) {
+      nextSeed = seed;
+      break;
+    }
+    message = `"${input.trim()}" is not a seed: enter a whole number (decimal or 0x hex), or leave empty for a random seed.`;
   }
+  updateSeedDisplay();
+}
 
-  // Draw all 5 instruction category metrics
-  drawLine('head0', EXEC_COLORS.head0, 1.5);
-  drawLine('head1', EXEC_COLORS.head1, 1.5);
-  drawLine('math', EXEC_COLORS.math, 1.5);
-  drawLine('copy', EXEC_COLORS.copy, 1.5);
-  drawLine('loop', EXEC_COLORS.loop, 1.5);
+function updateLanguageDisplay() {
+  if (!population) return;
+  const next = getLanguage(nextLanguage);
+  const pending = next !== population.language ? ` → ${next.name}` : '';
+  languageDisplay.textContent = `${population.language.name}${pending}`;
+}
+
+/**
+ * Pick the next language this WASM build can run; it takes effect on reset
+ */
+function cycleLanguage() {
+  if (!population) return;
+  const ids = Object.keys(LANGUAGES).filter(id => isLanguageSupported(LANGUAGES[id].code));
+  nextLanguage = ids[(ids.indexOf(nextLanguage) + 1) % ids.length];
+  updateLanguageDisplay();
+}
+
+function updateTopologyDisplay() {
+  for (const rule of Object.keys(TOPOLOGY_OPTIONS)) {
+    topologyKeys[rule].textContent = topology[rule];
+  }
+}
+
+/**
+ * Switch one edge rule to its next choice this WASM build can run
+ * @param {string} rule - 'heads', 'ip' or 'brackets'
+ */
+function cycleTopology(rule) {
+  if (!population) return;
+  const choices = TOPOLOGY_OPTIONS[rule];
+  for (let i = 1; i <= choices.length; i++) {
+    const candidate = { ...topology, [rule]: choices[(choices.indexOf(topology[rule]) + i) % choices.length] };
+    if (isTopologySupported(encodeTopology(candidate))) {
+      topology = candidate;
+      break;
+    }
+  }
+  population.setTopology(topology);
+  updateTopologyDisplay();
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Tooltip HTML for one execution metric slot of the running language
+ * @param {string} slot - One of EXEC_SLOTS
+ */
+function slotTooltip(slot) {
+  const language = population?.language ?? getLanguage(nextLanguage);
+  const { title, note } = language.slots[slot];
+  const instructions = language.instructionsIn(slot);
+  const codes = instructions.map(char => `<code>${escapeHtml(char)}</code>`);
+  const docs = instructions.map((char, i) => `<div>${codes[i]} ${language.instructions[char].doc}</div>`);
+  return `
+    <div class="tooltip-title">${codes.join(' ')} ${title}</div>
+    ${docs.join('\n')}
+    <div style="margin-top: 8px; color: #888; font-size: 11px;">${note}</div>
+  `;
+}
+
+/**
+ * Show the running language's instructions in the legend and execution graph labels
+ */
+function renderLanguageLegend() {
+  const language = population.language;
+  instructionsTitle.textContent = `${language.name} Instructions`;
+
+  instructionLegend.replaceChildren();
+  for (const slot of EXEC_SLOTS) {
+    const group = document.createElement('div');
+    group.className = 'legend-group';
+    const label = document.createElement('span');
+    label.className = 'legend-label';
+    label.textContent = language.slots[slot].label;
+    const items = document.createElement('div');
+    items.className = 'legend-items';
+    for (const char of language.instructionsIn(slot)) {
+      const { h, s, l } = language.instructions[char].color;
+      const item = document.createElement('div');
+      item.className = 'legend-item';
+      const swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = `hsl(${h}, ${s}%, ${l}%)`;
+      const code = document.createElement('code');
+      code.textContent = char;
+      item.append(swatch, code);
+      items.append(item);
+    }
+    group.append(label, items);
+    instructionLegend.append(group);
+    registerTooltip(group, { content: () => slotTooltip(slot), position: 'left' });
+
+    // Graph labels list the instructions each counter counts
+    const symbols = language.instructionsIn(slot, true).join('');
+    const legendItem = document.getElementById(`exec-legend-${slot}`);
+    legendItem.replaceChildren(legendItem.querySelector('.dot'), symbols);
+    document.querySelector(`#exec-stat-${slot} .stat-label`).textContent = symbols;
+  }
+}
+
+function updateUntilDisplay(reached = null) {
+  untilDisplay.textContent = reached ? `reached ${reached}` : (stopConditions?.toString() ?? 'none');
+}
+
+function promptUntil() {
+  const input = window.prompt(
+    'Run until (any of): epoch N, pairs N, hk X, copy X, time 90s/10m. Separate with commas; empty to run forever.',
+    stopConditions?.toString() ?? '',
+  );
+  if (input === null) return;
+  try {
+    stopConditions = StopConditions.parse(input);
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  // The time budget counts from now
+  untilElapsed = 0;
+  runSegmentStart = performance.now();
+  updateUntilDisplay();
+}
+
+/**
+ * Pause if a run-until condition holds; the conditions are used up once reached
+ * @returns {boolean} True if the run was stopped
+ */
+function checkStopConditions() {
+  if (!stopConditions) return false;
+  const elapsed = untilElapsed + (performance.now() - runSegmentStart) / 1000;
+  const reached = stopConditions.check(population, elapsed);
+  if (!reached) return false;
+
+  stopConditions = null;
+  stopRunning();
+  updateUntilDisplay(reached);
+  return true;
+}
+
+function toggleDebugger() {
+  debuggerPanel.hidden = !debuggerPanel.hidden;
+}
+
+/**
+ * Load the debugger with copies of two soup tapes
+ * @param {number} a - Byte offset of the first tape
+ * @param {number} b - Byte offset of the second tape
+ */
+function debugSoupPair(a, b) {
+  const size = population.regionSize;
+  const maxOffset = population.soup.length - size;
+  for (const offset of [a, b]) {
+    if (!Number.isInteger(offset) || offset < 0 || offset > maxOffset) {
+      window.alert(`Tape offsets must be whole numbers from 0 to ${maxOffset}`);
+      return;
+    }
+  }
+  debugOffsetA.value = a;
+  debugOffsetB.value = b;
+  pairDebugger.load(
+    population.soup.slice(a, a + size),
+    population.soup.slice(b, b + size),
+    population.head1Offset,
+    population.maxSteps,
+    population.language,
+    population.topology,
+  );
+  debuggerPanel.hidden = false;
+}
+
+function debugOffsets() {
+  if (!population) return;
+  debugSoupPair(Number(debugOffsetA.value), Number(debugOffsetB.value));
+}
+
+function debugLastPair() {
+  const pair = population?.currentPairs[0];
+  if (pair) {
+    debugSoupPair(pair.a, pair.b);
+  }
+}
+
+function debugTypedPair() {
+  if (!population) return;
+  const size = population.regionSize;
+  pairDebugger.load(
+    PairDebugger.parseProgram(debugProgramA.value, size),
+    PairDebugger.parseProgram(debugProgramB.value, size),
+    population.head1Offset,
+    population.maxSteps,
+    population.language,
+    population.topology,
+  );
+}
+
+// Last recorded trace of the debugger's pair
+let lastTrace = null;
+
+/**
+ * Trace the debugger's pair from step 0 and draw it as a space-time diagram
+ * @param {string} interpreter - 'js' or 'wasm'
+ */
+function tracePair(interpreter) {
+  if (!pairDebugger.initial) return;
+  try {
+    lastTrace = interpreter === 'js'
+      ? traceInterpreter(pairDebugger.initial, pairDebugger.head1Offset, pairDebugger.maxSteps, pairDebugger.language, pairDebugger.topology)
+      : traceWasm(pairDebugger.initial, pairDebugger.head1Offset, pairDebugger.maxSteps, pairDebugger.language, pairDebugger.topology);
+  } catch (e) {
+    console.error('Trace failed:', e);
+    lastTrace = null;
+    traceSummary.textContent = `${interpreter}: ${e.message}`;
+    traceView.hidden = true;
+    return;
+  }
+  const stride = renderSpaceTime(traceCanvas, lastTrace);
+  const rows = stride > 1 ? ` (1 row per ${stride} steps)` : '';
+  traceSummary.textContent = `${interpreter}: ${lastTrace.steps.length} steps, ${lastTrace.haltReason}${rows}`;
+  traceView.hidden = false;
+}
+
+/**
+ * Download the last trace
+ * @param {string} format - 'json', 'csv' or 'png'
+ */
+function exportTrace(format) {
+  if (!lastTrace) return;
+  const name = `trace-${lastTrace.interpreter}-${lastTrace.steps.length}steps`;
+  if (format === 'json') {
+    downloadBlob(new Blob([traceToJSON(lastTrace)], { type: 'application/json' }), `${name}.json`);
+  } else if (format === 'csv') {
+    downloadBlob(new Blob([traceToCSV(lastTrace)], { type: 'text/csv' }), `${name}.csv`);
+  } else {
+    traceCanvas.toBlob(blob => downloadBlob(blob, `${name}.png`), 'image/png');
+  }
+}
+
+// Shift-click picks tape A, then tape B, then loads the pair
+let debugPickedTape = null;
+
+function pickDebugTape(e) {
+  if (!population) return;
+  const rect = soupCanvas.getBoundingClientRect();
+  const col = Math.floor((e.clientX - rect.left) / rect.width * SOUP_WIDTH);
+  const row = viewOffset + Math.floor((e.clientY - rect.top) / rect.height * DISPLAY_HEIGHT);
+  const byte = row * SOUP_WIDTH + col;
+  const tape = byte - (byte % population.regionSize);
+
+  if (debugPickedTape === null) {
+    debugPickedTape = tape;
+    debugOffsetA.value = tape;
+    debugOffsetB.value = '';
+    debuggerPanel.hidden = false;
+  } else {
+    debugSoupPair(debugPickedTape, tape);
+    debugPickedTape = null;
+  }
+}
+
+async function resetPopulation() {
+  // Checkpoint the soup being replaced; stopRunning only does when it was running
+  if (!running) autosave();
+  stopRunning();
+  await initializePopulation();
+}
+
+function updateTransitionThresholds() {
+  const highOrder = parseInt(detectHkSlider.value, 10) / 10;
+  const copy = parseInt(detectCopySlider.value, 10);
+  detectHkDisplay.textContent = highOrder.toFixed(1);
+  detectCopyDisplay.textContent = copy === 0 ? 'off' : copy;
+  if (population) {
+    population.transitionDetector.thresholds.highOrder = highOrder;
+    population.transitionDetector.thresholds.copy = copy;
+  }
+}
+
+function updateEventLog() {
+  if (!population) return;
+  // Most recent few events: up arrow = transition, down arrow = reversion
+  const recent = population.events.slice(-5);
+  eventLogSpan.textContent = recent.length === 0
+    ? 'none'
+    : recent.map(e => `${e.type === 'transition' ? '↑' : '↓'}${Math.floor(e.epoch)}`).join(' ');
+}
+
+function cycleTransitionAction() {
+  transitionActionIndex = (transitionActionIndex + 1) % TRANSITION_ACTIONS.length;
+  const action = TRANSITION_ACTIONS[transitionActionIndex];
+  transitionActionSpan.textContent = action;
+  // Ask while we have a user gesture; without permission we still flash the event log
+  if (action === 'notify' && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+}
+
+/**
+ * React to a detected soup event according to the chosen action
+ */
+function handleSoupEvent(event) {
+  updateEventLog();
+  if (event.type !== 'transition') return;
+
+  const action = TRANSITION_ACTIONS[transitionActionIndex];
+  if (action === 'none') return;
+
+  eventLogSpan.classList.remove('flash');
+  void eventLogSpan.offsetWidth;  // Restart the animation
+  eventLogSpan.classList.add('flash');
+
+  if (action === 'pause') {
+    stopRunning();
+  } else if (action === 'notify' && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+    new Notification('Turing Soup: phase transition', {
+      body: `Replicators took over at epoch ${Math.floor(event.epoch)} (H-K ${event.highOrder.toFixed(2)}, copy ${event.copy.toFixed(0)})`,
+    });
+  }
 }
 
 function updatePairsPerStep() {
@@ -287,10 +1068,64 @@ function speedDown() {
   }
 }
 
+function updateMode() {
+  modeDisplay.textContent = deterministic ? 'deterministic' : 'fast';
+  if (population) {
+    population.deterministic = deterministic;
+  }
+}
+
+function toggleMode() {
+  deterministic = !deterministic;
+  updateMode();
+}
+
+function updateWorkersDisplay() {
+  workersDisplay.textContent = population?.singleThreaded ? 'main thread' : numWorkers;
+}
+
+/**
+ * Grow or shrink the worker pool; batches in flight carry on
+ * @param {number} delta - Workers to add (negative to remove)
+ */
+function changeWorkers(delta) {
+  // Without SharedArrayBuffer there are no workers to add
+  if (!population || population.singleThreaded) return;
+  const count = Math.min(MAX_WORKERS, Math.max(1, numWorkers + delta));
+  if (count === numWorkers) return;
+  numWorkers = count;
+  updateWorkersDisplay();
+  // Slots that come back start from zero; restart the rate baseline
+  lastWorkerStats = null;
+  population.setWorkerCount(count).catch(e => console.warn('Worker resize failed:', e));
+}
+
+/**
+ * Show each worker's pairs per second since the last update
+ * @param {number} elapsed - Seconds since the last update
+ */
+function updateWorkerThroughput(elapsed) {
+  const stats = population.workerStats();
+  if (lastWorkerStats) {
+    workerRates = stats.map(({ pairs, busyMs }, i) => {
+      const previous = lastWorkerStats[i] ?? { pairs: 0, busyMs: 0 };
+      return {
+        rate: (pairs - previous.pairs) / elapsed,
+        busy: Math.min(1, (busyMs - previous.busyMs) / 1000 / elapsed),
+      };
+    });
+    workerThroughputSpan.textContent = workerRates.map(({ rate }) => formatCount(rate)).join(' ');
+  }
+  lastWorkerStats = stats;
+}
+
 function startRunning() {
-  if (running) return;
+  if (running || !population) return;
   running = true;
   runStateSpan.textContent = 'running';
+  lastAutosaveTime = performance.now();
+  runSegmentStart = performance.now();
+  updateUntilDisplay();
 
   const runLoop = (timestamp) => {
     if (!running) return;
@@ -298,15 +1133,18 @@ function startRunning() {
     // Update pairs per step from slider
     updatePairsPerStep();
 
-    // Queue up work until we hit the pending limit
+    // Queue up work until we hit the pending limit (never past a run-until target)
+    const pairLimit = stopConditions ? stopConditions.pairLimit(population.numTapes) : Infinity;
     for (let i = 0; i < population.maxPendingExecutions; i++) {
-      population.soupStep();
+      population.soupStep(pairLimit);
     }
 
     renderSoup();
     renderComplexityGraph();
     renderExecGraph();
-    soupGenerationSpan.textContent = population.generation.toFixed(2);
+    renderMutationGraph();
+    renderHaltGraph();
+    updateGeneration();
 
     // Calculate epochs per second
     const now = performance.now();
@@ -315,10 +1153,17 @@ function startRunning() {
       const epochsDelta = population.generation - lastEpoch;
       const eps = epochsDelta / elapsed;
       epochsPerSecSpan.textContent = `(${eps.toFixed(1)} e/s)`;
+      updateWorkerThroughput(elapsed);
       lastEpoch = population.generation;
       lastEpochTime = now;
     }
 
+    if (now - lastAutosaveTime >= AUTOSAVE_INTERVAL_MS) {
+      autosave();
+    }
+
+    if (checkStopConditions()) return;
+
     animationId = requestAnimationFrame(runLoop);
   };
 
@@ -326,6 +1171,11 @@ function startRunning() {
 }
 
 function stopRunning() {
+  // Checkpoint on pause so the state just before a reset or reload survives
+  if (running) {
+    autosave();
+    untilElapsed += (performance.now() - runSegmentStart) / 1000;
+  }
   running = false;
   runStateSpan.textContent = 'paused';
   if (animationId) {
@@ -344,26 +1194,45 @@ function toggle() {
 
 const mutationDisplay = document.getElementById('mutation-display');
 
-function updateMutationRate() {
-  const sliderValue = parseInt(mutationRateSlider.value, 10);
-  let rate = 0;
-  if (sliderValue > 0) {
-    rate = Math.pow(10, (sliderValue - 100) / 20);
-  }
-  if (population) {
-    population.setMutationParams(rate, 'uniform', 16);
-  }
-  // Update display
+/**
+ * Log-scale rate sliders: 0 is off, 1-100 span 10^-5 to 1
+ */
+function sliderToRate(sliderValue) {
+  return sliderValue > 0 ? Math.pow(10, (sliderValue - 100) / 20) : 0;
+}
+
+function rateToSlider(rate) {
+  return rate > 0 ? Math.round(100 + 20 * Math.log10(rate)) : 0;
+}
+
+function formatRate(rate) {
   const pct = rate * 100;
   if (pct === 0) {
-    mutationDisplay.textContent = '0%';
+    return '0%';
   } else if (pct >= 1) {
-    mutationDisplay.textContent = `${pct.toFixed(1)}%`;
+    return `${pct.toFixed(1)}%`;
   } else if (pct >= 0.01) {
-    mutationDisplay.textContent = `${pct.toFixed(3)}%`;
-  } else {
-    mutationDisplay.textContent = `${pct.toFixed(4)}%`;
+    return `${pct.toFixed(3)}%`;
   }
+  return `${pct.toFixed(4)}%`;
+}
+
+function updateMutationRate() {
+  const rate = sliderToRate(parseInt(mutationRateSlider.value, 10));
+  const type = Object.keys(MUTATION_TYPES)[parseInt(mutationTypeSlider.value, 10)];
+  mutationTypeDisplay.textContent = MUTATION_TYPES[type].name;
+  if (population) {
+    population.setMutationParams(rate, type, population.mutationStdDev);
+  }
+  mutationDisplay.textContent = formatRate(rate);
+}
+
+function updateCosmicRate() {
+  const rate = sliderToRate(parseInt(cosmicRateSlider.value, 10));
+  if (population) {
+    population.cosmicRate = rate;
+  }
+  cosmicDisplay.textContent = formatRate(rate);
 }
 
 function updateLocality() {
@@ -439,19 +1308,61 @@ function updateMaxSteps() {
 }
 
 // Event listeners
-soupCanvas.addEventListener('click', toggle);
+soupCanvas.addEventListener('click', (e) => {
+  if (e.shiftKey) {
+    pickDebugTape(e);
+  } else {
+    toggle();
+  }
+});
 
 mutationRateSlider.addEventListener('input', updateMutationRate);
+mutationTypeSlider.addEventListener('input', updateMutationRate);
+cosmicRateSlider.addEventListener('input', updateCosmicRate);
 localitySlider.addEventListener('input', updateLocality);
 alignmentSlider.addEventListener('input', updateAlignment);
 tapeLengthSlider.addEventListener('input', updateTapeLength);
 head1OffsetSlider.addEventListener('input', updateHead1Offset);
 maxStepsSlider.addEventListener('input', updateMaxSteps);
+detectHkSlider.addEventListener('input', updateTransitionThresholds);
+detectCopySlider.addEventListener('input', updateTransitionThresholds);
 
 // Click handlers for control keys
 document.getElementById('toggle-run').addEventListener('click', toggle);
 document.getElementById('speed-up').addEventListener('click', speedUp);
 document.getElementById('speed-down').addEventListener('click', speedDown);
+document.getElementById('toggle-mode').addEventListener('click', toggleMode);
+document.getElementById('workers-down').addEventListener('click', () => changeWorkers(-1));
+document.getElementById('workers-up').addEventListener('click', () => changeWorkers(1));
+document.getElementById('set-until').addEventListener('click', promptUntil);
+document.getElementById('cycle-transition-action').addEventListener('click', cycleTransitionAction);
+document.getElementById('set-seed').addEventListener('click', promptSeed);
+document.getElementById('cycle-language').addEventListener('click', cycleLanguage);
+for (const [rule, key] of Object.entries(topologyKeys)) {
+  key.addEventListener('click', () => cycleTopology(rule));
+}
+document.getElementById('toggle-debugger').addEventListener('click', toggleDebugger);
+document.getElementById('debug-load-soup').addEventListener('click', debugOffsets);
+document.getElementById('debug-load-last').addEventListener('click', debugLastPair);
+document.getElementById('debug-load-typed').addEventListener('click', debugTypedPair);
+document.getElementById('debug-back').addEventListener('click', () => pairDebugger.stepBack());
+document.getElementById('debug-step').addEventListener('click', () => pairDebugger.step());
+document.getElementById('trace-js').addEventListener('click', () => tracePair('js'));
+document.getElementById('trace-wasm').addEventListener('click', () => tracePair('wasm'));
+document.getElementById('trace-export-json').addEventListener('click', () => exportTrace('json'));
+document.getElementById('trace-export-csv').addEventListener('click', () => exportTrace('csv'));
+document.getElementById('trace-export-png').addEventListener('click', () => exportTrace('png'));
+debugScrub.addEventListener('input', () => pairDebugger.seek(parseInt(debugScrub.value, 10)));
+document.getElementById('debug-run').addEventListener('click', () => pairDebugger.runToBreakpoint());
+document.getElementById('debug-restart').addEventListener('click', () => pairDebugger.restart());
+document.getElementById('reset-run').addEventListener('click', resetPopulation);
+document.getElementById('snapshot-save').addEventListener('click', saveSnapshot);
+document.getElementById('snapshot-load').addEventListener('click', () => snapshotFileInput.click());
+snapshotFileInput.addEventListener('change', () => {
+  const file = snapshotFileInput.files[0];
+  snapshotFileInput.value = '';
+  if (file) loadSnapshot(file);
+});
 document.getElementById('page-left').addEventListener('click', () => {
   const newOffset = Math.max(0, viewOffset - DISPLAY_HEIGHT);
   if (newOffset !== viewOffset) {
@@ -470,12 +1381,30 @@ document.getElementById('page-right').addEventListener('click', () => {
 });
 
 document.addEventListener('keydown', async (e) => {
+  // Typing into the debugger fields is not a shortcut
+  if (e.target.matches('input[type="text"]')) return;
+
   if (e.key === ' ') {
     e.preventDefault();
     toggle();
   } else if (e.key === 'r' || e.key === 'R') {
-    stopRunning();
-    await initializePopulation();
+    await resetPopulation();
+  } else if (e.key === 's' || e.key === 'S') {
+    promptSeed();
+  } else if (e.key === 'l' || e.key === 'L') {
+    cycleLanguage();
+  } else if (e.key === 'd' || e.key === 'D') {
+    toggleMode();
+  } else if (e.key === '[') {
+    changeWorkers(-1);
+  } else if (e.key === ']') {
+    changeWorkers(1);
+  } else if (e.key === 't' || e.key === 'T') {
+    cycleTransitionAction();
+  } else if (e.key === 'u' || e.key === 'U') {
+    promptUntil();
+  } else if (e.key === 'b' || e.key === 'B') {
+    toggleDebugger();
   } else if (e.key === 'ArrowLeft') {
     e.preventDefault();
     const newOffset = Math.max(0, viewOffset - DISPLAY_HEIGHT);
@@ -502,7 +1431,7 @@ document.addEventListener('keydown', async (e) => {
 });
 
 // Initialize
-initializePopulation().catch(e => {
+start().catch(e => {
   console.error('Failed to initialize:', e);
   document.body.innerHTML = `<div style="color: #f66; padding: 40px; font-family: monospace;">
     <h2>Failed to initialize</h2>
@@ -526,72 +1455,8 @@ try {
 }
 
 function setupTooltips() {
-  // Shared tooltip content for BFF operations (used by both BFF legend and execution legend)
-  const opTooltips = {
-    head0: {
-      content: `
-        <div class="tooltip-title"><code>&lt; &gt;</code> Head0 Movement</div>
-        <div><code>&lt;</code> decrements head0 position (moves left)</div>
-        <div><code>&gt;</code> increments head0 position (moves right)</div>
-        <div style="margin-top: 8px; color: #888; font-size: 11px;">
-          Head0 is the primary read head. It determines what byte is read
-          for conditionals and what location is modified by <code>+</code>/<code>-</code> operations.
-          <strong>Initialized at position 0</strong> (start of tape).
-          Wraps around at tape boundaries.
-        </div>
-      `,
-      position: 'left',
-    },
-    head1: {
-      content: `
-        <div class="tooltip-title"><code>{ }</code> Head1 Movement</div>
-        <div><code>{</code> decrements head1 position (moves left)</div>
-        <div><code>}</code> increments head1 position (moves right)</div>
-        <div style="margin-top: 8px; color: #888; font-size: 11px;">
-          Head1 is the secondary write head. It's used as source/destination
-          for copy operations. <strong>Initialized at the configured offset</strong>
-          (default 32). Wraps around at tape boundaries.
-        </div>
-      `,
-      position: 'left',
-    },
-    math: {
-      content: `
-        <div class="tooltip-title"><code>+ -</code> Arithmetic</div>
-        <div><code>+</code> increments byte at head0 (wrapping 255→0)</div>
-        <div><code>-</code> decrements byte at head0 (wrapping 0→255)</div>
-        <div style="margin-top: 8px; color: #888; font-size: 11px;">
-          These operations modify the tape content at the current head0 position.
-          Essential for creating and modifying program code.
-        </div>
-      `,
-      position: 'left',
-    },
-    copy: {
-      content: `
-        <div class="tooltip-title"><code>. ,</code> Copy Operations</div>
-        <div><code>.</code> copies byte from head0 to head1</div>
-        <div><code>,</code> copies byte from head1 to head0</div>
-        <div style="margin-top: 8px; color: #888; font-size: 11px;">
-          Copy operations are key to self-replication. A replicator uses these
-          to duplicate its own code to another location in the soup.
-        </div>
-      `,
-      position: 'left',
-    },
-    loop: {
-      content: `
-        <div class="tooltip-title"><code>[ ]</code> Conditional Loops</div>
-        <div><code>[</code> if byte at head0 is 0, jump to matching <code>]</code></div>
-        <div><code>]</code> if byte at head0 is not 0, jump back to matching <code>[</code></div>
-        <div style="margin-top: 8px; color: #888; font-size: 11px;">
-          Loops enable conditional execution. Unmatched brackets cause the
-          program to halt immediately. The loop counter tracks <code>]</code> executions only.
-        </div>
-      `,
-      position: 'left',
-    },
-  };
+  // Operation tooltips follow the running language (legend groups register theirs in renderLanguageLegend)
+  const slotTooltipConfig = (slot) => ({ content: () => slotTooltip(slot), position: 'right' });
 
   // Title tooltip
   registerTooltip(document.querySelector('.title'), {
@@ -640,6 +1505,8 @@ function setupTooltips() {
       <div style="margin-top: 8px; color: #888; font-size: 11px;">
         Since each pair involves 2 tapes, after one epoch each tape has been
         selected twice on average. This normalizes progress across different soup sizes.
+        Only executions that have completed are counted; pairs lost to failed
+        worker batches are shown in red.
       </div>
     `,
     position: 'right',
@@ -671,6 +1538,188 @@ function setupTooltips() {
     position: 'right',
   });
 
+  // Seed tooltip
+  registerTooltip(document.getElementById('seed-display'), {
+    content: `
+      <div class="tooltip-title">Run Seed</div>
+      <div>Seeds every random choice: initial soup, pair selection and mutation.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Press <code>s</code> to choose the seed for the next reset, then <code>r</code> to reset.
+        Leave it empty to draw a random seed. A seed can also be given in the URL as <code>?seed=</code>.
+      </div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        In fast mode, parallel workers write to the soup concurrently, so runs may
+        diverge slightly over time even with the same seed. Use deterministic mode
+        for bit-for-bit repeatable runs.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  // Execution mode tooltip
+  registerTooltip(document.getElementById('mode-display'), {
+    content: `
+      <div class="tooltip-title">Execution Mode</div>
+      <div><strong>fast</strong>: many batches in flight; pairs sharing a tape may interleave.</div>
+      <div><strong>deterministic</strong>: one batch at a time, run in waves of
+      tape-disjoint pairs, background mutation applied after execution.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Deterministic runs are bit-for-bit repeatable for a given seed, whatever
+        the number of workers, but fewer epochs per second. Press <code>d</code> to toggle;
+        start from a reset for a fully repeatable run.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  registerTooltip(document.getElementById('workers-label'), {
+    content: () => population?.singleThreaded ? `
+      <div class="tooltip-title">Workers</div>
+      <div>This page is not cross-origin isolated, so workers cannot share the
+      soup (no SharedArrayBuffer). Pairs run on the main thread instead, much slower.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Happens when the page is embedded in another site or served without
+        COOP/COEP headers. Open it in its own tab, or serve it with <code>make serve</code>.
+      </div>
+    ` : `
+      <div class="tooltip-title">Workers</div>
+      <div>Threads running pairs. Press <code>[</code> and <code>]</code> to remove or add one;
+      the change applies immediately, without a reset.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Batches are cut into chunks that idle workers pick up, so a worker
+        stuck on slow pairs takes fewer of them. Up to ${MAX_WORKERS} (the
+        core count); preset with <code>?workers=</code>.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  registerTooltip(document.getElementById('throughput-label'), {
+    content: () => `
+      <div class="tooltip-title">Worker Throughput</div>
+      <div>Pairs each worker ran per second over the last half second, and the share of that time it was busy.</div>
+      <div style="margin-top: 8px; font-family: monospace; font-size: 11px; color: #888;">
+        ${workerRates.map(({ rate, busy }, i) => `#${i} ${formatCount(rate)} pairs/s, ${(busy * 100).toFixed(0)}% busy`).join('<br>') || 'Updates while running'}
+      </div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Workers well under 100% busy mean the main thread cannot keep them fed;
+        fewer workers may then run just as fast.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  // Run-until tooltip
+  registerTooltip(document.getElementById('until-label'), {
+    content: `
+      <div class="tooltip-title">Run Until</div>
+      <div>Pause automatically when any condition holds.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        <code>epoch 5000</code>, <code>pairs 1000000</code>: stop exactly at that point.<br>
+        <code>hk 1.5</code>, <code>copy 40</code>: stop once the metric reaches the value.<br>
+        <code>time 10m</code>: stop after that much running time.<br>
+        Combine with commas. Press <code>u</code> to set.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  // Pair debugger tooltips
+  registerTooltip(document.getElementById('debugger-label'), {
+    content: `
+      <div class="tooltip-title">Pair Debugger</div>
+      <div>Step through one pair interaction with the JS interpreter.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Shift-click two tapes in the soup, enter their byte offsets, take the
+        last selected pair, or type tapes in. Runs on a copy; the soup is not changed.
+        Press <code>b</code> to show or hide.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  registerTooltip(document.getElementById('debugger-title'), {
+    content: `
+      <div class="tooltip-title">Pair Debugger</div>
+      <div>The two tapes are joined into one tape of 2 × tape length cells, as in the soup.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        White box: IP. Cyan bar: head0. Magenta bar: head1. Yellow box: last write.
+        Click a cell to toggle a breakpoint (red dot) on that IP position.
+        <strong>back</strong> undoes a step; drag the slider to scrub through
+        every step reached so far.
+      </div>
+    `,
+    position: 'top',
+  });
+
+  registerTooltip(document.getElementById('trace-label'), {
+    content: `
+      <div class="tooltip-title">Execution Trace</div>
+      <div>Record every step of the loaded pair with the JS interpreter or the WASM interpreter the soup runs.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Drawn as a space-time diagram: tape cells across, steps down, with the
+        IP in white, head0 in cyan and head1 in magenta. Export the steps
+        (IP, opcode, heads, writes) as JSON or CSV, or the diagram as PNG.
+        Both use the Head1 offset and Max steps in effect when the pair was loaded.
+      </div>
+    `,
+    position: 'top',
+  });
+
+  // Event log tooltip
+  registerTooltip(document.getElementById('events-label'), {
+    content: `
+      <div class="tooltip-title">Phase Transitions</div>
+      <div>Epochs at which the soup entered (↑) or left (↓) the self-replicating regime.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Detected when H-K and the copy rate both stay at or above their
+        <em>Detect</em> thresholds for several consecutive samples. Marked
+        with dashed lines on both graphs.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  registerTooltip(document.getElementById('transition-action'), {
+    content: `
+      <div class="tooltip-title">On Transition</div>
+      <div>What happens when a phase transition is detected.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        <strong>none</strong>: only log and mark it.<br>
+        <strong>notify</strong>: flash the event log and show a browser notification (if allowed).<br>
+        <strong>pause</strong>: stop the run at that point.<br>
+        Press <code>t</code> to cycle.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  // Resume tooltip
+  registerTooltip(document.getElementById('resume-label'), {
+    content: `
+      <div class="tooltip-title">Resume Saved Run</div>
+      <div>The previous session was checkpointed in this browser.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Runs are autosaved every ${AUTOSAVE_INTERVAL_MS / 1000} seconds while running and whenever
+        they are paused or reset. Press <code>y</code> to resume or <code>n</code> to start a new soup.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  // Snapshot tooltip
+  registerTooltip(document.getElementById('snapshot-label'), {
+    content: `
+      <div class="tooltip-title">Snapshots</div>
+      <div>Save the full simulation state to a <code>${SNAPSHOT_EXTENSION}</code> file, or load one back.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Includes the soup, epoch, all settings, seed and graph history,
+        compressed with DEFLATE. Loading replaces the current run.
+      </div>
+    `,
+    position: 'right',
+  });
+
   // Complexity graph title
   registerTooltip(document.getElementById('complexity-title'), {
     content: `
@@ -736,7 +1785,7 @@ function setupTooltips() {
   registerTooltip(document.getElementById('exec-title'), {
     content: `
       <div class="tooltip-title">Execution Metrics</div>
-      <div>Tracks which BFF operations are being executed (EMA smoothed).</div>
+      <div>Tracks which instruction categories are being executed (EMA smoothed).</div>
       <div style="margin-top: 8px; color: #888; font-size: 11px;">
         Before replicators: mostly flat, low activity.<br>
         After replicators emerge: copy operations spike as programs
@@ -746,46 +1795,92 @@ function setupTooltips() {
     position: 'right',
   });
 
-  // Execution legend items (use 'right' position since they're on the left side of screen)
-  registerTooltip(document.getElementById('exec-legend-head0'), { ...opTooltips.head0, position: 'right' });
-  registerTooltip(document.getElementById('exec-legend-head1'), { ...opTooltips.head1, position: 'right' });
-  registerTooltip(document.getElementById('exec-legend-math'), { ...opTooltips.math, position: 'right' });
-  registerTooltip(document.getElementById('exec-legend-copy'), { ...opTooltips.copy, position: 'right' });
-  registerTooltip(document.getElementById('exec-legend-loop'), { ...opTooltips.loop, position: 'right' });
-
-  // Execution stat items (the numbers below the graph)
-  registerTooltip(document.getElementById('exec-stat-head0'), { ...opTooltips.head0, position: 'right' });
-  registerTooltip(document.getElementById('exec-stat-head1'), { ...opTooltips.head1, position: 'right' });
-  registerTooltip(document.getElementById('exec-stat-math'), { ...opTooltips.math, position: 'right' });
-  registerTooltip(document.getElementById('exec-stat-copy'), { ...opTooltips.copy, position: 'right' });
-  registerTooltip(document.getElementById('exec-stat-loop'), { ...opTooltips.loop, position: 'right' });
+  // Mutation graph title
+  registerTooltip(document.getElementById('mutation-title'), {
+    content: `
+      <div class="tooltip-title">Mutations</div>
+      <div>Bytes mutated per epoch by each process.</div>
+      <div style="margin-top: 8px;">
+        <b>tapes</b> mutation of the two tapes after each interaction<br>
+        <b>cosmic</b> background hits anywhere in the soup
+      </div>
+    `,
+    position: 'right',
+  });
 
-  // BFF legend title
-  registerTooltip(document.getElementById('bff-instructions-title'), {
+  // Halting graph title
+  registerTooltip(document.getElementById('halt-title'), {
     content: `
-      <div class="tooltip-title">BFF Instructions</div>
-      <div>BFF is a variant of <a class="tooltip-link" href="https://en.wikipedia.org/wiki/Brainfuck" target="_blank" rel="noopener">Brainfuck</a> with two read/write heads
-      operating on a shared tape.</div>
+      <div class="tooltip-title">Halting</div>
+      <div>Why executions stop, as a share of executions over time.</div>
+      <div style="margin-top: 8px;">
+        <b>max steps</b> ran into the step limit<br>
+        <b>end</b> the IP left the tape<br>
+        <b>bracket</b> a bracket had no match<br>
+        <b>other</b> no instructions, or a head left the tape
+      </div>
+      <div style="margin-top: 8px;">
+        Below: recent executions by step count (log scale, one bar per power of two;
+        red is the bar holding the step limit).
+      </div>
       <div style="margin-top: 8px; color: #888; font-size: 11px;">
-        10 instructions: <code>&lt; &gt; { } + - . , [ ]</code><br>
-        All other byte values are no-ops (data).
+        A shift towards max-step halts is one of the clearest signs that looping
+        replicators have taken over.
       </div>
     `,
+    position: 'right',
+  });
+
+  // Execution legend items and stats (use 'right' position since they're on the left side of screen)
+  for (const slot of EXEC_SLOTS) {
+    registerTooltip(document.getElementById(`exec-legend-${slot}`), slotTooltipConfig(slot));
+    registerTooltip(document.getElementById(`exec-stat-${slot}`), slotTooltipConfig(slot));
+  }
+
+  // Instruction legend title
+  registerTooltip(instructionsTitle, {
+    content: () => {
+      const language = population?.language ?? getLanguage(nextLanguage);
+      return `<div class="tooltip-title">${language.name} Instructions</div>${language.description}`;
+    },
     position: 'left',
   });
 
-  // BFF legend items
-  registerTooltip(document.getElementById('bff-head0'), opTooltips.head0);
-  registerTooltip(document.getElementById('bff-head1'), opTooltips.head1);
-  registerTooltip(document.getElementById('bff-math'), opTooltips.math);
-  registerTooltip(document.getElementById('bff-copy'), opTooltips.copy);
-  registerTooltip(document.getElementById('bff-loop'), opTooltips.loop);
+  registerTooltip(document.getElementById('language-label'), {
+    content: `
+      <div class="tooltip-title">Language</div>
+      <div>Instruction set the soup runs. Press <code>l</code> to pick one; it applies on reset.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Available: ${Object.values(LANGUAGES).map(language => language.name).join(', ')}.
+        The legend, colors and execution metrics follow the running language,
+        so runs can compare how readily replicators emerge in each.
+      </div>
+    `,
+    position: 'right',
+  });
+
+  registerTooltip(document.getElementById('topology-label'), {
+    content: `
+      <div class="tooltip-title">Tape Edges</div>
+      <div>What the combined tape does at its ends. Click a rule to change it; it applies from the next batch.</div>
+      <div style="margin-top: 8px;">
+        <b>heads</b> moving off the tape wrap around, stay put (clamp) or halt execution<br>
+        <b>ip</b> running past the last cell halts execution or wraps to cell 0<br>
+        <b>brackets</b> search for their match up to the tape ends (bounded) or around them (cyclic)
+      </div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        The paper uses wrap, halt, bounded. Whether replicators emerge depends on these rules;
+        they are saved with snapshots.
+      </div>
+    `,
+    position: 'right',
+  });
 
   // Slider tooltips
   registerTooltip(document.getElementById('mutation-label'), {
     content: `
       <div class="tooltip-title">Mutation Rate</div>
-      <div>Probability of random byte mutation per position after each execution.</div>
+      <div>Probability that each byte of both tapes mutates after each execution; the mutation type sets what a mutation does.</div>
       <div style="margin-top: 8px; color: #888; font-size: 11px;">
         Default 0.024% (paper value). Higher rates introduce more variation
         but can disrupt established replicators. Set to 0 to observe pure
@@ -795,6 +1890,33 @@ function setupTooltips() {
     position: 'left',
   });
 
+  registerTooltip(document.getElementById('mutation-type-label'), {
+    content: () => `
+      <div class="tooltip-title">Mutation Type</div>
+      <div>What a mutation does to the byte it hits.</div>
+      <div style="margin-top: 8px;">
+        ${Object.values(MUTATION_TYPES).map(model => `<b>${model.name}</b> ${model.doc}`).join('<br>')}
+      </div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Gaussian deltas use σ = ${population?.mutationStdDev ?? 16}. Insertions and deletions
+        shift the rest of the tape, moving code relative to the heads.
+      </div>
+    `,
+    position: 'left',
+  });
+
+  registerTooltip(document.getElementById('cosmic-label'), {
+    content: `
+      <div class="tooltip-title">Cosmic Rays</div>
+      <div>Probability that each byte of the soup is replaced with a random one per epoch, whether or not its tape ran.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Independent of the mutation rate. Default 0 (off). Hits are
+        spread over the epoch as pairs run.
+      </div>
+    `,
+    position: 'left',
+  });
+
   registerTooltip(document.getElementById('locality-label'), {
     content: `
       <div class="tooltip-title">Locality</div>
@@ -857,7 +1979,7 @@ function setupTooltips() {
   registerTooltip(document.getElementById('max-steps-label'), {
     content: `
       <div class="tooltip-title">Max Steps</div>
-      <div>Maximum BFF instructions executed before halting.</div>
+      <div>Maximum instructions executed before halting.</div>
       <div style="margin-top: 8px; color: #888; font-size: 11px;">
         Prevents infinite loops. Default 8192 (2^13, paper value).
         Higher values allow more complex programs to complete but
@@ -867,17 +1989,45 @@ function setupTooltips() {
     position: 'left',
   });
 
-  // Data legend tooltip
-  registerTooltip(document.getElementById('data-legend'), {
+  registerTooltip(document.getElementById('detect-hk-label'), {
     content: `
-      <div class="tooltip-title">Data Bytes</div>
-      <div>All byte values that don't encode BFF instructions are treated as data.</div>
+      <div class="tooltip-title">Detect H-K</div>
+      <div>H-K level that counts as a phase transition.</div>
       <div style="margin-top: 8px; color: #888; font-size: 11px;">
-        Only 10 byte values are instructions: <code>&lt; &gt; { } + - . , [ ]</code><br>
-        The other 246 values (0-255) are no-ops—the instruction pointer simply
-        advances past them. They serve as data storage for programs.
+        Random soups sit near 0. H-K climbing past this level, together with
+        the copy rate, marks replicators taking over.
       </div>
     `,
     position: 'left',
   });
+
+  registerTooltip(document.getElementById('detect-copy-label'), {
+    content: `
+      <div class="tooltip-title">Detect Copy</div>
+      <div>Copy operations per pair (smoothed) required for a phase transition.</div>
+      <div style="margin-top: 8px; color: #888; font-size: 11px;">
+        Replicators copy their own code, so the copy rate jumps when they spread.
+        Set to 0 to detect on H-K alone.
+      </div>
+    `,
+    position: 'left',
+  });
+
+  // Data legend tooltip
+  registerTooltip(document.getElementById('data-legend'), {
+    content: () => {
+      const language = population?.language ?? getLanguage(nextLanguage);
+      const instructions = Object.keys(language.instructions);
+      return `
+        <div class="tooltip-title">Data Bytes</div>
+        <div>All byte values that don't encode ${language.name} instructions are treated as data.</div>
+        <div style="margin-top: 8px; color: #888; font-size: 11px;">
+          Only ${instructions.length} byte values are instructions: <code>${escapeHtml(instructions.join(' '))}</code><br>
+          The other ${256 - instructions.length} values (0-255) are no-ops—the instruction pointer simply
+          advances past them. They serve as data storage for programs.
+        </div>
+      `;
+    },
+    position: 'left',
+  });
 }
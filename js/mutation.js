@@ -0,0 +1,92 @@
+/**
+ * Mutation models - how a tape changes between interactions
+ *
+ * After a pair runs, each byte of both tapes mutates with probability `rate`.
+ * The model decides what a mutation does:
+ * - uniform: replace the byte with a random one (the paper's model)
+ * - gaussian: add a normally distributed delta with standard deviation `stdDev`
+ * - bitflip: flip one random bit
+ * - drift: add or subtract 1
+ * - indel: insert a random byte (shifting the rest of the tape right, the last
+ *   byte falls off) or delete the byte (shifting the rest left, a random byte
+ *   fills the end)
+ *
+ * Tapes may wrap around the end of the soup. All randomness comes from the
+ * given Random, so a seeded run mutates the same way every time.
+ */
+
+// Models in display order
+export const MUTATION_TYPES = {
+  uniform: { name: 'uniform', doc: 'Replace the byte with a random one (paper model)' },
+  gaussian: { name: 'gaussian', doc: 'Add a normally distributed delta (σ = std dev) to the byte' },
+  bitflip: { name: 'bit flip', doc: 'Flip one random bit of the byte' },
+  drift: { name: 'drift', doc: 'Nudge the byte value up or down by 1' },
+  indel: { name: 'indel', doc: 'Insert a random byte or delete the byte, shifting the rest of the tape' },
+};
+
+export const DEFAULT_MUTATION_TYPE = 'uniform';
+
+/**
+ * Check a mutation model name
+ * @param {string} type
+ * @returns {string} The same name
+ * @throws {Error} If the model is unknown
+ */
+export function validateMutationType(type) {
+  if (!MUTATION_TYPES[type]) {
+    throw new Error(`Unknown mutation type "${type}" (available: ${Object.keys(MUTATION_TYPES).join(', ')})`);
+  }
+  return type;
+}
+
+/**
+ * Mutate one tape in place
+ * @param {Uint8Array} soup - The soup
+ * @param {number} start - Soup index of the tape's first byte
+ * @param {number} length - Tape length
+ * @param {Random} rng - Random source
+ * @param {Object} params
+ * @param {number} params.rate - Per-byte mutation probability
+ * @param {string} params.type - Model (a MUTATION_TYPES key)
+ * @param {number} params.stdDev - Standard deviation of gaussian deltas
+ * @returns {number} Number of mutations applied
+ */
+export function mutateTape(soup, start, length, rng, { rate, type, stdDev }) {
+  const size = soup.length;
+  let count = 0;
+  for (let i = 0; i < length; i++) {
+    if (rng.next() >= rate) continue;
+    const idx = (start + i) % size;
+    count++;
+
+    switch (type) {
+      case 'gaussian':
+        soup[idx] = (soup[idx] + Math.round(rng.nextGaussian() * stdDev)) & 0xFF;
+        break;
+      case 'bitflip':
+        soup[idx] ^= 1 << rng.nextInt(8);
+        break;
+      case 'drift':
+        soup[idx] = (soup[idx] + (rng.next() < 0.5 ? -1 : 1)) & 0xFF;
+        break;
+      case 'indel':
+        if (rng.next() < 0.5) {
+          // Insert at i: bytes i..length-2 move right by one
+          for (let k = length - 1; k > i; k--) {
+            soup[(start + k) % size] = soup[(start + k - 1) % size];
+          }
+          soup[idx] = rng.nextInt(256);
+        } else {
+          // Delete at i: bytes i+1..length-1 move left by one
+          for (let k = i; k < length - 1; k++) {
+            soup[(start + k) % size] = soup[(start + k + 1) % size];
+          }
+          soup[(start + length - 1) % size] = rng.nextInt(256);
+        }
+        break;
+      default:
+        soup[idx] = rng.nextInt(256);
+    }
+  }
+  return count;
+}
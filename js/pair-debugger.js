@@ -0,0 +1,279 @@
+/**
+ * PairDebugger - steps through a single pair interaction with BFFInterpreter
+ *
+ * Runs on a copy of two tapes (taken from the soup or typed in) concatenated
+ * the way the soup executes them, and draws the combined tape with the IP,
+ * head0 and head1 positions, the latest write and any breakpoints.
+ * The soup itself is never modified.
+ */
+
+import { Tape } from './tape.js';
+import { BFFInterpreter } from './bff.js';
+import { BFF, STACK_SIZE } from './languages.js';
+import { DEFAULT_TOPOLOGY } from './topology.js';
+import { PopulationWasm } from './population-wasm.js';
+
+const CELL_SIZE = 14;
+const CELLS_PER_ROW = 32;
+
+const MARKER_COLORS = {
+  ip: '#fff',
+  head0: 'hsl(180, 100%, 50%)',  // Matches the head0 exec color
+  head1: 'hsl(320, 100%, 50%)',  // Matches the head1 exec color
+  write: 'hsl(60, 100%, 50%)',
+  breakpoint: '#f44',
+  boundary: 'rgba(255, 255, 255, 0.5)',
+};
+
+export class PairDebugger {
+  /**
+   * Create a debugger drawing into a canvas
+   * @param {HTMLCanvasElement} canvas - Tape view; clicking a cell toggles a breakpoint
+   * @param {HTMLElement} info - Element for the textual state
+   */
+  constructor(canvas, info) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.info = info;
+
+    this.initial = null;      // Uint8Array: combined tape at step 0
+    this.regionSize = 0;      // Length of each half
+    this.head1Offset = 0;
+    this.maxSteps = 0;
+    this.language = BFF;
+    this.topology = DEFAULT_TOPOLOGY;
+    this.interpreter = null;
+    this.breakpoints = new Set();  // IP positions
+    this.furthestStep = 0;    // Highest step reached since the last restart (scrub range)
+    this.onRender = null;     // Optional callback(state) after each redraw
+
+    canvas.addEventListener('click', (e) => this.handleClick(e));
+  }
+
+  /**
+   * Turn typed text into a tape: one byte per character, zero padded
+   * @param {string} text - e.g. "[[{.>]-]"
+   * @param {number} length - Tape length in bytes
+   * @returns {Uint8Array}
+   */
+  static parseProgram(text, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < Math.min(text.length, length); i++) {
+      bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+
+  /**
+   * Load a pair and rewind to step 0
+   * @param {Uint8Array} tapeA - First tape (becomes cells 0..regionSize-1)
+   * @param {Uint8Array} tapeB - Second tape (cells regionSize..2*regionSize-1)
+   * @param {number} head1Offset - Starting head1 position, as in the soup
+   * @param {number} maxSteps - Step limit, as in the soup
+   * @param {Language} language - Instruction set, as in the soup
+   * @param {Object} topology - Tape edge rules, as in the soup
+   */
+  load(tapeA, tapeB, head1Offset, maxSteps, language, topology) {
+    this.regionSize = tapeA.length;
+    this.initial = new Uint8Array(tapeA.length + tapeB.length);
+    this.initial.set(tapeA, 0);
+    this.initial.set(tapeB, tapeA.length);
+    this.head1Offset = head1Offset;
+    this.maxSteps = maxSteps;
+    this.language = language;
+    this.topology = topology;
+    this.breakpoints.clear();
+
+    const rows = Math.ceil(this.initial.length / CELLS_PER_ROW);
+    this.canvas.width = CELLS_PER_ROW * CELL_SIZE;
+    this.canvas.height = rows * CELL_SIZE;
+
+    this.restart();
+  }
+
+  /**
+   * Rewind to step 0 (breakpoints are kept)
+   */
+  restart() {
+    if (!this.initial) return;
+    this.interpreter = new BFFInterpreter(Tape.fromArray(this.initial), {
+      head1Offset: this.head1Offset,
+      maxSteps: this.maxSteps,
+      language: this.language,
+      topology: this.topology,
+    });
+    this.furthestStep = 0;
+    this.render();
+  }
+
+  /**
+   * Execute one instruction
+   */
+  step() {
+    if (!this.interpreter) return;
+    this.interpreter.step();
+    this.render();
+  }
+
+  /**
+   * Undo one instruction
+   */
+  stepBack() {
+    if (!this.interpreter) return;
+    this.interpreter.stepBack();
+    this.render();
+  }
+
+  /**
+   * Jump to a step index (re-executing forwards if needed)
+   * @param {number} stepIndex
+   */
+  seek(stepIndex) {
+    if (!this.interpreter) return;
+    this.interpreter.seek(stepIndex);
+    this.render();
+  }
+
+  /**
+   * Step until the IP lands on a breakpoint or execution halts
+   * Always takes at least one step, so repeated runs move on to the next hit.
+   */
+  runToBreakpoint() {
+    if (!this.interpreter) return;
+    do {
+      this.interpreter.step();
+    } while (!this.interpreter.halted && !this.breakpoints.has(this.interpreter.ip));
+    this.render();
+  }
+
+  /**
+   * Most recent write up to the current step
+   * @returns {{step: number, type: string, index: number, oldValue: number, newValue: number}|null}
+   * @private
+   */
+  lastWrite() {
+    const history = this.interpreter.history;
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].changed) {
+        return { step: history[i].stepCount + 1, ...history[i].changed };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Most recently pushed stack entries
+   * @param {number} count - Entries to show (at most STACK_SIZE)
+   * @returns {number[]} Top of stack first
+   * @private
+   */
+  stackTop(count) {
+    const { stack, sp } = this.interpreter;
+    const top = [];
+    for (let i = 1; i <= Math.min(count, STACK_SIZE); i++) {
+      top.push(stack[(sp - i + STACK_SIZE) % STACK_SIZE]);
+    }
+    return top;
+  }
+
+  /**
+   * Toggle a breakpoint on the clicked cell
+   * @private
+   */
+  handleClick(e) {
+    if (!this.initial) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const col = Math.floor((e.clientX - rect.left) / rect.width * CELLS_PER_ROW);
+    const row = Math.floor((e.clientY - rect.top) / rect.height * (this.canvas.height / CELL_SIZE));
+    const index = row * CELLS_PER_ROW + col;
+    if (index < 0 || index >= this.initial.length) return;
+
+    if (this.breakpoints.has(index)) {
+      this.breakpoints.delete(index);
+    } else {
+      this.breakpoints.add(index);
+    }
+    this.render();
+  }
+
+  /**
+   * Draw the tape and update the state text
+   */
+  render() {
+    if (!this.interpreter) return;
+    const ctx = this.ctx;
+    const lut = PopulationWasm.getColorLUT(this.language);
+    const tape = this.interpreter.tape;
+    const state = this.interpreter.getState();
+    const lastWrite = this.lastWrite();
+    this.furthestStep = Math.max(this.furthestStep, state.stepCount);
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.font = `${CELL_SIZE - 4}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const cellX = (i) => (i % CELLS_PER_ROW) * CELL_SIZE;
+    const cellY = (i) => Math.floor(i / CELLS_PER_ROW) * CELL_SIZE;
+
+    for (let i = 0; i < tape.size; i++) {
+      const byte = tape.get(i);
+      const x = cellX(i);
+      const y = cellY(i);
+      ctx.fillStyle = `rgb(${lut[byte * 3]}, ${lut[byte * 3 + 1]}, ${lut[byte * 3 + 2]})`;
+      ctx.fillRect(x, y, CELL_SIZE, CELL_SIZE);
+
+      const instruction = this.language.byteToInstruction(byte);
+      if (instruction) {
+        ctx.fillStyle = '#000';
+        ctx.fillText(instruction, x + CELL_SIZE / 2, y + CELL_SIZE / 2 + 1);
+      }
+
+      if (this.breakpoints.has(i)) {
+        ctx.fillStyle = MARKER_COLORS.breakpoint;
+        ctx.beginPath();
+        ctx.arc(x + 3, y + 3, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    // Boundary between the two tapes
+    ctx.strokeStyle = MARKER_COLORS.boundary;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cellX(this.regionSize), cellY(this.regionSize));
+    ctx.lineTo(cellX(this.regionSize), cellY(this.regionSize) + CELL_SIZE);
+    ctx.stroke();
+
+    ctx.lineWidth = 1.5;
+    if (lastWrite) {
+      ctx.strokeStyle = MARKER_COLORS.write;
+      ctx.strokeRect(cellX(lastWrite.index) + 1, cellY(lastWrite.index) + 1, CELL_SIZE - 2, CELL_SIZE - 2);
+    }
+
+    // Heads share the bottom edge of a cell: head0 left half, head1 right half
+    ctx.fillStyle = MARKER_COLORS.head0;
+    ctx.fillRect(cellX(state.head0), cellY(state.head0) + CELL_SIZE - 3, CELL_SIZE / 2, 3);
+    ctx.fillStyle = MARKER_COLORS.head1;
+    ctx.fillRect(cellX(state.head1) + CELL_SIZE / 2, cellY(state.head1) + CELL_SIZE - 3, CELL_SIZE / 2, 3);
+
+    // IP is past the end once execution ran off the tape
+    if (state.ip < tape.size) {
+      ctx.strokeStyle = MARKER_COLORS.ip;
+      ctx.strokeRect(cellX(state.ip) + 0.5, cellY(state.ip) + 0.5, CELL_SIZE - 1, CELL_SIZE - 1);
+    }
+
+    const instruction = state.ip < tape.size ? (state.currentInstruction ?? 'no-op') : '-';
+    const status = state.halted ? `halted: ${state.haltReason}` : 'running';
+    const write = lastWrite
+      ? `last write @ step ${lastWrite.step}: [${lastWrite.index}] ${lastWrite.oldValue} → ${lastWrite.newValue} (${lastWrite.type})`
+      : 'no writes yet';
+    this.info.textContent =
+      `step ${state.stepCount} · ip ${state.ip} (${instruction}) · head0 ${state.head0} · head1 ${state.head1} · ${status}\n${write}`;
+    if (this.language.usesStack) {
+      this.info.textContent += `\nstack (top first): ${this.stackTop(8).join(' ')}`;
+    }
+
+    if (this.onRender) this.onRender(state);
+  }
+}
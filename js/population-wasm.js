@@ -1,11 +1,20 @@
 /**
  * PopulationWasm - WASM-accelerated Turing Soup with Parallel Execution
  *
- * Uses Web Workers + SharedArrayBuffer for parallel BFF execution.
+ * Uses Web Workers + SharedArrayBuffer for parallel BFF execution, or the
+ * main thread alone where SharedArrayBuffer is unavailable.
  */
 
 import * as wasm from './wasm-bridge.js';
 import { WorkerPool } from './worker-pool.js';
+import { MainThreadPool } from './main-thread-pool.js';
+import { Random } from './rng.js';
+import { TransitionDetector } from './transition-detector.js';
+import { getLanguage, DEFAULT_LANGUAGE } from './languages.js';
+import { normalizeTopology, encodeTopology, describeTopology } from './topology.js';
+import { DEFAULT_MUTATION_TYPE, validateMutationType } from './mutation.js';
+import { selectSlice, selectPair } from './selection.js';
+import { HALT_REASONS, STEP_BINS } from './bff.js';
 
 export class PopulationWasm {
   /**
@@ -13,28 +22,65 @@ export class PopulationWasm {
    * @param {number} width - Width of soup in bytes
    * @param {number} height - Height of soup in bytes
    * @param {number} regionSize - Size of each selected region
+   * @param {Object} options - Runtime options
+   * @param {number} options.numWorkers - Worker count (default: hardwareConcurrency - 1)
+   * @param {function(URL): Worker} options.createWorker - Worker factory (default: browser Worker)
+   * @param {WebAssembly.Module} options.wasmModule - Precompiled WASM module (default: fetch it)
+   * @param {string} options.language - Instruction set id (default 'bff'); fixed for the population's lifetime
+   * @param {Object} options.topology - Tape edge rules {heads, ip, brackets} (default: the paper's)
+   * @param {boolean} options.inPlace - Run pairs in place in shared WASM memory when the threaded
+   *   build is available (default true; ignored with options.wasmModule, which is the default build)
+   * @param {number} options.batchTimeout - Milliseconds before a silent worker is replaced (default 60000)
+   * @param {boolean} options.singleThreaded - Run pairs on the main thread (default: only when
+   *   SharedArrayBuffer is unavailable)
    */
-  constructor(width = 64, height = 8192, regionSize = 64) {
+  constructor(width = 64, height = 8192, regionSize = 64, options = {}) {
     this.width = width;
     this.height = height;
     this.regionSize = regionSize;
     this.regionSide = Math.sqrt(regionSize);
+    this.language = getLanguage(options.language ?? DEFAULT_LANGUAGE);
+    this.setTopology(options.topology);
 
-    // Soup in SharedArrayBuffer for worker access
+    // Soup in SharedArrayBuffer for worker access, or inside the threaded
+    // WASM build's shared memory (inPlace)
     this.soupBuffer = null;
     this.soup = null;
+    this.soupPtr = null;  // Soup address in WASM memory when running in place
+    this.inPlace = options.inPlace ?? true;
 
     // Number of pairs to execute per step
     this.pairsPerStep = 100;
 
-    // Current selections for visualization
+    // Pairs of the latest batch: all of them in deterministic mode, one per
+    // chunk in fast mode (workers draw their own)
     this.currentPairs = [];
 
     // Mutation settings
     this.mutationRate = 0.00024;  // 0.024% (paper default)
+    this.mutationType = DEFAULT_MUTATION_TYPE;  // Model, see mutation.js
+    this.mutationStdDev = 16;  // Gaussian delta standard deviation
 
+    // Background (cosmic-ray) mutation: random bytes anywhere in the soup,
+    // independent of which tapes interact
+    this.cosmicRate = 0;  // Per-byte probability per epoch
+    this.cosmicCarry = 0;  // Expected hits not yet applied (fraction of one)
+
+    // Mutations since the last history point, and mutations per epoch over time
+    this.mutationAccum = { tape: 0, cosmic: 0, epoch: 0 };
+    this.mutationHistory = [];
+
+    // Seeded PRNG driving initialization, selection and mutation
+    this.seed = null;
+    this.rng = null;
+
+    // Pair accounting: generation counts completed pairs only, so the epoch
+    // axis reflects interactions that actually ran
     this.generation = 0;
-    this.pairCount = 0;
+    this.dispatchedPairs = 0;
+    this.completedPairs = 0;
+    this.failedPairs = 0;
+    this.lastError = null;  // Most recent batch failure or lost worker
     this.numTapes = Math.floor((width * height) / regionSize);
 
     // Selection mode settings
@@ -54,8 +100,22 @@ export class PopulationWasm {
     this.mathEMA = 0;
     this.copyEMA = 0;
     this.loopEMA = 0;
+    this.stepsEMA = 0;  // Steps per execution
+    this.haltCounts = new Array(HALT_REASONS.length).fill(0);  // Executions per halt reason
+
+    // Halt reasons and step counts since the last history point, the share of
+    // each halt reason over time, and the latest step-count histogram
+    this.haltAccum = new Array(HALT_REASONS.length).fill(0);
+    this.stepAccum = new Array(STEP_BINS).fill(0);
+    this.haltHistory = [];
+    this.stepHistogram = new Array(STEP_BINS).fill(0);
     this.emaAlphaPerPair = 0.00005;  // Per-pair smoothing factor
 
+    // Phase-transition detection on each history point
+    this.transitionDetector = new TransitionDetector();
+    this.events = [];     // {type, epoch, highOrder, copy, loop}
+    this.onEvent = null;  // Optional callback(event)
+
     // Accumulator for consistent graph update rate regardless of speed
     this.execAccumPairs = 0;
     this.execAccumThreshold = 1000; // Push to history after this many pairs (matches max speed)
@@ -63,11 +123,23 @@ export class PopulationWasm {
     // Worker pool
     this.workerPool = null;
     this.wasmReady = false;
-
-    // Pending worker executions (allow queue to keep workers saturated)
-    this.pendingExecutions = 0;
+    this.numWorkers = options.numWorkers ?? null;
+    this.createWorker = options.createWorker ?? undefined;
+    this.wasmModule = options.wasmModule ?? null;
+    this.singleThreaded = options.singleThreaded ?? false;
+    this.batchTimeout = options.batchTimeout ?? 60000;
+    this.workerRestarts = 0;  // Crashed or hung workers replaced so far
+
+    // Batches in flight (allow queue to keep workers saturated)
+    this.inFlightBatches = new Set();
     this.maxPendingExecutions = 50;
 
+    // Deterministic mode: one batch in flight, run as waves of tape-disjoint
+    // pairs, background mutation applied after execution. Bit-for-bit repeatable for a
+    // given seed regardless of worker count, at the cost of throughput.
+    this.deterministic = false;
+    this.waveScratch = null;  // Int32Array: last wave touching each alignment block
+
     // Cached ImageData for rendering (avoid allocation per frame)
     this.cachedImageData = null;
     this.cachedImageDataHeight = 0;
@@ -76,39 +148,182 @@ export class PopulationWasm {
 
   /**
    * Initialize the population
+   * @param {number} seed - Run seed (default: random). Same seed and parameters give the same soup.
    */
-  async initialize() {
+  async initialize(seed = Random.randomSeed()) {
     const soupSize = this.width * this.height;
 
-    // Check SharedArrayBuffer availability (requires cross-origin isolation)
+    // Workers need SharedArrayBuffer (requires cross-origin isolation); without
+    // it, fall back to running pairs on the main thread
     if (typeof SharedArrayBuffer === 'undefined') {
-      console.error('SharedArrayBuffer not available. Cross-origin isolation may not be active.');
-      console.error('crossOriginIsolated:', window.crossOriginIsolated);
-      throw new Error('SharedArrayBuffer required but not available');
+      console.warn('SharedArrayBuffer not available (crossOriginIsolated: %s); running single-threaded',
+        globalThis.crossOriginIsolated);
+      this.singleThreaded = true;
     }
+    if (this.singleThreaded) {
+      this.maxPendingExecutions = 2;  // Batches queue on the main thread; keep the queue short
+    }
+
+    // Initialize WASM for main thread (compression cost, entropy), preferring
+    // the threaded build so workers can run pairs in place
+    this.inPlace = this.inPlace && !this.singleThreaded && !this.wasmModule && await wasm.initThreadedWasm();
+    await wasm.initWasm(this.wasmModule);
+    this.wasmReady = true;
 
-    // Create SharedArrayBuffer for soup
-    this.soupBuffer = new SharedArrayBuffer(soupSize);
-    this.soup = new Uint8Array(this.soupBuffer);
+    if (!wasm.isLanguageSupported(this.language.code)) {
+      throw new Error(`This WASM build cannot run ${this.language.name}; rebuild it with make build`);
+    }
+    if (!wasm.isTopologySupported(this.topologyBits)) {
+      throw new Error(`This WASM build cannot run with ${describeTopology(this.topology)}; rebuild it with make build`);
+    }
 
-    // Initialize worker pool
-    this.workerPool = new WorkerPool();
-    await this.workerPool.init(this.soupBuffer, this.regionSize);
-    console.log(`Parallel mode: ${this.workerPool.numWorkers} workers`);
+    // Create the soup: in shared WASM memory, in a SharedArrayBuffer that
+    // workers copy tapes out of and back into, or in plain memory
+    let inPlace = null;
+    if (this.inPlace) {
+      const { ptr, soup } = wasm.allocSoup(soupSize);
+      this.soupPtr = ptr;
+      this.soup = soup;
+      this.soupBuffer = soup.buffer;
+      inPlace = { wasmUrl: wasm.THREADED_WASM_URL, memory: wasm.getSharedMemory(), ptr, length: soupSize };
+    } else {
+      this.soupBuffer = this.singleThreaded ? new ArrayBuffer(soupSize) : new SharedArrayBuffer(soupSize);
+      this.soup = new Uint8Array(this.soupBuffer);
+    }
 
-    // Initialize WASM for main thread (compression cost, entropy)
-    await wasm.initWasm();
-    this.wasmReady = true;
+    // Start the workers, or a stand-in that runs pairs on the main thread
+    if (this.singleThreaded) {
+      this.workerPool = new MainThreadPool();
+      await this.workerPool.init(this.soupBuffer, this.regionSize, wasm.getModule());
+      this.numWorkers = 1;
+    } else {
+      this.workerPool = new WorkerPool(this.numWorkers, this.createWorker, { batchTimeout: this.batchTimeout });
+      // The pool replaces lost workers itself; their batches fail and are accounted in trackBatch
+      this.workerPool.onWorkerLost = ({ reason }) => {
+        this.workerRestarts = this.workerPool.restarts;
+        this.lastError = new Error(reason);
+        console.warn(reason);
+      };
+      await this.workerPool.init(this.soupBuffer, this.regionSize, this.wasmModule, inPlace);
+      this.numWorkers = this.workerPool.numWorkers;
+    }
 
     // Random initialization
+    this.seed = seed >>> 0;
+    this.rng = new Random(this.seed);
     for (let i = 0; i < this.soup.length; i++) {
-      this.soup[i] = Math.floor(Math.random() * 256);
+      this.soup[i] = this.rng.nextInt(256);
     }
 
     this.generation = 0;
-    this.pairCount = 0;
+    this.dispatchedPairs = 0;
+    this.completedPairs = 0;
+    this.failedPairs = 0;
+    this.lastError = null;
+    this.inFlightBatches = new Set();
     this.complexityHistory = [];
     this.execHistory = [];
+    this.haltCounts.fill(0);
+    this.haltAccum.fill(0);
+    this.stepAccum.fill(0);
+    this.haltHistory = [];
+    this.stepHistogram = new Array(STEP_BINS).fill(0);
+    this.cosmicCarry = 0;
+    this.mutationAccum = { tape: 0, cosmic: 0, epoch: 0 };
+    this.mutationHistory = [];
+    this.events = [];
+    this.transitionDetector.reset();
+  }
+
+  /**
+   * Stop the workers and release the soup
+   * The population cannot run afterwards.
+   */
+  dispose() {
+    this.workerPool?.terminate();
+    this.workerPool = null;
+    if (this.soupPtr !== null) {
+      wasm.freeSoup(this.soupPtr, this.soup.length);
+      this.soupPtr = null;
+    }
+  }
+
+  /**
+   * Change the number of workers; batches in flight carry on
+   * @param {number} numWorkers - Worker count (at least 1)
+   * @returns {Promise<void>} Resolves when added workers are ready
+   */
+  async setWorkerCount(numWorkers) {
+    this.numWorkers = Math.max(1, Math.floor(numWorkers));
+    if (this.workerPool) {
+      await this.workerPool.resize(this.numWorkers);
+    }
+  }
+
+  /**
+   * Throughput of each worker
+   * @returns {Array<{pairs: number, busyMs: number}>} Cumulative pairs and busy time per worker
+   */
+  workerStats() {
+    return this.workerPool?.workerStats() ?? [];
+  }
+
+  /**
+   * Number of batches dispatched but not yet settled
+   */
+  get pendingExecutions() {
+    return this.inFlightBatches.size;
+  }
+
+  /**
+   * Number of pairs dispatched but not yet completed or failed
+   */
+  get inFlightPairs() {
+    return this.dispatchedPairs - this.completedPairs - this.failedPairs;
+  }
+
+  /**
+   * Wait until every in-flight batch has completed or failed
+   * Stop dispatching first; batches started while draining are waited for too.
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    while (this.inFlightBatches.size > 0) {
+      await Promise.all(this.inFlightBatches);
+    }
+  }
+
+  /**
+   * Track a dispatched batch until it settles, then account for its pairs
+   * @param {Promise<Array>} execution - Aggregated worker results for the batch
+   * @param {number} batchSize - Pairs in the batch
+   * @param {function(Array): void} onComplete - Runs before accounting when the whole batch succeeded
+   */
+  trackBatch(execution, batchSize, onComplete = null) {
+    const batch = execution.then(
+      results => {
+        // A reset while in flight discards the batch
+        if (!this.inFlightBatches.delete(batch)) return;
+        if (onComplete) onComplete(results);
+        this.completedPairs += batchSize;
+        this.generation = this.completedPairs / this.numTapes;
+        this.updateExecMetricsAggregated(results);
+      },
+      error => {
+        if (!this.inFlightBatches.delete(batch)) return;
+        // Pool errors say how many pairs were lost; the rest did run
+        const failed = error.failedPairs ?? batchSize;
+        this.failedPairs += failed;
+        this.completedPairs += batchSize - failed;
+        this.generation = this.completedPairs / this.numTapes;
+        this.lastError = error;
+        console.warn(`${failed} of ${batchSize} pairs failed:`, error.message);
+        if (error.results?.length) {
+          this.updateExecMetricsAggregated(error.results);
+        }
+      },
+    );
+    this.inFlightBatches.add(batch);
   }
 
   /**
@@ -151,6 +366,7 @@ export class PopulationWasm {
    */
   updateComplexity() {
     const metrics = this.calcComplexityMetrics();
+    metrics.epoch = this.generation;
     this.complexityHistory.push(metrics);
     if (this.complexityHistory.length > this.maxHistoryLength) {
       // Downsample: keep every other point
@@ -162,110 +378,245 @@ export class PopulationWasm {
    * Select a random slice start position with given alignment
    */
   selectRandomSlice() {
-    const maxStart = this.soup.length - this.regionSize;
-    const numPositions = Math.floor(maxStart / this.alignment) + 1;
-    const pos = Math.floor(Math.random() * numPositions);
-    return pos * this.alignment;
+    return selectSlice(this.rng, this.soup.length, this.regionSize, this.alignment);
   }
 
   /**
    * Select two random slices (non-overlapping)
    */
   selectRandomPair() {
-    const a = this.selectRandomSlice();
-    let b;
-
-    const maxStart = this.soup.length - this.regionSize;
-    const numPositions = Math.floor(maxStart / this.alignment) + 1;
-
-    if (this.localityLimit !== null && this.localityLimit > 0) {
-      // Limited locality: select within range (in terms of aligned positions)
-      // localityLimit is number of positions (1, 2, 4, 8, or 16)
-      const posA = Math.floor(a / this.alignment);
-      const minPos = Math.max(0, posA - this.localityLimit);
-      const maxPos = Math.min(numPositions - 1, posA + this.localityLimit);
-      let posB;
-      do {
-        posB = minPos + Math.floor(Math.random() * (maxPos - minPos + 1));
-      } while (Math.abs(posB * this.alignment - a) < this.regionSize);
-      b = posB * this.alignment;
-    } else {
-      // Any position, ensure non-overlapping
-      do {
-        const pos = Math.floor(Math.random() * numPositions);
-        b = pos * this.alignment;
-      } while (Math.abs(b - a) < this.regionSize);
-    }
+    return selectPair(this.rng, this.soup.length, this.regionSize, this.alignment, this.localityLimit);
+  }
 
-    return { a, b };
+  /**
+   * Set the tape edge rules; takes effect from the next dispatched batch
+   * @param {Object} topology - {heads, ip, brackets}; omitted rules use the defaults
+   * @throws {Error} If a rule is unknown or the loaded WASM build cannot run it
+   */
+  setTopology(topology) {
+    const normalized = normalizeTopology(topology);
+    const bits = encodeTopology(normalized);
+    if (this.wasmReady && !wasm.isTopologySupported(bits)) {
+      throw new Error(`This WASM build cannot run with ${describeTopology(normalized)}; rebuild it with make build`);
+    }
+    this.topology = normalized;
+    this.topologyBits = bits;
   }
 
   /**
    * Set mutation parameters
+   * @param {number} rate - Per-byte mutation probability
+   * @param {string} type - Mutation model (see MUTATION_TYPES)
+   * @param {number} stdDev - Standard deviation of gaussian deltas
+   * @throws {Error} If the model is unknown
    */
-  setMutationParams(rate, type = 'uniform', stdDev = 16) {
+  setMutationParams(rate, type = DEFAULT_MUTATION_TYPE, stdDev = 16) {
     this.mutationRate = rate;
-    this.mutationType = type;
+    this.mutationType = validateMutationType(type);
     this.mutationStdDev = stdDev;
   }
 
   /**
-   * Apply mutation to selected slices
+   * Tape mutation settings for one batch
+   * Workers mutate each pair's tapes right after running it; the batch seed
+   * comes from the run's PRNG, so a seeded run mutates the same way every time.
+   * @returns {{rate: number, type: string, stdDev: number, seed: number}}
    */
-  mutateSelected() {
-    if (this.mutationRate <= 0) return;
-
-    for (const pair of this.currentPairs) {
-      for (let i = 0; i < this.regionSize; i++) {
-        if (Math.random() < this.mutationRate) {
-          const idx = (pair.a + i) % this.soup.length;
-          this.soup[idx] = Math.floor(Math.random() * 256);
-        }
+  batchMutation() {
+    return {
+      rate: this.mutationRate,
+      type: this.mutationType,
+      stdDev: this.mutationStdDev,
+      seed: this.rng.nextUint32(),
+    };
+  }
+
+  /**
+   * Apply background (cosmic-ray) mutation for the share of an epoch a batch covers
+   * Each hit replaces a random byte anywhere in the soup with a random value.
+   * The expected hit count carries over between batches, so small batches
+   * still see the configured rate.
+   * @param {number} pairCount - Pairs in the batch
+   */
+  mutateBackground(pairCount) {
+    if (this.cosmicRate <= 0) return;
+
+    this.cosmicCarry += this.cosmicRate * this.soup.length * pairCount / this.numTapes;
+    const hits = Math.floor(this.cosmicCarry);
+    this.cosmicCarry -= hits;
+    for (let i = 0; i < hits; i++) {
+      this.soup[this.rng.nextInt(this.soup.length)] = this.rng.nextInt(256);
+    }
+    this.mutationAccum.cosmic += hits;
+  }
+
+  /**
+   * Record mutations per epoch, per process, since the last history point
+   */
+  recordMutations() {
+    const epochs = this.generation - this.mutationAccum.epoch;
+    if (epochs <= 0) return;
+
+    this.mutationHistory.push({
+      epoch: this.generation,
+      tape: this.mutationAccum.tape / epochs,
+      cosmic: this.mutationAccum.cosmic / epochs,
+    });
+    this.mutationAccum = { tape: 0, cosmic: 0, epoch: this.generation };
+    if (this.mutationHistory.length > this.maxHistoryLength) {
+      // Downsample: keep every other point
+      this.mutationHistory = this.mutationHistory.filter((_, i) => i % 2 === 0);
+    }
+  }
+
+  /**
+   * Record the share of each halt reason and the step-count histogram since
+   * the last history point
+   */
+  recordHalts() {
+    const total = this.haltAccum.reduce((sum, count) => sum + count, 0);
+    if (total === 0) return;
+
+    const entry = { epoch: this.generation };
+    HALT_REASONS.forEach((reason, code) => { entry[reason] = this.haltAccum[code] / total; });
+    this.haltHistory.push(entry);
+    this.stepHistogram = this.stepAccum.slice();
+    this.haltAccum.fill(0);
+    this.stepAccum.fill(0);
+    if (this.haltHistory.length > this.maxHistoryLength) {
+      // Downsample: keep every other point
+      this.haltHistory = this.haltHistory.filter((_, i) => i % 2 === 0);
+    }
+  }
+
+  /**
+   * Split pairs into waves whose tapes do not overlap
+   *
+   * Each pair is placed one wave after the latest earlier pair it shares a byte
+   * with, so running the waves in order gives the same soup as running the
+   * pairs one by one, however each wave is divided among workers.
+   * @param {Array<{a: number, b: number}>} pairs - Pairs in selection order
+   * @returns {Array<Array<{a: number, b: number}>>} Waves in execution order
+   */
+  scheduleWaves(pairs) {
+    // Pair starts are aligned and regionSize is a multiple of alignment, so
+    // each tape covers whole alignment blocks
+    const blockSize = this.alignment;
+    const blocksPerRegion = Math.ceil(this.regionSize / blockSize);
+    const numBlocks = Math.ceil(this.soup.length / blockSize);
+
+    if (!this.waveScratch || this.waveScratch.length !== numBlocks) {
+      this.waveScratch = new Int32Array(numBlocks);
+    }
+    const lastWave = this.waveScratch;
+    lastWave.fill(-1);
+
+    const waves = [];
+    for (const pair of pairs) {
+      const blockA = Math.floor(pair.a / blockSize);
+      const blockB = Math.floor(pair.b / blockSize);
+
+      let wave = 0;
+      for (let i = 0; i < blocksPerRegion; i++) {
+        wave = Math.max(wave, lastWave[(blockA + i) % numBlocks] + 1, lastWave[(blockB + i) % numBlocks] + 1);
       }
-      for (let i = 0; i < this.regionSize; i++) {
-        if (Math.random() < this.mutationRate) {
-          const idx = (pair.b + i) % this.soup.length;
-          this.soup[idx] = Math.floor(Math.random() * 256);
-        }
+      for (let i = 0; i < blocksPerRegion; i++) {
+        lastWave[(blockA + i) % numBlocks] = wave;
+        lastWave[(blockB + i) % numBlocks] = wave;
+      }
+
+      if (wave === waves.length) waves.push([]);
+      waves[wave].push(pair);
+    }
+    return waves;
+  }
+
+  /**
+   * Execute pairs wave by wave (deterministic mode)
+   * @param {Array<{a: number, b: number, index: number}>} pairs - Pairs in selection order
+   * @param {Object} mutation - Batch mutation settings (see batchMutation)
+   * @returns {Promise<Array>} Aggregated results from all waves
+   */
+  async executeInWaves(pairs, mutation) {
+    const results = [];
+    let done = 0;
+    for (const wave of this.scheduleWaves(pairs)) {
+      try {
+        results.push(...await this.workerPool.executeBatch(wave, this.head1Offset, this.maxSteps, this.language.code, this.topologyBits, mutation));
+      } catch (error) {
+        // Later waves never ran; report the loss against the whole batch
+        error.failedPairs = pairs.length - done - wave.length + (error.failedPairs ?? wave.length);
+        error.results = [...results, ...(error.results ?? [])];
+        throw error;
       }
+      done += wave.length;
     }
+    return results;
   }
 
   /**
    * Execute one soup step with parallel workers
+   * @param {number} pairLimit - Completed pair count not to go past; the last
+   *   batch before it is shortened so a run can stop exactly on a target
    */
-  soupStep() {
-    // Skip if too many executions pending (prevents unbounded promise accumulation)
-    if (this.pendingExecutions >= this.maxPendingExecutions) {
+  soupStep(pairLimit = Infinity) {
+    // Skip if too many executions pending (prevents unbounded promise accumulation).
+    // Deterministic mode keeps a single batch in flight so background mutation and
+    // the next selection happen against a quiescent soup.
+    const maxPending = this.deterministic ? 1 : this.maxPendingExecutions;
+    if (this.pendingExecutions >= maxPending) {
+      return [];
+    }
+    // Every worker is restarting: wait rather than fail batches
+    if (this.workerPool.availableWorkers === 0) {
       return [];
     }
 
-    this.currentPairs = [];
+    // Pairs that failed don't count towards the limit, so they are made up
+    const batchSize = Math.min(this.pairsPerStep, pairLimit - this.completedPairs - this.inFlightPairs);
+    if (batchSize <= 0) {
+      return [];
+    }
 
-    // Generate pairs
-    for (let i = 0; i < this.pairsPerStep; i++) {
-      this.currentPairs.push(this.selectRandomPair());
-    }
-
-    // Track pairs and compute epoch
-    this.pairCount += this.pairsPerStep;
-    const prevEpoch = Math.floor(this.generation);
-    this.generation = this.pairCount / this.numTapes;
-    const newEpoch = Math.floor(this.generation);
-
-    // Dispatch to workers (workers write directly to shared soup)
-    this.pendingExecutions++;
-    this.workerPool.executeBatch(this.currentPairs, this.head1Offset, this.maxSteps)
-      .then(aggregatedResults => {
-        this.pendingExecutions--;
-        // Update exec metrics with aggregated results
-        this.updateExecMetricsAggregated(aggregatedResults);
-      })
-      .catch(() => {
-        this.pendingExecutions--;
-      });
+    const firstIndex = this.dispatchedPairs;
 
-    this.mutateSelected();
+    // Epoch advances when the batch completes (see trackBatch)
+    this.dispatchedPairs += batchSize;
+
+    if (this.deterministic) {
+      // Waves need the pairs up front, so draw them here, numbered globally
+      // to seed their mutation
+      const pairs = [];
+      for (let i = 0; i < batchSize; i++) {
+        const pair = this.selectRandomPair();
+        pair.index = firstIndex + i;
+        pairs.push(pair);
+      }
+      this.currentPairs = pairs;
+      const mutation = this.batchMutation();
+
+      // Background mutation only after every pair of the batch has run
+      this.trackBatch(this.executeInWaves(pairs, mutation), batchSize, () => this.mutateBackground(batchSize));
+      return [];
+    }
+
+    // Workers draw the pairs, execute them and mutate directly in the shared soup
+    const mutation = this.batchMutation();
+    const selection = {
+      alignment: this.alignment,
+      localityLimit: this.localityLimit,
+      seed: this.rng.nextUint32(),
+      firstIndex,
+    };
+    this.trackBatch(
+      this.workerPool.executeGenerated(batchSize, selection, this.head1Offset, this.maxSteps, this.language.code, this.topologyBits, mutation),
+      batchSize,
+      results => {
+        this.currentPairs = results.map(r => r.samplePair).filter(Boolean);
+      },
+    );
+
+    this.mutateBackground(batchSize);
 
     return [];
   }
@@ -274,9 +625,17 @@ export class PopulationWasm {
    * Update execution metrics from aggregated worker results
    */
   updateExecMetricsAggregated(results) {
-    // Results is array of {totalHead0, totalHead1, totalMath, totalCopy, totalLoop, count} from each worker
-    let totalHead0 = 0, totalHead1 = 0, totalMath = 0, totalCopy = 0, totalLoop = 0, totalCount = 0;
+    // Results is array of {totalSteps, totalHead0, totalHead1, totalMath, totalCopy, totalLoop,
+    // haltCounts, stepHistogram, mutations, count} from each chunk
+    let totalSteps = 0, totalHead0 = 0, totalHead1 = 0, totalMath = 0, totalCopy = 0, totalLoop = 0, totalCount = 0;
     for (const r of results) {
+      this.mutationAccum.tape += r.mutations || 0;
+      r.haltCounts?.forEach((count, reason) => {
+        this.haltCounts[reason] += count;
+        this.haltAccum[reason] += count;
+      });
+      r.stepHistogram?.forEach((count, bin) => { this.stepAccum[bin] += count; });
+      totalSteps += r.totalSteps || 0;
       totalHead0 += r.totalHead0 || 0;
       totalHead1 += r.totalHead1 || 0;
       totalMath += r.totalMath || 0;
@@ -293,11 +652,13 @@ export class PopulationWasm {
     this.mathEMA = alpha * (totalMath / n) + (1 - alpha) * this.mathEMA;
     this.copyEMA = alpha * (totalCopy / n) + (1 - alpha) * this.copyEMA;
     this.loopEMA = alpha * (totalLoop / n) + (1 - alpha) * this.loopEMA;
+    this.stepsEMA = alpha * (totalSteps / n) + (1 - alpha) * this.stepsEMA;
 
     // Accumulate pairs and only push to history at consistent intervals
     this.execAccumPairs += totalCount;
     if (this.execAccumPairs >= this.execAccumThreshold) {
       this.execHistory.push({
+        epoch: this.generation,
         head0: this.head0EMA,
         head1: this.head1EMA,
         math: this.mathEMA,
@@ -306,8 +667,11 @@ export class PopulationWasm {
       });
       this.execAccumPairs = 0;
 
-      // Update complexity at same interval as exec metrics
+      // Update complexity and mutation counts at same interval as exec metrics
       this.updateComplexity();
+      this.recordMutations();
+      this.recordHalts();
+      this.detectTransition();
 
       if (this.execHistory.length > this.maxHistoryLength) {
         // Downsample: keep every other point
@@ -317,35 +681,151 @@ export class PopulationWasm {
   }
 
   /**
-   * Instruction colors
+   * Feed the latest history point to the transition detector and record any event
    */
-  static INSTRUCTION_COLORS = {
-    0x3C: { h: 180, s: 100, l: 70 },
-    0x3E: { h: 160, s: 100, l: 75 },
-    0x7B: { h: 320, s: 100, l: 75 },
-    0x7D: { h: 340, s: 100, l: 80 },
-    0x2B: { h: 120, s: 100, l: 70 },
-    0x2D: { h: 90, s: 100, l: 75 },
-    0x2E: { h: 60, s: 100, l: 70 },
-    0x2C: { h: 45, s: 100, l: 75 },
-    0x5B: { h: 210, s: 100, l: 75 },
-    0x5D: { h: 240, s: 100, l: 80 },
-  };
+  detectTransition() {
+    const latest = this.complexityHistory[this.complexityHistory.length - 1];
+    const event = this.transitionDetector.update({
+      epoch: this.generation,
+      highOrder: latest.highOrder,
+      copy: this.copyEMA,
+      loop: this.loopEMA,
+    });
+    if (event) {
+      this.events.push(event);
+      if (this.onEvent) this.onEvent(event);
+    }
+  }
 
   /**
-   * Pre-computed color lookup table (256 entries, 3 bytes each)
-   * Initialized lazily on first use
+   * Export the full simulation state (for snapshots)
+   * @returns {Object} Plain state object; soup is a copy
    */
-  static colorLUT = null;
+  exportState() {
+    return {
+      width: this.width,
+      height: this.height,
+      regionSize: this.regionSize,
+      language: this.language.id,
+      topology: { ...this.topology },
+      seed: this.seed,
+      rngState: this.rng.state,
+      generation: this.generation,
+      pairCount: this.completedPairs,
+      failedPairs: this.failedPairs,
+      mutationRate: this.mutationRate,
+      mutationType: this.mutationType,
+      mutationStdDev: this.mutationStdDev,
+      cosmicRate: this.cosmicRate,
+      cosmicCarry: this.cosmicCarry,
+      mutationAccum: { ...this.mutationAccum },
+      mutationHistory: this.mutationHistory,
+      alignment: this.alignment,
+      localityLimit: this.localityLimit,
+      head1Offset: this.head1Offset,
+      maxSteps: this.maxSteps,
+      deterministic: this.deterministic,
+      complexityHistory: this.complexityHistory,
+      execHistory: this.execHistory,
+      execEMA: {
+        head0: this.head0EMA,
+        head1: this.head1EMA,
+        math: this.mathEMA,
+        copy: this.copyEMA,
+        loop: this.loopEMA,
+        steps: this.stepsEMA,
+      },
+      haltCounts: this.haltCounts.slice(),
+      haltAccum: this.haltAccum.slice(),
+      stepAccum: this.stepAccum.slice(),
+      haltHistory: this.haltHistory,
+      stepHistogram: this.stepHistogram.slice(),
+      execAccumPairs: this.execAccumPairs,
+      events: this.events,
+      transitionThresholds: this.transitionDetector.thresholds,
+      replicating: this.transitionDetector.replicating,
+      soup: this.soup.slice(),
+    };
+  }
 
   /**
-   * Build color lookup table (called once)
+   * Restore a state produced by exportState()
+   * Population must already be initialized with the same dimensions.
+   * @param {Object} state - State object
    */
-  static buildColorLUT() {
-    if (PopulationWasm.colorLUT) return;
+  importState(state) {
+    if (state.width !== this.width || state.height !== this.height || state.regionSize !== this.regionSize) {
+      throw new Error(
+        `State is ${state.width}x${state.height} with region ${state.regionSize}, ` +
+        `population is ${this.width}x${this.height} with region ${this.regionSize}`
+      );
+    }
+    // States from before language selection are BFF
+    const language = state.language ?? DEFAULT_LANGUAGE;
+    if (language !== this.language.id) {
+      throw new Error(`State runs ${language}, population runs ${this.language.id}`);
+    }
+    if (state.soup.length !== this.soup.length) {
+      throw new Error(`State soup is ${state.soup.length} bytes, population soup is ${this.soup.length}`);
+    }
 
-    // Flat array: [r0, g0, b0, r1, g1, b1, ...]
-    PopulationWasm.colorLUT = new Uint8Array(256 * 3);
+    this.soup.set(state.soup);
+    this.seed = state.seed;
+    this.rng = new Random(state.seed);
+    this.rng.state = state.rngState;
+    this.generation = state.generation;
+    this.completedPairs = state.pairCount;
+    this.failedPairs = state.failedPairs ?? 0;
+    this.dispatchedPairs = this.completedPairs + this.failedPairs;
+    this.inFlightBatches = new Set();
+    this.setMutationParams(state.mutationRate, state.mutationType, state.mutationStdDev);
+    // States from before background mutation had none
+    this.cosmicRate = state.cosmicRate ?? 0;
+    this.cosmicCarry = state.cosmicCarry ?? 0;
+    this.mutationAccum = state.mutationAccum ?? { tape: 0, cosmic: 0, epoch: state.generation };
+    this.mutationHistory = state.mutationHistory ?? [];
+    this.alignment = state.alignment;
+    this.localityLimit = state.localityLimit;
+    this.head1Offset = state.head1Offset;
+    this.maxSteps = state.maxSteps;
+    this.setTopology(state.topology);  // States from before topologies use the default
+    this.deterministic = state.deterministic;
+    this.complexityHistory = state.complexityHistory;
+    this.execHistory = state.execHistory;
+    this.head0EMA = state.execEMA.head0;
+    this.head1EMA = state.execEMA.head1;
+    this.mathEMA = state.execEMA.math;
+    this.copyEMA = state.execEMA.copy;
+    this.loopEMA = state.execEMA.loop;
+    // States from before step and halt tracking had neither
+    this.stepsEMA = state.execEMA.steps ?? 0;
+    this.haltCounts = HALT_REASONS.map((_, reason) => state.haltCounts?.[reason] ?? 0);
+    this.haltAccum = HALT_REASONS.map((_, reason) => state.haltAccum?.[reason] ?? 0);
+    this.stepAccum = Array.from({ length: STEP_BINS }, (_, bin) => state.stepAccum?.[bin] ?? 0);
+    this.haltHistory = state.haltHistory ?? [];
+    this.stepHistogram = Array.from({ length: STEP_BINS }, (_, bin) => state.stepHistogram?.[bin] ?? 0);
+    this.execAccumPairs = state.execAccumPairs;
+    this.events = state.events ?? [];
+    this.transitionDetector = new TransitionDetector(state.transitionThresholds);
+    this.transitionDetector.replicating = state.replicating ?? false;
+  }
+
+  /**
+   * Pre-computed color lookup tables (256 entries, 3 bytes each) per language id
+   * Built lazily on first use
+   */
+  static colorLUTs = new Map();
+
+  /**
+   * Color lookup table for a language: instruction colors over the data gradient
+   * @param {Language} language
+   * @returns {Uint8Array} Flat array: [r0, g0, b0, r1, g1, b1, ...]
+   */
+  static getColorLUT(language) {
+    const cached = PopulationWasm.colorLUTs.get(language.id);
+    if (cached) return cached;
+
+    const lut = new Uint8Array(256 * 3);
 
     const hslToRgb = (h, s, l) => {
       s /= 100;
@@ -359,9 +839,10 @@ export class PopulationWasm {
     for (let byte = 0; byte < 256; byte++) {
       let r, g, b;
 
-      const instrColor = PopulationWasm.INSTRUCTION_COLORS[byte];
-      if (instrColor) {
-        [r, g, b] = hslToRgb(instrColor.h, instrColor.s, instrColor.l);
+      const instruction = language.byteToInstruction(byte);
+      if (instruction) {
+        const { h, s, l } = language.instructions[instruction].color;
+        [r, g, b] = hslToRgb(h, s, l);
       } else if (byte === 0) {
         r = g = b = 0;
       } else {
@@ -385,10 +866,13 @@ export class PopulationWasm {
       }
 
       const idx = byte * 3;
-      PopulationWasm.colorLUT[idx] = r;
-      PopulationWasm.colorLUT[idx + 1] = g;
-      PopulationWasm.colorLUT[idx + 2] = b;
+      lut[idx] = r;
+      lut[idx + 1] = g;
+      lut[idx + 2] = b;
     }
+
+    PopulationWasm.colorLUTs.set(language.id, lut);
+    return lut;
   }
 
   /**
@@ -401,11 +885,6 @@ export class PopulationWasm {
     const endY = Math.min(startY + viewHeight, this.height);
     const actualHeight = endY - startY;
 
-    // Ensure color LUT is built
-    if (!PopulationWasm.colorLUT) {
-      PopulationWasm.buildColorLUT();
-    }
-
     // Reuse cached ImageData if dimensions match
     if (!this.cachedImageData || this.cachedImageDataHeight !== actualHeight) {
       this.cachedImageData = ctx.createImageData(this.width, actualHeight);
@@ -413,7 +892,7 @@ export class PopulationWasm {
     }
 
     const data = this.cachedImageData.data;
-    const lut = PopulationWasm.colorLUT;
+    const lut = PopulationWasm.getColorLUT(this.language);
     const soup = this.soup;
     const width = this.width;
 
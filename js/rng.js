@@ -0,0 +1,93 @@
+/**
+ * Random - Seedable pseudo-random number generator
+ *
+ * Mulberry32: a small, fast 32-bit generator whose entire state is one u32.
+ * Statistical quality is plenty for pair selection and mutation, and the
+ * tiny state makes runs reproducible and cheap to store.
+ */
+export class Random {
+  /**
+   * Create a new generator
+   * @param {number} seed - 32-bit seed (default: random)
+   */
+  constructor(seed = Random.randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Draw a fresh seed from Math.random()
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Derive the seed of one item's own generator from a parent seed
+   * Neighbouring indices give unrelated seeds, so items can be processed in
+   * any order or on any thread and still draw the same numbers.
+   * @param {number} seed - Parent seed
+   * @param {number} index - Item index (integer, may exceed 32 bits)
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static deriveSeed(seed, index) {
+    let h = seed ^ Math.imul(index >>> 0, 0x9E3779B1) ^ Math.imul(Math.floor(index / 4294967296), 0x7FEB352D);
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /**
+   * Parse a user-supplied seed (decimal or 0x-prefixed hex)
+   * @param {string} text - Seed text
+   * @returns {number|null} Unsigned 32-bit seed, or null if invalid
+   */
+  static parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (!/^(0x[0-9a-f]+|\d+)$/i.test(trimmed)) return null;
+    const value = Number(trimmed);
+    if (!Number.isSafeInteger(value)) return null;
+    return value >>> 0;
+  }
+
+  /**
+   * Next unsigned 32-bit integer
+   * @returns {number}
+   */
+  nextUint32() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   * @returns {number}
+   */
+  next() {
+    return this.nextUint32() / 4294967296;
+  }
+
+  /**
+   * Next integer in [0, n)
+   * @param {number} n - Exclusive upper bound
+   * @returns {number}
+   */
+  nextInt(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Next standard normal sample (Box-Muller)
+   * Uses two draws per sample and keeps no spare, so the state stays one u32.
+   * @returns {number}
+   */
+  nextGaussian() {
+    const u = 1 - this.next();  // (0, 1], keeps log finite
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Pair selection - which two tapes interact next
+ *
+ * Tapes start on multiples of `alignment`. The second tape is drawn from the
+ * whole soup or, with a locality limit, from within that many aligned
+ * positions of the first; the two never overlap. Shared by the main thread
+ * and the workers, which draw their own pairs in fast mode.
+ */
+
+/**
+ * Select a random tape start position with the given alignment
+ * @param {Random} rng - Random source
+ * @param {number} soupLength - Soup size in bytes
+ * @param {number} regionSize - Tape length
+ * @param {number} alignment - Start alignment in bytes
+ * @returns {number}
+ */
+export function selectSlice(rng, soupLength, regionSize, alignment) {
+  const maxStart = soupLength - regionSize;
+  const numPositions = Math.floor(maxStart / alignment) + 1;
+  return rng.nextInt(numPositions) * alignment;
+}
+
+/**
+ * Select two non-overlapping tapes
+ * @param {Random} rng - Random source
+ * @param {number} soupLength - Soup size in bytes
+ * @param {number} regionSize - Tape length
+ * @param {number} alignment - Start alignment in bytes
+ * @param {number|null} localityLimit - Max aligned positions between the tapes (null = any)
+ * @returns {{a: number, b: number}}
+ */
+export function selectPair(rng, soupLength, regionSize, alignment, localityLimit) {
+  const a = selectSlice(rng, soupLength, regionSize, alignment);
+  let b;
+
+  const maxStart = soupLength - regionSize;
+  const numPositions = Math.floor(maxStart / alignment) + 1;
+
+  if (localityLimit !== null && localityLimit > 0) {
+    // Limited locality: select within range (in terms of aligned positions)
+    const posA = Math.floor(a / alignment);
+    const minPos = Math.max(0, posA - localityLimit);
+    const maxPos = Math.min(numPositions - 1, posA + localityLimit);
+    let posB;
+    do {
+      posB = minPos + rng.nextInt(maxPos - minPos + 1);
+    } while (Math.abs(posB * alignment - a) < regionSize);
+    b = posB * alignment;
+  } else {
+    // Any position, ensure non-overlapping
+    do {
+      b = rng.nextInt(numPositions) * alignment;
+    } while (Math.abs(b - a) < regionSize);
+  }
+
+  return { a, b };
+}
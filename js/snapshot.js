@@ -0,0 +1,99 @@
+/**
+ * Soup Snapshots - versioned save/load format for the full simulation state
+ *
+ * File layout (little-endian):
+ *   bytes 0-3   magic "TSNP"
+ *   bytes 4-5   format version (u16)
+ *   bytes 6-7   reserved (0)
+ *   bytes 8-    zlib-deflated payload:
+ *                 u32 metadata length, metadata JSON (UTF-8), soup bytes
+ *
+ * The metadata holds everything PopulationWasm.exportState() returns except
+ * the soup itself, which is stored raw after it.
+ */
+
+import * as wasm from './wasm-bridge.js';
+
+export const SNAPSHOT_MAGIC = 'TSNP';
+export const SNAPSHOT_VERSION = 1;
+export const SNAPSHOT_EXTENSION = '.tsoup';
+
+const HEADER_SIZE = 8;
+
+/**
+ * Encode a population state as a snapshot file
+ * @param {Object} state - State from PopulationWasm.exportState()
+ * @returns {Promise<Uint8Array>} Snapshot file bytes
+ */
+export async function encodeSnapshot(state) {
+  await wasm.initWasm();
+
+  const { soup, ...meta } = state;
+  const metaBytes = new TextEncoder().encode(JSON.stringify(meta));
+
+  const payload = new Uint8Array(4 + metaBytes.length + soup.length);
+  new DataView(payload.buffer).setUint32(0, metaBytes.length, true);
+  payload.set(metaBytes, 4);
+  payload.set(soup, 4 + metaBytes.length);
+
+  const compressed = wasm.deflateCompress(payload);
+
+  const file = new Uint8Array(HEADER_SIZE + compressed.length);
+  const header = new DataView(file.buffer);
+  for (let i = 0; i < SNAPSHOT_MAGIC.length; i++) {
+    file[i] = SNAPSHOT_MAGIC.charCodeAt(i);
+  }
+  header.setUint16(4, SNAPSHOT_VERSION, true);
+  file.set(compressed, HEADER_SIZE);
+  return file;
+}
+
+/**
+ * Decode a snapshot file
+ * @param {Uint8Array} bytes - Snapshot file bytes
+ * @returns {Promise<Object>} State for PopulationWasm.importState()
+ * @throws {Error} If the file is not a snapshot, has an unsupported version or is corrupt
+ */
+export async function decodeSnapshot(bytes) {
+  await wasm.initWasm();
+
+  if (bytes.length < HEADER_SIZE) {
+    throw new Error('Not a Turing Soup snapshot (file too short)');
+  }
+  const magic = String.fromCharCode(...bytes.subarray(0, SNAPSHOT_MAGIC.length));
+  if (magic !== SNAPSHOT_MAGIC) {
+    throw new Error('Not a Turing Soup snapshot (bad magic)');
+  }
+  const header = new DataView(bytes.buffer, bytes.byteOffset, HEADER_SIZE);
+  const version = header.getUint16(4, true);
+  if (version > SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${version} (this build reads up to ${SNAPSHOT_VERSION})`);
+  }
+
+  let payload;
+  try {
+    payload = wasm.deflateDecompress(bytes.subarray(HEADER_SIZE));
+  } catch (e) {
+    throw new Error(`Corrupt snapshot: ${e.message}`);
+  }
+  if (payload.length < 4) {
+    throw new Error('Corrupt snapshot: payload too short');
+  }
+  const metaLength = new DataView(payload.buffer, payload.byteOffset, 4).getUint32(0, true);
+  if (metaLength > payload.length - 4) {
+    throw new Error(`Corrupt snapshot: metadata length ${metaLength} runs past the ${payload.length}-byte payload`);
+  }
+  let meta;
+  try {
+    meta = JSON.parse(new TextDecoder().decode(payload.subarray(4, 4 + metaLength)));
+  } catch (e) {
+    throw new Error(`Corrupt snapshot: bad metadata (${e.message})`);
+  }
+  const soup = payload.slice(4 + metaLength);
+
+  if (soup.length !== meta.width * meta.height) {
+    throw new Error(`Corrupt snapshot: soup is ${soup.length} bytes, expected ${meta.width * meta.height}`);
+  }
+
+  return { ...meta, soup };
+}
@@ -0,0 +1,120 @@
+/**
+ * StopConditions - "run until" targets that pause a run automatically
+ *
+ * Written as comma-separated "key value" clauses, e.g. "epoch 5000" or
+ * "hk 1.5, time 10m"; the run stops as soon as any clause holds. Epoch and
+ * pair targets are exact: dispatch is capped at the target pair count and the
+ * run stops once every batch up to it has completed.
+ */
+
+// Accepted clause keys -> condition field
+const CONDITION_KEYS = {
+  epoch: 'epoch',
+  epochs: 'epoch',
+  pairs: 'pairs',
+  hk: 'highOrder',
+  'h-k': 'highOrder',
+  copy: 'copy',
+  time: 'seconds',
+};
+
+// Time clause suffix -> seconds
+const TIME_UNITS = { '': 1, s: 1, m: 60, h: 3600 };
+
+/**
+ * Parse a time budget such as "90", "90s", "10m" or "1.5h"
+ * @param {string} text
+ * @returns {number} Seconds, NaN if invalid
+ */
+function parseSeconds(text) {
+  const match = /^(\d+(?:\.\d+)?)([smh]?)$/.exec(text);
+  return match ? parseFloat(match[1]) * TIME_UNITS[match[2]] : NaN;
+}
+
+export class StopConditions {
+  /**
+   * Create stop conditions
+   * @param {{epoch?: number, pairs?: number, highOrder?: number, copy?: number, seconds?: number}} conditions
+   */
+  constructor(conditions) {
+    this.conditions = conditions;
+  }
+
+  /**
+   * Parse conditions from text
+   * @param {string} text - e.g. "epoch 5000, hk 1.5"
+   * @returns {StopConditions|null} null for empty text
+   * @throws {Error} If a clause is not understood
+   */
+  static parse(text) {
+    const conditions = {};
+    for (const clause of text.split(',').map(c => c.trim().toLowerCase()).filter(Boolean)) {
+      const [key, value, ...rest] = clause.split(/\s+/);
+      const field = CONDITION_KEYS[key];
+      if (!field || value === undefined || rest.length > 0) {
+        throw new Error(`Unknown stop condition "${clause}"`);
+      }
+      const number = field === 'seconds' ? parseSeconds(value) : Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`Invalid value in "${clause}"`);
+      }
+      conditions[field] = number;
+    }
+    return Object.keys(conditions).length > 0 ? new StopConditions(conditions) : null;
+  }
+
+  /**
+   * Pair count that dispatch must not go past
+   * @param {number} numTapes - Tapes in the soup (pairs per epoch)
+   * @returns {number} Pair limit, Infinity if no epoch or pair target
+   */
+  pairLimit(numTapes) {
+    const { epoch, pairs } = this.conditions;
+    let limit = Infinity;
+    if (epoch !== undefined) limit = Math.min(limit, Math.round(epoch * numTapes));
+    if (pairs !== undefined) limit = Math.min(limit, Math.round(pairs));
+    return limit;
+  }
+
+  /**
+   * Check whether the run should stop now
+   * @param {PopulationWasm} population
+   * @param {number} elapsedSeconds - Running time since the conditions were set
+   * @returns {string|null} The condition that holds, or null to keep running
+   */
+  check(population, elapsedSeconds) {
+    const { highOrder, copy, seconds } = this.conditions;
+    // Targets only count once every batch before them has been applied
+    if (population.pendingExecutions === 0 && population.completedPairs >= this.pairLimit(population.numTapes)) {
+      return this.conditions.epoch !== undefined && population.generation >= this.conditions.epoch
+        ? `epoch ${population.generation.toFixed(2)}`
+        : `pairs ${population.completedPairs}`;
+    }
+    const latest = population.complexityHistory[population.complexityHistory.length - 1];
+    if (highOrder !== undefined && latest && latest.highOrder >= highOrder) {
+      return `hk ${latest.highOrder.toFixed(2)}`;
+    }
+    if (copy !== undefined && population.copyEMA >= copy) {
+      return `copy ${population.copyEMA.toFixed(1)}`;
+    }
+    if (seconds !== undefined && elapsedSeconds >= seconds) {
+      return `time ${Math.round(elapsedSeconds)}s`;
+    }
+    return null;
+  }
+
+  /**
+   * Format the conditions as parseable text
+   * @returns {string}
+   */
+  toString() {
+    const { epoch, pairs, highOrder, copy, seconds } = this.conditions;
+    const clauses = [];
+    if (epoch !== undefined) clauses.push(`epoch ${epoch}`);
+    if (pairs !== undefined) clauses.push(`pairs ${pairs}`);
+    if (highOrder !== undefined) clauses.push(`hk ${highOrder}`);
+    if (copy !== undefined) clauses.push(`copy ${copy}`);
+    if (seconds !== undefined) clauses.push(`time ${seconds}s`);
+    return clauses.join(', ');
+  }
+}
@@ -29,7 +29,7 @@ export function initTooltips() {
  * Register a tooltip on a trigger element
  * @param {HTMLElement} trigger - Element that shows tooltip on hover
  * @param {Object} config - Tooltip configuration
- * @param {string} config.content - HTML content for the tooltip
+ * @param {string|function(): string} config.content - HTML content for the tooltip (a function is called each time it shows)
  * @param {Object} config.nested - Map of data-tooltip values to nested tooltip configs
  * @param {string} config.position - Preferred position: 'bottom', 'right', 'left', 'top'
  */
@@ -99,7 +99,7 @@ function showTooltip(trigger) {
   const tooltip = document.createElement('div');
   tooltip.className = 'tooltip';
   tooltip.dataset.depth = depth;
-  tooltip.innerHTML = config.content;
+  tooltip.innerHTML = typeof config.content === 'function' ? config.content() : config.content;
 
   // Add to layer
   tooltipLayer.appendChild(tooltip);
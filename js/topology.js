@@ -0,0 +1,60 @@
+/**
+ * Topology - what a combined tape does at its edges
+ *
+ * Three independent rules, honoured by both BFFInterpreter and the WASM
+ * interpreter (wasm/src/bff.rs, Topology):
+ * - heads: a head moving off the tape wraps to the other end, stays put
+ *   (clamp) or halts execution
+ * - ip: the IP moving past the last cell halts execution or wraps to cell 0
+ * - brackets: bracket matching stops at the tape ends (bounded) or continues
+ *   around the tape (cyclic)
+ *
+ * The defaults are the paper's rules.
+ */
+
+// Choices per rule, first one is the default
+export const TOPOLOGY_OPTIONS = {
+  heads: ['wrap', 'clamp', 'halt'],
+  ip: ['halt', 'wrap'],
+  brackets: ['bounded', 'cyclic'],
+};
+
+export const DEFAULT_TOPOLOGY = Object.freeze({ heads: 'wrap', ip: 'halt', brackets: 'bounded' });
+
+/**
+ * Validate a topology, filling in defaults for missing rules
+ * @param {Object} topology - {heads, ip, brackets}; any may be omitted
+ * @returns {{heads: string, ip: string, brackets: string}}
+ */
+export function normalizeTopology(topology = {}) {
+  const result = { ...DEFAULT_TOPOLOGY };
+  for (const [rule, choices] of Object.entries(TOPOLOGY_OPTIONS)) {
+    const value = topology[rule];
+    if (value === undefined) continue;
+    if (!choices.includes(value)) {
+      throw new Error(`Topology ${rule} must be one of ${choices.join(', ')}, got "${value}"`);
+    }
+    result[rule] = value;
+  }
+  return result;
+}
+
+/**
+ * Pack a topology for WASM: bits 0-1 heads, bit 2 ip, bit 3 brackets
+ * @param {{heads: string, ip: string, brackets: string}} topology
+ * @returns {number}
+ */
+export function encodeTopology(topology) {
+  return TOPOLOGY_OPTIONS.heads.indexOf(topology.heads)
+    | TOPOLOGY_OPTIONS.ip.indexOf(topology.ip) << 2
+    | TOPOLOGY_OPTIONS.brackets.indexOf(topology.brackets) << 3;
+}
+
+/**
+ * Short description, e.g. "heads wrap, ip halt, brackets bounded"
+ * @param {{heads: string, ip: string, brackets: string}} topology
+ * @returns {string}
+ */
+export function describeTopology(topology) {
+  return Object.keys(TOPOLOGY_OPTIONS).map(rule => `${rule} ${topology[rule]}`).join(', ');
+}
@@ -0,0 +1,183 @@
+/**
+ * Execution traces - every step of a single pair interaction
+ *
+ * A trace records, per executed instruction, the IP and opcode, the head
+ * positions when it ran and the write it made. Traces from the JS
+ * BFFInterpreter and from the WASM interpreter share one format, so they can
+ * be exported side by side and diffed.
+ */
+
+import { Tape } from './tape.js';
+import { BFFInterpreter, HALT_REASONS } from './bff.js';
+import { BFF, getLanguage } from './languages.js';
+import { DEFAULT_TOPOLOGY, encodeTopology } from './topology.js';
+import { PopulationWasm } from './population-wasm.js';
+import * as wasm from './wasm-bridge.js';
+
+const TRACE_COLUMNS = ['step', 'ip', 'opcode', 'instruction', 'head0', 'head1', 'write_index', 'old_value', 'new_value'];
+
+// Space-time diagram marker colors (match the debugger)
+const IP_COLOR = [255, 255, 255];
+const HEAD0_COLOR = [0, 255, 255];
+const HEAD1_COLOR = [255, 0, 170];
+
+// Space-time diagrams taller than this skip rows (browsers cap canvas height)
+const MAX_SPACE_TIME_ROWS = 4096;
+
+/**
+ * Trace a combined tape with the JS BFFInterpreter
+ * @param {Uint8Array} tape - Combined tape at step 0 (not modified)
+ * @param {number} head1Offset - Starting head1 position
+ * @param {number} maxSteps - Max execution steps
+ * @param {Language} language - Instruction set (default BFF)
+ * @param {Object} topology - Edge rules (default DEFAULT_TOPOLOGY)
+ * @returns {Object} Trace
+ */
+export function traceInterpreter(tape, head1Offset, maxSteps = BFFInterpreter.MAX_STEPS, language = BFF, topology = DEFAULT_TOPOLOGY) {
+  const interpreter = new BFFInterpreter(Tape.fromArray(tape), { head1Offset, maxSteps, language, topology, recordHistory: false });
+
+  const steps = [];
+  while (!interpreter.halted) {
+    const { ip, head0, head1, stepCount } = interpreter;
+    const opcode = interpreter.tape.get(ip);
+    const { changed } = interpreter.step();
+    // Halting on the step limit or an instruction-free tape executes nothing
+    if (interpreter.stepCount === stepCount) break;
+
+    steps.push({
+      step: interpreter.stepCount,
+      ip,
+      opcode,
+      head0,
+      head1,
+      write: changed && changed.type !== null
+        ? { index: changed.index, oldValue: changed.oldValue, newValue: changed.newValue }
+        : null,
+    });
+  }
+
+  return {
+    interpreter: 'js',
+    language: language.id,
+    topology: { ...topology },
+    head1Offset,
+    maxSteps,
+    haltReason: interpreter.haltReason,
+    initialTape: Array.from(tape),
+    finalTape: interpreter.tape.toArray(),
+    steps,
+  };
+}
+
+/**
+ * Trace a combined tape with the WASM interpreter the soup runs
+ * @param {Uint8Array} tape - Combined tape at step 0 (not modified)
+ * @param {number} head1Offset - Starting head1 position
+ * @param {number} maxSteps - Max execution steps
+ * @param {Language} language - Instruction set (default BFF)
+ * @param {Object} topology - Edge rules (default DEFAULT_TOPOLOGY)
+ * @returns {Object} Trace
+ */
+export function traceWasm(tape, head1Offset, maxSteps, language = BFF, topology = DEFAULT_TOPOLOGY) {
+  const result = wasm.traceTape(tape, head1Offset, maxSteps, language.code, encodeTopology(topology));
+  return {
+    interpreter: 'wasm',
+    language: language.id,
+    topology: { ...topology },
+    head1Offset,
+    maxSteps,
+    haltReason: HALT_REASONS[result.haltReason],
+    initialTape: Array.from(tape),
+    finalTape: Array.from(result.tape),
+    steps: result.trace.map((step, i) => ({ step: i + 1, ...step })),
+  };
+}
+
+/**
+ * Serialize a trace as JSON
+ * @param {Object} trace
+ * @returns {string}
+ */
+export function traceToJSON(trace) {
+  return JSON.stringify(trace);
+}
+
+/**
+ * Serialize the steps of a trace as CSV (one row per step)
+ * @param {Object} trace
+ * @returns {string}
+ */
+export function traceToCSV(trace) {
+  const language = getLanguage(trace.language);
+  const rows = [TRACE_COLUMNS.join(',')];
+  for (const s of trace.steps) {
+    const instruction = language.byteToInstruction(s.opcode) ?? '';
+    rows.push([
+      s.step, s.ip, s.opcode,
+      // Quote: ',' and '.' are BFF instructions
+      `"${instruction}"`,
+      s.head0, s.head1,
+      s.write ? s.write.index : '',
+      s.write ? s.write.oldValue : '',
+      s.write ? s.write.newValue : '',
+    ].join(','));
+  }
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Draw a space-time diagram: tape cells across, one row per step going down
+ * Row i shows the tape when step i+1 ran, with the IP (white), head0 (cyan)
+ * and head1 (magenta) marked; the last row is the final tape. Long traces
+ * keep every stride-th row so the canvas stays under MAX_SPACE_TIME_ROWS.
+ * @param {HTMLCanvasElement} canvas - Resized to tape length x rows pixels
+ * @param {Object} trace
+ * @returns {number} Steps per row (1 unless the trace was downsampled)
+ */
+export function renderSpaceTime(canvas, trace) {
+  const lut = PopulationWasm.getColorLUT(getLanguage(trace.language));
+  const steps = trace.steps.length;
+  const stride = Math.max(1, Math.ceil(steps / (MAX_SPACE_TIME_ROWS - 1)));
+  const width = trace.initialTape.length;
+  // Rows at steps 0, stride, 2*stride... below `steps`, plus the final tape
+  const height = steps === 0 ? 1 : Math.floor((steps - 1) / stride) + 2;
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  const data = image.data;
+  const tape = Uint8Array.from(trace.initialTape);
+
+  const setPixel = (x, y, [r, g, b]) => {
+    const i = (y * width + x) * 4;
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  };
+
+  let y = 0;
+  for (let i = 0; i <= steps; i++) {
+    const step = trace.steps[i];
+    if (i % stride === 0 || i === steps) {
+      for (let x = 0; x < width; x++) {
+        const byte = tape[x];
+        setPixel(x, y, [lut[byte * 3], lut[byte * 3 + 1], lut[byte * 3 + 2]]);
+      }
+      if (step) {
+        setPixel(step.head0, y, HEAD0_COLOR);
+        setPixel(step.head1, y, HEAD1_COLOR);
+        setPixel(step.ip, y, IP_COLOR);
+      }
+      y++;
+    }
+    // Writes apply on every step, drawn or not
+    if (step?.write) {
+      tape[step.write.index] = step.write.newValue;
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return stride;
+}
@@ -0,0 +1,69 @@
+/**
+ * TransitionDetector - spots the soup entering (or leaving) the self-replicating regime
+ *
+ * Fed one sample per history point (H-K, copy EMA, loop EMA). The soup is in
+ * the replicating regime while every metric is at or above its threshold; a
+ * change of regime is reported once it has held for `sustain` consecutive
+ * samples, dated at the first sample of that run.
+ */
+
+export const DEFAULT_TRANSITION_THRESHOLDS = {
+  highOrder: 1.0,  // H-K, bits per byte
+  copy: 32,        // copy ops per pair (EMA); 0 = ignore
+  loop: 0,         // loop ops per pair (EMA); 0 = ignore
+  sustain: 3,      // consecutive samples required
+};
+
+export class TransitionDetector {
+  /**
+   * Create a detector
+   * @param {Object} thresholds - Overrides for DEFAULT_TRANSITION_THRESHOLDS
+   */
+  constructor(thresholds = {}) {
+    this.thresholds = { ...DEFAULT_TRANSITION_THRESHOLDS, ...thresholds };
+    this.reset();
+  }
+
+  /**
+   * Forget the current regime (back to pre-transition)
+   */
+  reset() {
+    this.replicating = false;
+    this.streak = 0;
+    this.streakStartEpoch = null;
+  }
+
+  /**
+   * Check one sample against the thresholds
+   * @param {{epoch: number, highOrder: number, copy: number, loop: number}} sample
+   * @returns {{type: string, epoch: number, highOrder: number, copy: number, loop: number}|null}
+   *   A 'transition' or 'reversion' event when the regime changes, else null
+   */
+  update(sample) {
+    const t = this.thresholds;
+    const above = sample.highOrder >= t.highOrder && sample.copy >= t.copy && sample.loop >= t.loop;
+
+    if (above === this.replicating) {
+      this.streak = 0;
+      return null;
+    }
+
+    if (this.streak === 0) {
+      this.streakStartEpoch = sample.epoch;
+    }
+    this.streak++;
+    if (this.streak < t.sustain) {
+      return null;
+    }
+
+    this.replicating = above;
+    this.streak = 0;
+    return {
+      type: above ? 'transition' : 'reversion',
+      epoch: this.streakStartEpoch,
+      highOrder: sample.highOrder,
+      copy: sample.copy,
+      loop: sample.loop,
+    };
+  }
+}
@@ -5,24 +5,96 @@
  * for the Population class to use.
  */
 
+// JS glue of the default build, and of the optional threaded build whose
+// memory is shared between instances (make build-threads)
+export const WASM_URL = new URL('../wasm/pkg/turing_soup_wasm.js', import.meta.url).href;
+export const THREADED_WASM_URL = new URL('../wasm/pkg-threads/turing_soup_wasm.js', import.meta.url).href;
+
 let wasmModule = null;
 let wasmReady = false;
+let wasmMemory = null;  // Shared WebAssembly.Memory when the threaded build is loaded
 
 /**
  * Initialize the WASM module
+ * @param {WebAssembly.Module|BufferSource} module - Optional precompiled module or bytes
+ *   (default: fetch the .wasm next to the JS glue; Node has no fetch for file URLs)
  * @returns {Promise<void>}
  */
-export async function initWasm() {
+export async function initWasm(module = null) {
   if (wasmReady) return;
 
   // Dynamic import of the WASM module
-  const wasm = await import('../wasm/pkg/turing_soup_wasm.js');
-  await wasm.default();
+  const wasm = await import(WASM_URL);
+  await wasm.default(module ? { module_or_path: module } : undefined);
 
   wasmModule = wasm;
   wasmReady = true;
 }
 
+/**
+ * Initialize the threaded build if it is present and usable
+ * Needs cross-origin isolation and a build from make build-threads; with it,
+ * workers instantiated on getSharedMemory() run pairs in place (see allocSoup).
+ * @returns {Promise<boolean>} Whether the threaded build is now in use
+ */
+export async function initThreadedWasm() {
+  if (wasmReady) return wasmMemory !== null;
+  if (typeof SharedArrayBuffer === 'undefined') return false;
+
+  try {
+    const wasm = await import(THREADED_WASM_URL);
+    const exports = await wasm.default();
+    if (!(exports.memory.buffer instanceof SharedArrayBuffer) || !wasm.execute_batch_in_place) {
+      return false;
+    }
+    wasmModule = wasm;
+    wasmMemory = exports.memory;
+    wasmReady = true;
+    return true;
+  } catch (e) {
+    // Not built, or the browser cannot instantiate shared memory
+    return false;
+  }
+}
+
+/**
+ * Shared memory of the threaded build
+ * @returns {WebAssembly.Memory|null} Null when the default build is loaded
+ */
+export function getSharedMemory() {
+  return wasmMemory;
+}
+
+/**
+ * Allocate a zeroed soup inside the threaded build's shared memory
+ * @param {number} length - Soup size in bytes
+ * @returns {{ptr: number, soup: Uint8Array}} Address (for workers) and a view of the soup
+ */
+export function allocSoup(length) {
+  if (!wasmMemory) throw new Error('Threaded WASM not initialized');
+  const ptr = wasmModule.soup_alloc(length);
+  return { ptr, soup: new Uint8Array(wasmMemory.buffer, ptr, length) };
+}
+
+/**
+ * Free a soup from allocSoup
+ * @param {number} ptr - Soup address
+ * @param {number} length - Soup size in bytes
+ */
+export function freeSoup(ptr, length) {
+  if (!wasmMemory) throw new Error('Threaded WASM not initialized');
+  wasmModule.soup_free(ptr, length);
+}
+
+/**
+ * The loaded wasm-bindgen module, for running batches on the main thread
+ * @returns {Object}
+ */
+export function getModule() {
+  if (!wasmReady) throw new Error('WASM not initialized');
+  return wasmModule;
+}
+
 /**
  * Check if WASM is initialized
  * @returns {boolean}
@@ -31,18 +103,44 @@ export function isWasmReady() {
   return wasmReady;
 }
 
+/**
+ * Check if the loaded WASM build can run a language
+ * Builds from before language support run BFF only.
+ * @param {number} code - Language code (Language.code)
+ * @returns {boolean}
+ */
+export function isLanguageSupported(code) {
+  if (!wasmReady) throw new Error('WASM not initialized');
+  return wasmModule.language_supported ? wasmModule.language_supported(code) : code === 0;
+}
+
+/**
+ * Check if the loaded WASM build honours a topology
+ * Builds from before topology support run the default topology only.
+ * @param {number} bits - Packed topology (encodeTopology)
+ * @returns {boolean}
+ */
+export function isTopologySupported(bits) {
+  if (!wasmReady) throw new Error('WASM not initialized');
+  return wasmModule.topology_supported ? wasmModule.topology_supported(bits) : bits === 0;
+}
+
 /**
  * Execute a pair of regions from the soup
  * @param {Uint8Array} soup - The soup data
  * @param {number} slotA - Start index of first region
  * @param {number} slotB - Start index of second region
  * @param {number} regionSize - Size of each region (default 64)
+ * @param {number} head1Offset - Starting offset for head1 (default: start of the second region)
+ * @param {number} maxSteps - Max execution steps (default 8192)
+ * @param {number} languageCode - Language to run (default 0, BFF)
+ * @param {number} topologyBits - Packed topology (default 0, the paper's rules)
  * @returns {{steps: number, head0Count: number, head1Count: number, mathCount: number, copyCount: number, loopCount: number, haltReason: number, tape: Uint8Array}}
  */
-export function executePair(soup, slotA, slotB, regionSize = 64) {
+export function executePair(soup, slotA, slotB, regionSize = 64, head1Offset = regionSize, maxSteps = 8192, languageCode = 0, topologyBits = 0) {
   if (!wasmReady) throw new Error('WASM not initialized');
 
-  const result = wasmModule.execute_pair(soup, slotA, slotB, regionSize);
+  const result = wasmModule.execute_pair(soup, slotA, slotB, regionSize, head1Offset, maxSteps, languageCode, topologyBits);
 
   // Parse result: first 28 bytes are stats (7 x u32), rest is tape
   const view = new DataView(result.buffer, result.byteOffset, result.byteLength);
@@ -64,9 +162,13 @@ export function executePair(soup, slotA, slotB, regionSize = 64) {
  * @param {Uint8Array} soup - The soup data
  * @param {Array<{a: number, b: number}>} pairs - Array of pair objects
  * @param {number} regionSize - Size of each region
+ * @param {number} head1Offset - Starting offset for head1 (default: start of the second region)
+ * @param {number} maxSteps - Max execution steps (default 8192)
+ * @param {number} languageCode - Language to run (default 0, BFF)
+ * @param {number} topologyBits - Packed topology (default 0, the paper's rules)
  * @returns {Array<{steps: number, head0Count: number, head1Count: number, mathCount: number, copyCount: number, loopCount: number, haltReason: number, tape: Uint8Array}>}
  */
-export function executeBatch(soup, pairs, regionSize = 64) {
+export function executeBatch(soup, pairs, regionSize = 64, head1Offset = regionSize, maxSteps = 8192, languageCode = 0, topologyBits = 0) {
   if (!wasmReady) throw new Error('WASM not initialized');
 
   // Pack pairs into byte array (8 bytes per pair: 2 x u32 little-endian)
@@ -78,7 +180,7 @@ export function executeBatch(soup, pairs, regionSize = 64) {
     pairsView.setUint32(i * 8 + 4, pairs[i].b, true);
   }
 
-  const result = wasmModule.execute_batch(soup, pairsData, regionSize);
+  const result = wasmModule.execute_batch(soup, pairsData, regionSize, head1Offset, maxSteps, languageCode, topologyBits);
 
   // Parse results: each result is 28 bytes stats + regionSize*2 bytes tape
   const resultSize = 28 + regionSize * 2;
@@ -104,13 +206,57 @@ export function executeBatch(soup, pairs, regionSize = 64) {
 }
 
 /**
- * Check if data contains BFF instructions
+ * Execute a combined tape and record every step
+ * @param {Uint8Array} tape - Combined tape (not modified)
+ * @param {number} head1Offset - Starting offset for head1
+ * @param {number} maxSteps - Max execution steps
+ * @param {number} languageCode - Language to run (default 0, BFF)
+ * @param {number} topologyBits - Packed topology (default 0, the paper's rules)
+ * @returns {{steps: number, head0Count: number, head1Count: number, mathCount: number, copyCount: number, loopCount: number, haltReason: number, tape: Uint8Array, trace: Array<{ip: number, opcode: number, head0: number, head1: number, write: ({index: number, oldValue: number, newValue: number}|null)}>}}
+ */
+export function traceTape(tape, head1Offset, maxSteps, languageCode = 0, topologyBits = 0) {
+  if (!wasmReady) throw new Error('WASM not initialized');
+
+  const result = wasmModule.trace_tape(tape, head1Offset, maxSteps, languageCode, topologyBits);
+
+  // Parse result: 28 bytes stats (7 x u32), final tape, then 20 bytes per step
+  const view = new DataView(result.buffer, result.byteOffset, result.byteLength);
+  const traceStart = 28 + tape.length;
+  const trace = [];
+  for (let offset = traceStart; offset < result.byteLength; offset += 20) {
+    trace.push({
+      ip: view.getUint32(offset, true),
+      opcode: result[offset + 16],
+      head0: view.getUint32(offset + 4, true),
+      head1: view.getUint32(offset + 8, true),
+      write: result[offset + 19]
+        ? { index: view.getUint32(offset + 12, true), oldValue: result[offset + 17], newValue: result[offset + 18] }
+        : null,
+    });
+  }
+
+  return {
+    steps: view.getUint32(0, true),
+    head0Count: view.getUint32(4, true),
+    head1Count: view.getUint32(8, true),
+    mathCount: view.getUint32(12, true),
+    copyCount: view.getUint32(16, true),
+    loopCount: view.getUint32(20, true),
+    haltReason: view.getUint32(24, true),
+    tape: result.slice(28, traceStart),
+    trace,
+  };
+}
+
+/**
+ * Check if data contains instructions of a language
  * @param {Uint8Array} data
+ * @param {number} languageCode - Language (default 0, BFF)
  * @returns {boolean}
  */
-export function hasInstructions(data) {
+export function hasInstructions(data, languageCode = 0) {
   if (!wasmReady) throw new Error('WASM not initialized');
-  return wasmModule.has_instructions(data);
+  return wasmModule.has_instructions(data, languageCode);
 }
 
 /**
@@ -132,3 +278,28 @@ export function kolmogorovEstimate(data) {
   if (!wasmReady) throw new Error('WASM not initialized');
   return wasmModule.kolmogorov_estimate(data);
 }
+
+/**
+ * Compress data with zlib-wrapped deflate
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function deflateCompress(data) {
+  if (!wasmReady) throw new Error('WASM not initialized');
+  return wasmModule.deflate_compress(data);
+}
+
+/**
+ * Decompress zlib-wrapped deflate data
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ * @throws {Error} If the data is corrupt or truncated
+ */
+export function deflateDecompress(data) {
+  if (!wasmReady) throw new Error('WASM not initialized');
+  try {
+    return wasmModule.deflate_decompress(data);
+  } catch (e) {
+    throw new Error(typeof e === 'string' ? e : e.message);
+  }
+}
@@ -1,127 +1,408 @@
 /**
  * Worker Pool for Turing Soup
  *
- * Manages a pool of Web Workers for parallel BFF execution.
+ * Manages a pool of Web Workers for parallel BFF execution. Batches are cut
+ * into chunks that workers take one at a time, so a worker stuck on slow
+ * pairs (max-step loops cost ~100x a quick halt) takes fewer of them.
  */
 
+/**
+ * Default worker factory: a browser module Worker
+ * @param {URL} url - Worker script URL
+ * @returns {Worker}
+ */
+function createBrowserWorker(url) {
+  return new Worker(url, { type: 'module' });
+}
+
 export class WorkerPool {
   /**
    * Create a worker pool
    * @param {number} numWorkers - Number of workers (default: navigator.hardwareConcurrency - 1)
+   * @param {function(URL): Worker} createWorker - Worker factory (Node passes a worker_threads adapter)
+   * @param {Object} options
+   * @param {number} options.batchTimeout - Milliseconds a worker may spend on one message
+   *   before it counts as hung and is replaced (default 60000)
    */
-  constructor(numWorkers = null) {
-    this.numWorkers = numWorkers || Math.max(1, (navigator.hardwareConcurrency || 4) - 1);
-    this.workers = [];
+  constructor(numWorkers = null, createWorker = createBrowserWorker, { batchTimeout = 60000 } = {}) {
+    const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+    this.numWorkers = numWorkers || Math.max(1, (cores || 4) - 1);
+    this.createWorker = createWorker;
+    this.workers = [];  // Ready worker per slot, null while it restarts
     this.ready = false;
-    this.pendingCallbacks = new Map();
+    this.terminated = false;
+    this.pendingCallbacks = new Map();  // worker -> FIFO of {resolve, reject}
+
+    // Crash and hang handling: lost workers are replaced on the same soup
+    this.batchTimeout = batchTimeout;
+    this.timers = new Map();  // worker -> timeout for the message it is working on
+    this.initData = null;     // Init message, kept for respawning
+    this.restarts = 0;
+    this.onWorkerLost = null;  // Optional callback({index, reason})
+
+    // Chunked dispatch: ~chunksPerWorker chunks per worker and batch
+    this.chunksPerWorker = 4;
+    this.retiring = new Set();  // Workers removed by resize, finishing their chunks
+    this.slotStats = [];  // Per slot: {pairs, busyMs} since the pool started
   }
 
   /**
    * Initialize the worker pool
    * @param {SharedArrayBuffer} buffer - Shared buffer containing soup data
    * @param {number} regionSize - Region size
+   * @param {WebAssembly.Module|null} compiledModule - Optional precompiled WASM module shared by all workers
+   * @param {Object|null} inPlace - Run pairs in place on a soup in shared WASM memory instead:
+   *   {wasmUrl, memory, ptr, length} of the threaded build (default: copy path on `buffer`)
    * @returns {Promise<void>}
    */
-  async init(buffer, regionSize) {
-    const wasmUrl = new URL('../wasm/pkg/turing_soup_wasm.js', import.meta.url).href;
+  async init(buffer, regionSize, compiledModule = null, inPlace = null) {
+    this.initData = {
+      buffer,
+      wasmUrl: inPlace?.wasmUrl ?? new URL('../wasm/pkg/turing_soup_wasm.js', import.meta.url).href,
+      compiledModule,
+      regionSz: regionSize,
+      memory: inPlace?.memory ?? null,
+      ptr: inPlace?.ptr ?? null,
+      length: inPlace?.length ?? null,
+    };
 
     const initPromises = [];
-
     for (let i = 0; i < this.numWorkers; i++) {
-      const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
-
-      const initPromise = new Promise((resolve, reject) => {
-        const handler = (e) => {
-          if (e.data.type === 'ready') {
-            worker.removeEventListener('message', handler);
-            resolve();
-          } else if (e.data.type === 'error') {
-            worker.removeEventListener('message', handler);
-            reject(new Error(e.data.error));
-          }
-        };
-        worker.addEventListener('message', handler);
-      });
+      initPromises.push(this.spawn(i));
+    }
+
+    await Promise.all(initPromises);
+    this.ready = true;
+  }
+
+  /**
+   * Change the number of workers while batches are running
+   * New workers join once ready; removed ones finish the chunk they hold and
+   * then stop, and their batches' remaining chunks go to the others.
+   * @param {number} numWorkers - New worker count (at least 1)
+   * @returns {Promise<void>} Resolves when added workers are ready
+   */
+  async resize(numWorkers) {
+    if (!this.ready) {
+      throw new Error('Worker pool not initialized');
+    }
+    numWorkers = Math.max(1, Math.floor(numWorkers));
+    const previous = this.numWorkers;
+    this.numWorkers = numWorkers;
+
+    for (const worker of this.workers.splice(numWorkers)) {
+      if (worker) this.retire(worker);
+    }
+    this.slotStats.length = Math.min(this.slotStats.length, numWorkers);
+
+    const started = [];
+    for (let i = previous; i < numWorkers; i++) {
+      started.push(this.spawn(i).catch(err => {
+        if (this.onWorkerLost) this.onWorkerLost({ index: i, reason: `Worker ${i} could not start: ${err.message}` });
+      }));
+    }
+    await Promise.all(started);
+  }
+
+  /**
+   * Stop a removed worker once it has answered everything posted to it
+   * @param {Worker} worker
+   */
+  retire(worker) {
+    if (this.pendingCallbacks.get(worker)?.length) {
+      this.retiring.add(worker);
+      return;
+    }
+    this.retiring.delete(worker);
+    this.pendingCallbacks.delete(worker);
+    worker.terminate();
+  }
+
+  /**
+   * Throughput of each worker slot
+   * @returns {Array<{pairs: number, busyMs: number}>} Pairs executed and time spent
+   *   executing them, cumulative since the pool started
+   */
+  workerStats() {
+    return Array.from({ length: this.numWorkers }, (_, i) => ({ ...(this.slotStats[i] ?? { pairs: 0, busyMs: 0 }) }));
+  }
+
+  /**
+   * Start a worker for a slot; it takes batches once it is ready
+   * @param {number} index - Slot index
+   * @returns {Promise<void>} Resolves when the worker is ready
+   */
+  spawn(index) {
+    const worker = this.createWorker(new URL('./worker.js', import.meta.url));
+    this.pendingCallbacks.set(worker, []);
 
-      // Set up result handler
-      worker.addEventListener('message', (e) => {
-        if (e.data.type === 'results') {
-          const callback = this.pendingCallbacks.get(worker);
-          if (callback) {
+    const initPromise = new Promise((resolve, reject) => {
+      const handler = (e) => {
+        if (e.data.type === 'ready') {
+          worker.removeEventListener('message', handler);
+          if (this.terminated || index >= this.numWorkers) {
+            // Pool stopped or shrank while the worker was starting
             this.pendingCallbacks.delete(worker);
-            callback(e.data.results);
+            worker.terminate();
+          } else {
+            this.workers[index] = worker;
           }
+          resolve();
+        } else if (e.data.type === 'error') {
+          worker.removeEventListener('message', handler);
+          worker.terminate();
+          reject(new Error(e.data.error));
+        }
+      };
+      worker.addEventListener('message', handler);
+      // A crash before the worker is ready fails its start instead
+      worker.addEventListener('error', (e) => {
+        if (!this.workers.includes(worker)) {
+          worker.terminate();
+          reject(new Error(e.message ?? 'Worker failed to start'));
         }
       });
+    });
 
-      worker.postMessage({
-        type: 'init',
-        data: {
-          buffer,
-          wasmUrl,
-          regionSz: regionSize,
-        },
-      });
+    // Set up result handler (workers answer batches in the order they were posted)
+    worker.addEventListener('message', (e) => {
+      if (e.data.type === 'results') {
+        this.settle(worker, e.data);
+      }
+    });
+    worker.addEventListener('error', (e) => this.lose(worker, `crashed: ${e.message ?? 'unknown error'}`));
+    worker.addEventListener('messageerror', () => this.lose(worker, 'sent a message that could not be read'));
+
+    worker.postMessage({ type: 'init', data: this.initData });
+    return initPromise;
+  }
+
+  /**
+   * Post a message to a worker and wait for its results
+   * @param {Worker} worker
+   * @param {Object} message
+   * @returns {Promise<Object>}
+   */
+  post(worker, message) {
+    return new Promise((resolve, reject) => {
+      const queue = this.pendingCallbacks.get(worker);
+      queue.push({ resolve, reject });
+      // The clock runs for the message the worker is working on, not queued ones
+      if (queue.length === 1) this.startTimer(worker);
+      worker.postMessage(message);
+    });
+  }
+
+  /**
+   * Answer the oldest message a worker has not answered yet
+   * @param {Worker} worker
+   * @param {Object} data - {results} or {error}
+   */
+  settle(worker, data) {
+    const queue = this.pendingCallbacks.get(worker);
+    const callback = queue?.shift();
+    if (!callback) return;
+    clearTimeout(this.timers.get(worker));
+    this.timers.delete(worker);
+    if (queue.length > 0) this.startTimer(worker);
 
-      this.workers.push(worker);
-      initPromises.push(initPromise);
+    if (data.error) {
+      callback.reject(new Error(data.error));
+    } else {
+      callback.resolve(data.results);
     }
+    if (this.retiring.has(worker)) this.retire(worker);
+  }
 
-    await Promise.all(initPromises);
-    this.ready = true;
+  /**
+   * Give a worker batchTimeout ms to answer its oldest message
+   * @param {Worker} worker
+   */
+  startTimer(worker) {
+    this.timers.set(worker, setTimeout(
+      () => this.lose(worker, `did not answer within ${this.batchTimeout / 1000} s`),
+      this.batchTimeout,
+    ));
+  }
+
+  /**
+   * Replace a crashed or hung worker
+   * Its unanswered batches fail (the caller accounts for the lost pairs) and a
+   * new worker starts on the same soup; other workers take batches meanwhile.
+   * @param {Worker} worker
+   * @param {string} reason - What went wrong, e.g. "crashed: out of memory"
+   */
+  lose(worker, reason) {
+    const index = this.workers.indexOf(worker);
+    const retiring = this.retiring.delete(worker);
+    if ((index === -1 && !retiring) || this.terminated) return;  // Not started yet, or already replaced
+
+    worker.terminate();
+    clearTimeout(this.timers.get(worker));
+    this.timers.delete(worker);
+
+    const error = new Error(`Worker ${index === -1 ? '(removed)' : index} ${reason}`);
+    for (const callback of this.pendingCallbacks.get(worker)) {
+      callback.reject(error);
+    }
+    this.pendingCallbacks.delete(worker);
+    if (index === -1) return;  // Removed by resize: nothing to replace
+
+    this.workers[index] = null;
+    this.restarts++;
+    if (this.onWorkerLost) this.onWorkerLost({ index, reason: error.message });
+    this.spawn(index).catch(err => {
+      if (this.onWorkerLost) this.onWorkerLost({ index, reason: `Worker ${index} could not restart: ${err.message}` });
+    });
+  }
+
+  /**
+   * Number of workers ready to take batches (slots that are restarting don't count)
+   * @returns {number}
+   */
+  get availableWorkers() {
+    return this.workers.filter(Boolean).length;
   }
 
   /**
    * Execute pairs across workers
-   * @param {Array<{a: number, b: number}>} pairs - Pairs to execute
+   * @param {Array<{a: number, b: number, index: number}>} pairs - Pairs to execute; index is the
+   *   pair's global index, which seeds its mutation
    * @param {number} head1Offset - Starting offset for head1
    * @param {number} maxSteps - Max execution steps
+   * @param {number} languageCode - Language to run (default 0, BFF)
+   * @param {number} topologyBits - Packed topology (default 0, the paper's rules)
+   * @param {Object|null} mutation - Tape mutation after each pair, {rate, type, stdDev, seed} (default none)
    * @returns {Promise<Array>} Results from all pairs
+   * @throws {Error} If any worker fails; `failedPairs` holds the number of pairs
+   *   lost and `results` the results of the workers that succeeded
+   */
+  async executeBatch(pairs, head1Offset = 64, maxSteps = 8192, languageCode = 0, topologyBits = 0, mutation = null) {
+    if (!this.ready) {
+      throw new Error('Worker pool not initialized');
+    }
+
+    return this.dispatch(pairs.length, (start, end) => ({
+      type: 'execute',
+      data: { pairs: pairs.slice(start, end), head1Offset, maxSteps, languageCode, topologyBits, mutation },
+    }));
+  }
+
+  /**
+   * Draw and execute pairs in the workers
+   * Workers draw each chunk's pairs themselves from the selection policy, so
+   * no pair lists cross threads; results carry one `samplePair` per chunk.
+   * @param {number} count - Pairs to draw
+   * @param {Object} selection - {alignment, localityLimit, seed, firstIndex}: batch seed
+   *   and global index of the batch's first pair
+   * @param {number} head1Offset - Starting offset for head1
+   * @param {number} maxSteps - Max execution steps
+   * @param {number} languageCode - Language to run
+   * @param {number} topologyBits - Packed topology
+   * @param {Object|null} mutation - Tape mutation after each pair (default none)
+   * @returns {Promise<Array>} Aggregated results of each chunk
+   * @throws {Error} If any worker fails, as for executeBatch
    */
-  async executeBatch(pairs, head1Offset = 64, maxSteps = 8192) {
+  async executeGenerated(count, selection, head1Offset, maxSteps, languageCode, topologyBits, mutation = null) {
     if (!this.ready) {
       throw new Error('Worker pool not initialized');
     }
 
-    // Split pairs among available workers
-    const numWorkers = this.workers.length;
-    const pairsPerWorker = Math.ceil(pairs.length / numWorkers);
-    const batches = [];
+    return this.dispatch(count, (start, end) => ({
+      type: 'generate',
+      data: {
+        count: end - start,
+        selection: { ...selection, firstIndex: selection.firstIndex + start },
+        head1Offset, maxSteps, languageCode, topologyBits, mutation,
+      },
+    }));
+  }
 
-    for (let i = 0; i < numWorkers; i++) {
-      const start = i * pairsPerWorker;
-      const end = Math.min(start + pairsPerWorker, pairs.length);
-      if (start < pairs.length) {
-        batches.push(pairs.slice(start, end));
-      }
+  /**
+   * Cut a batch into contiguous chunks and let the workers pull them
+   * Each worker takes the next chunk when it answers the previous one, so
+   * fast workers end up running more of the batch than slow ones. A worker
+   * that is lost or removed stops pulling and the others finish the batch.
+   * @param {number} count - Pairs in the batch
+   * @param {function(number, number): Object} message - Builds the message for pairs [start, end)
+   * @returns {Promise<Array>} Results of each chunk, in completion order
+   */
+  async dispatch(count, message) {
+    // Workers that are restarting sit this batch out
+    const workers = this.workers.filter(Boolean);
+    if (workers.length === 0) {
+      const error = new Error('No workers available (all restarting)');
+      error.failedPairs = count;
+      error.results = [];
+      throw error;
     }
 
-    // Execute in parallel
-    const resultPromises = batches.map((batch, i) => {
-      return new Promise((resolve) => {
-        const worker = this.workers[i];
-        this.pendingCallbacks.set(worker, resolve);
+    const chunkSize = Math.max(1, Math.ceil(count / (workers.length * this.chunksPerWorker)));
+    let next = 0;
+    let donePairs = 0;
+    const results = [];
+    const errors = [];
 
-        worker.postMessage({
-          type: 'execute',
-          data: { pairs: batch, head1Offset, maxSteps },
-        });
-      });
-    });
+    const pull = async (worker) => {
+      while (next < count && this.workers.includes(worker)) {
+        const start = next;
+        const end = Math.min(start + chunkSize, count);
+        next = end;
+        let result;
+        try {
+          result = await this.post(worker, message(start, end));
+        } catch (error) {
+          // The chunk's pairs count as failed; a lost worker takes no more
+          errors.push(error);
+          if (!this.workers.includes(worker)) return;
+          continue;
+        }
+        results.push(result);
+        donePairs += end - start;
+        this.recordChunk(worker, end - start, result.elapsed);
+      }
+    };
+    await Promise.all(workers.map(pull));
+
+    if (donePairs < count) {
+      const error = new Error(errors[0]?.message ?? 'No worker left to run the batch');
+      error.failedPairs = count - donePairs;
+      error.results = results;
+      throw error;
+    }
+    return results;
+  }
 
-    const allResults = await Promise.all(resultPromises);
-    return allResults.flat();
+  /**
+   * Add a finished chunk to its worker's throughput
+   * @param {Worker} worker
+   * @param {number} pairs - Pairs in the chunk
+   * @param {number} busyMs - Time the worker spent on it
+   */
+  recordChunk(worker, pairs, busyMs = 0) {
+    const index = this.workers.indexOf(worker);
+    if (index === -1) return;
+    const stats = this.slotStats[index] ??= { pairs: 0, busyMs: 0 };
+    stats.pairs += pairs;
+    stats.busyMs += busyMs;
   }
 
   /**
    * Terminate all workers
    */
   terminate() {
-    for (const worker of this.workers) {
+    this.terminated = true;
+    for (const [worker, callbacks] of this.pendingCallbacks) {
       worker.terminate();
+      clearTimeout(this.timers.get(worker));
+      // Batches still waiting on this worker will never be answered
+      for (const callback of callbacks) {
+        callback.reject(new Error('Worker pool terminated'));
+      }
     }
     this.workers = [];
+    this.pendingCallbacks.clear();
+    this.timers.clear();
     this.ready = false;
   }
 }
-
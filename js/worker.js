@@ -1,21 +1,30 @@
 /**
  * Turing Soup Worker
  *
- * Executes BFF pairs in parallel using WASM.
- * Communicates with main thread via postMessage.
+ * Executes BFF pairs in parallel using WASM, then mutates their tapes (see
+ * BatchExecutor). Pairs are either sent by the main thread or drawn here from
+ * the selection policy. Communicates with main thread via postMessage.
  */
 
-let wasmModule = null;
-let soup = null;  // Uint8Array view into SharedArrayBuffer
-let regionSize = 64;
+import { BatchExecutor } from './batch-executor.js';
+
+let executor = null;  // Runs batches on the shared soup, set up by 'init'
 
 /**
  * Initialize WASM module
+ * @param {string} wasmUrl - URL of the wasm-bindgen JS glue
+ * @param {WebAssembly.Module|null} compiledModule - Optional precompiled module (skips fetching the .wasm)
+ * @param {WebAssembly.Memory|null} memory - Shared memory to instantiate on (threaded build only)
+ * @returns {Promise<Object>} The initialized module
  */
-async function initWasm(wasmUrl) {
+async function initWasm(wasmUrl, compiledModule, memory) {
   const wasm = await import(wasmUrl);
-  await wasm.default();
-  wasmModule = wasm;
+  if (compiledModule || memory) {
+    await wasm.default({ module_or_path: compiledModule ?? undefined, memory: memory ?? undefined });
+  } else {
+    await wasm.default();
+  }
+  return wasm;
 }
 
 /**
@@ -26,13 +35,15 @@ self.onmessage = async (e) => {
 
   switch (type) {
     case 'init': {
-      // Initialize with SharedArrayBuffer and WASM URL
-      const { buffer, wasmUrl, regionSz } = data;
-      soup = new Uint8Array(buffer);
-      regionSize = regionSz;
+      // Initialize with SharedArrayBuffer and WASM URL, or with the shared
+      // WASM memory the soup lives in
+      const { buffer, wasmUrl, compiledModule, regionSz, memory, ptr, length } = data;
 
       try {
-        await initWasm(wasmUrl);
+        const wasm = await initWasm(wasmUrl, compiledModule, memory);
+        executor = memory
+          ? new BatchExecutor(wasm, new Uint8Array(memory.buffer, ptr, length), regionSz, ptr)
+          : new BatchExecutor(wasm, new Uint8Array(buffer), regionSz);
         self.postMessage({ type: 'ready' });
       } catch (err) {
         self.postMessage({ type: 'error', error: err.message });
@@ -42,59 +53,28 @@ self.onmessage = async (e) => {
 
     case 'execute': {
       // Execute a batch of pairs using WASM batch function (fewer boundary crossings)
-      const { pairs, head1Offset, maxSteps } = data;
-
-      // Pack pairs into byte array (8 bytes per pair: 2 x u32 little-endian)
-      const pairsData = new Uint8Array(pairs.length * 8);
-      const pairsView = new DataView(pairsData.buffer);
-      for (let i = 0; i < pairs.length; i++) {
-        pairsView.setUint32(i * 8, pairs[i].a, true);
-        pairsView.setUint32(i * 8 + 4, pairs[i].b, true);
+      const { pairs, head1Offset, maxSteps, languageCode, topologyBits, mutation } = data;
+      try {
+        const start = performance.now();
+        const results = executor.execute(pairs, head1Offset, maxSteps, languageCode, topologyBits, mutation);
+        self.postMessage({ type: 'results', results: { ...results, elapsed: performance.now() - start } });
+      } catch (err) {
+        // Answer anyway so the pool's callback queue stays in step
+        self.postMessage({ type: 'results', error: err?.message ?? String(err) });
       }
+      break;
+    }
 
-      // Single WASM call for all pairs
-      const result = wasmModule.execute_batch(soup, pairsData, regionSize, head1Offset, maxSteps);
-
-      // Parse results: each result is 28 bytes stats + regionSize*2 bytes tape
-      const resultSize = 28 + regionSize * 2;
-      let totalHead0 = 0;
-      let totalHead1 = 0;
-      let totalMath = 0;
-      let totalCopy = 0;
-      let totalLoop = 0;
-
-      for (let i = 0; i < pairs.length; i++) {
-        const offset = i * resultSize;
-        const view = new DataView(result.buffer, result.byteOffset + offset, 28);
-
-        const head0Count = view.getUint32(4, true);
-        const head1Count = view.getUint32(8, true);
-        const mathCount = view.getUint32(12, true);
-        const copyCount = view.getUint32(16, true);
-        const loopCount = view.getUint32(20, true);
-
-        // Write results back to shared soup if any modifications occurred
-        if (mathCount > 0 || copyCount > 0) {
-          const tapeOffset = offset + 28;
-          const { a, b } = pairs[i];
-          for (let j = 0; j < regionSize; j++) {
-            soup[a + j] = result[tapeOffset + j];
-            soup[b + j] = result[tapeOffset + regionSize + j];
-          }
-        }
-
-        totalHead0 += head0Count;
-        totalHead1 += head1Count;
-        totalMath += mathCount;
-        totalCopy += copyCount;
-        totalLoop += loopCount;
+    case 'generate': {
+      // Draw and execute pairs; only the aggregated metrics (and one sample pair) go back
+      const { count, selection, head1Offset, maxSteps, languageCode, topologyBits, mutation } = data;
+      try {
+        const start = performance.now();
+        const results = executor.generate(count, selection, head1Offset, maxSteps, languageCode, topologyBits, mutation);
+        self.postMessage({ type: 'results', results: { ...results, elapsed: performance.now() - start } });
+      } catch (err) {
+        self.postMessage({ type: 'results', error: err?.message ?? String(err) });
       }
-
-      // Only send back aggregated metrics, not the data
-      self.postMessage({
-        type: 'results',
-        results: { totalHead0, totalHead1, totalMath, totalCopy, totalLoop, count: pairs.length }
-      });
       break;
     }
   }
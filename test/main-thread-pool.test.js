@@ -0,0 +1,86 @@
+/**
+ * Tests for the single-threaded fallback pool (js/main-thread-pool.js)
+ *
+ * The executor is replaced by a stand-in that records what it ran; running
+ * real batches is covered by population.test.js.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MainThreadPool } from '../js/main-thread-pool.js';
+
+/**
+ * BatchExecutor stand-in
+ * @param {Object} options
+ * @param {number} options.busyMs - Milliseconds each chunk takes (default 0)
+ * @param {number|null} options.failOn - Throw on this chunk, counting from 1 (default never)
+ */
+function fakeExecutor({ busyMs = 0, failOn = null } = {}) {
+  const chunks = [];
+  const run = (first, count) => {
+    chunks.push({ first, count });
+    if (chunks.length === failOn) throw new Error('bad chunk');
+    const until = performance.now() + busyMs;
+    while (performance.now() < until) {
+      // Busy, like a WASM call
+    }
+    return { first, count };
+  };
+  return {
+    chunks,
+    execute: (pairs) => run(pairs[0].index, pairs.length),
+    generate: (count, selection) => ({ ...run(selection.firstIndex, count), samplePair: null }),
+  };
+}
+
+async function fakePool(executorOptions, poolOptions) {
+  const pool = new MainThreadPool(poolOptions);
+  await pool.init(new ArrayBuffer(4096), 64, null);
+  pool.executor = fakeExecutor(executorOptions);
+  return pool;
+}
+
+function pairs(count) {
+  return Array.from({ length: count }, (_, index) => ({ a: 0, b: 64, index }));
+}
+
+test('runs a batch as chunks, in order', async () => {
+  const pool = await fakePool({}, { chunkSize: 64 });
+  const results = await pool.executeBatch(pairs(150));
+  assert.deepEqual(results, [{ first: 0, count: 64 }, { first: 64, count: 64 }, { first: 128, count: 22 }]);
+  assert.deepEqual(pool.workerStats().map(s => s.pairs), [150]);
+  assert.deepEqual(await pool.executeBatch([]), []);
+});
+
+test('generated batches give each chunk its global first index', async () => {
+  const pool = await fakePool({}, { chunkSize: 10 });
+  const results = await pool.executeGenerated(25, { seed: 1, firstIndex: 500 }, 32, 8192, 0, 0);
+  assert.deepEqual(results.map(r => [r.first, r.count]), [[500, 10], [510, 10], [520, 5]]);
+});
+
+test('yields to the page between slices', async () => {
+  const pool = await fakePool({ busyMs: 3 }, { chunkSize: 1, sliceMs: 5 });
+  let timerRan = false;
+  setTimeout(() => { timerRan = true; }, 0);
+  const done = pool.executeBatch(pairs(10)).then(() => timerRan);
+  assert.equal(await done, true);
+});
+
+test('a failing chunk fails only its pairs', async () => {
+  const pool = await fakePool({ failOn: 2 }, { chunkSize: 10 });
+  const error = await pool.executeBatch(pairs(30)).then(() => null, e => e);
+  assert.equal(error.message, 'bad chunk');
+  assert.equal(error.failedPairs, 10);
+  assert.deepEqual(error.results.map(r => r.first), [0, 20]);
+
+  // Later batches run normally
+  assert.equal((await pool.executeBatch(pairs(30))).length, 3);
+});
+
+test('terminate rejects queued batches', async () => {
+  const pool = await fakePool({}, { chunkSize: 10 });
+  const pending = pool.executeBatch(pairs(30));
+  pool.terminate();
+  await assert.rejects(pending, /Worker pool terminated/);
+  await assert.rejects(pool.executeBatch(pairs(1)), /Worker pool not initialized/);
+});
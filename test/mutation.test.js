@@ -0,0 +1,112 @@
+/**
+ * Tests for the tape mutation models (js/mutation.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../js/rng.js';
+import { MUTATION_TYPES, mutateTape, validateMutationType } from '../js/mutation.js';
+
+/**
+ * Random stand-in that returns scripted draws
+ * @param {number[]} nexts - Values for next(), in order
+ * @param {number[]} ints - Values for nextInt(), in order
+ */
+function scripted(nexts, ints = []) {
+  return {
+    next: () => {
+      assert.ok(nexts.length > 0, 'unexpected next()');
+      return nexts.shift();
+    },
+    nextInt: () => {
+      assert.ok(ints.length > 0, 'unexpected nextInt()');
+      return ints.shift();
+    },
+  };
+}
+
+function sequentialSoup(length) {
+  return Uint8Array.from({ length }, (_, i) => i);
+}
+
+test('rate 0 changes nothing', () => {
+  for (const type of Object.keys(MUTATION_TYPES)) {
+    const soup = sequentialSoup(256);
+    assert.equal(mutateTape(soup, 0, 64, new Random(1), { rate: 0, type, stdDev: 16 }), 0);
+    assert.deepEqual(soup, sequentialSoup(256));
+  }
+});
+
+test('mutations stay inside the tape and are reproducible', () => {
+  for (const type of Object.keys(MUTATION_TYPES)) {
+    const a = sequentialSoup(256);
+    const b = sequentialSoup(256);
+    const params = { rate: 0.2, type, stdDev: 16 };
+    const count = mutateTape(a, 64, 64, new Random(9), params);
+    assert.equal(mutateTape(b, 64, 64, new Random(9), params), count);
+    assert.deepEqual(a, b);
+    assert.ok(count > 0);
+    assert.deepEqual(a.subarray(0, 64), sequentialSoup(256).subarray(0, 64), type);
+    assert.deepEqual(a.subarray(128), sequentialSoup(256).subarray(128), type);
+  }
+});
+
+test('bitflip flips exactly one bit per mutation', () => {
+  const soup = sequentialSoup(64);
+  assert.equal(mutateTape(soup, 0, 64, new Random(2), { rate: 1, type: 'bitflip', stdDev: 16 }), 64);
+  for (let i = 0; i < 64; i++) {
+    const diff = soup[i] ^ i;
+    assert.ok(diff !== 0 && (diff & (diff - 1)) === 0, `byte ${i}`);
+  }
+});
+
+test('drift moves each byte by one, wrapping at 0 and 255', () => {
+  const soup = Uint8Array.from({ length: 64 }, (_, i) => (i % 2 === 0 ? 0 : 255));
+  mutateTape(soup, 0, 64, new Random(4), { rate: 1, type: 'drift', stdDev: 16 });
+  for (let i = 0; i < 64; i++) {
+    assert.ok(i % 2 === 0 ? [1, 255].includes(soup[i]) : [0, 254].includes(soup[i]), `byte ${i}`);
+  }
+});
+
+test('gaussian deltas follow stdDev', () => {
+  const soup = new Uint8Array(4096).fill(128);
+  assert.equal(mutateTape(soup, 0, 4096, new Random(5), { rate: 1, type: 'gaussian', stdDev: 0 }), 4096);
+  assert.ok(soup.every(b => b === 128));
+
+  mutateTape(soup, 0, 4096, new Random(5), { rate: 1, type: 'gaussian', stdDev: 8 });
+  const deltas = Array.from(soup, b => b - 128);
+  const sd = Math.sqrt(deltas.reduce((s, d) => s + d * d, 0) / deltas.length);
+  assert.ok(sd > 7 && sd < 9, `sd ${sd}`);
+});
+
+test('uniform replaces bytes with random values', () => {
+  const soup = new Uint8Array(4096);
+  mutateTape(soup, 0, 4096, new Random(6), { rate: 1, type: 'uniform', stdDev: 16 });
+  assert.ok(new Set(soup).size > 250);
+});
+
+test('indel inserts and deletes by shifting the rest of the tape', () => {
+  const params = { rate: 0.5, type: 'indel', stdDev: 16 };
+
+  // Insert at 2: 0 1 X 2 3 4 6 ... the last byte falls off
+  let soup = sequentialSoup(8);
+  mutateTape(soup, 0, 8, scripted([0.9, 0.9, 0, 0.2, 0.9, 0.9, 0.9, 0.9, 0.9], [99]), params);
+  assert.deepEqual(Array.from(soup), [0, 1, 99, 2, 3, 4, 5, 6]);
+
+  // Delete at 2: 0 1 3 4 5 6 7 X
+  soup = sequentialSoup(8);
+  mutateTape(soup, 0, 8, scripted([0.9, 0.9, 0, 0.7, 0.9, 0.9, 0.9, 0.9, 0.9], [99]), params);
+  assert.deepEqual(Array.from(soup), [0, 1, 3, 4, 5, 6, 7, 99]);
+});
+
+test('tapes wrap around the end of the soup', () => {
+  // Tape of 4 bytes starting at 6 in a 8-byte soup: 6 7 0 1; delete at its first byte
+  const soup = sequentialSoup(8);
+  mutateTape(soup, 6, 4, scripted([0, 0.7, 0.9, 0.9, 0.9], [99]), { rate: 0.5, type: 'indel', stdDev: 16 });
+  assert.deepEqual(Array.from(soup), [1, 99, 2, 3, 4, 5, 7, 0]);
+});
+
+test('validateMutationType rejects unknown models', () => {
+  assert.equal(validateMutationType('indel'), 'indel');
+  assert.throws(() => validateMutationType('swap'), /Unknown mutation type "swap"/);
+});
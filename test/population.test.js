@@ -0,0 +1,109 @@
+/**
+ * Tests for deterministic scheduling (js/population-wasm.js)
+ *
+ * Runs real soups on the committed WASM build with Node worker threads, the
+ * same way cli/runner.js does.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PopulationWasm } from '../js/population-wasm.js';
+import { Random } from '../js/rng.js';
+import { selectPair } from '../js/selection.js';
+import { createNodeWorker, loadWasmModule } from '../cli/node-runtime.js';
+
+const wasmModule = await loadWasmModule();
+
+/**
+ * Bytes of the soup a pair's tapes cover
+ */
+function pairBytes(pair, regionSize, soupLength) {
+  const bytes = new Set();
+  for (let i = 0; i < regionSize; i++) {
+    bytes.add((pair.a + i) % soupLength);
+    bytes.add((pair.b + i) % soupLength);
+  }
+  return bytes;
+}
+
+function overlaps(x, y) {
+  for (const byte of x) {
+    if (y.has(byte)) return true;
+  }
+  return false;
+}
+
+test('scheduleWaves splits pairs into tape-disjoint waves in dependency order', () => {
+  for (const [alignment, regionSize] of [[64, 64], [16, 64], [1, 16]]) {
+    const population = new PopulationWasm(64, 64, regionSize);
+    population.soup = new Uint8Array(64 * 64);
+    population.alignment = alignment;
+
+    const rng = new Random(alignment);
+    const pairs = Array.from({ length: 300 }, (_, index) => ({
+      ...selectPair(rng, population.soup.length, regionSize, alignment, null),
+      index,
+    }));
+    const waves = population.scheduleWaves(pairs);
+
+    // Every pair exactly once, in selection order within its wave
+    assert.deepEqual(waves.flat().map(p => p.index).sort((x, y) => x - y), pairs.map(p => p.index));
+    const waveOf = new Map();
+    waves.forEach((wave, w) => {
+      for (let i = 1; i < wave.length; i++) assert.ok(wave[i - 1].index < wave[i].index);
+      for (const pair of wave) waveOf.set(pair.index, w);
+    });
+
+    // Pairs sharing a byte are in different waves, the earlier one first
+    const bytes = pairs.map(p => pairBytes(p, regionSize, population.soup.length));
+    for (let j = 0; j < pairs.length; j++) {
+      for (let i = 0; i < j; i++) {
+        if (overlaps(bytes[i], bytes[j])) {
+          assert.ok(waveOf.get(i) < waveOf.get(j), `pairs ${i} and ${j} (alignment ${alignment})`);
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Run a deterministic soup to a pair count, as cli/runner.js does
+ * @param {Object} options - PopulationWasm options
+ * @returns {Promise<{soup: Uint8Array, completedPairs: number}>}
+ */
+async function runDeterministic(options) {
+  const population = new PopulationWasm(64, 256, 64, { wasmModule, createWorker: createNodeWorker, ...options });
+  try {
+    await population.initialize(1234);
+    population.setMutationParams(0.01, 'indel');
+    population.cosmicRate = 0.001;
+    population.alignment = 16;
+    population.pairsPerStep = 96;
+    population.deterministic = true;
+
+    const pairLimit = 4 * population.numTapes;
+    while (population.completedPairs < pairLimit) {
+      if (population.lastError) throw population.lastError;
+      const before = population.dispatchedPairs;
+      population.soupStep(pairLimit);
+      if (population.dispatchedPairs === before) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+    }
+    await population.drain();
+    return { soup: population.soup.slice(), completedPairs: population.completedPairs };
+  } finally {
+    population.dispose();
+  }
+}
+
+test('deterministic runs give the same soup for any worker count', { timeout: 120000 }, async () => {
+  const reference = await runDeterministic({ numWorkers: 1 });
+  assert.equal(reference.completedPairs, 4 * 256);
+
+  for (const options of [{ numWorkers: 2 }, { numWorkers: 3 }, { singleThreaded: true }]) {
+    const run = await runDeterministic(options);
+    assert.equal(run.completedPairs, reference.completedPairs);
+    assert.ok(Buffer.from(run.soup).equals(Buffer.from(reference.soup)), JSON.stringify(options));
+  }
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the seedable generator (js/rng.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../js/rng.js';
+
+/**
+ * Mulberry32 as usually published, returning the u32 before scaling
+ */
+function mulberry32(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
+
+test('matches the reference Mulberry32', () => {
+  for (const seed of [0, 1, 42, 0xDEADBEEF]) {
+    const rng = new Random(seed);
+    const reference = mulberry32(seed);
+    for (let i = 0; i < 1000; i++) {
+      assert.equal(rng.nextUint32(), reference());
+    }
+  }
+});
+
+test('same seed gives the same sequence, state resumes it', () => {
+  const a = new Random(7);
+  const b = new Random(7);
+  const first = Array.from({ length: 100 }, () => a.next());
+  assert.deepEqual(Array.from({ length: 100 }, () => b.next()), first);
+
+  // Snapshots store only the state
+  const resumed = new Random(7);
+  resumed.state = a.state;
+  assert.equal(resumed.nextUint32(), a.nextUint32());
+
+  assert.notDeepEqual(Array.from({ length: 100 }, () => new Random(8).next()), first);
+});
+
+test('next, nextInt and nextGaussian stay in range', () => {
+  const rng = new Random(3);
+  let sum = 0;
+  let sumSquares = 0;
+  const n = 20000;
+  for (let i = 0; i < n; i++) {
+    const x = rng.next();
+    assert.ok(x >= 0 && x < 1);
+    const k = rng.nextInt(7);
+    assert.ok(Number.isInteger(k) && k >= 0 && k < 7);
+    const g = rng.nextGaussian();
+    assert.ok(Number.isFinite(g));
+    sum += g;
+    sumSquares += g * g;
+  }
+  assert.ok(Math.abs(sum / n) < 0.05);
+  assert.ok(Math.abs(sumSquares / n - 1) < 0.05);
+});
+
+test('deriveSeed depends on the whole index', () => {
+  assert.equal(Random.deriveSeed(1, 5), Random.deriveSeed(1, 5));
+  const seeds = new Set();
+  for (let i = 0; i < 1000; i++) {
+    seeds.add(Random.deriveSeed(1, i));
+  }
+  assert.equal(seeds.size, 1000);
+  // Pair indices pass 2^32 in long runs
+  assert.notEqual(Random.deriveSeed(1, 2 ** 32 + 5), Random.deriveSeed(1, 5));
+  assert.notEqual(Random.deriveSeed(2, 5), Random.deriveSeed(1, 5));
+});
+
+test('parseSeed accepts decimal and hex, rejects the rest', () => {
+  assert.equal(Random.parseSeed('42'), 42);
+  assert.equal(Random.parseSeed(' 0x1F '), 31);
+  assert.equal(Random.parseSeed('0XFFFFFFFF'), 0xFFFFFFFF);
+  assert.equal(Random.parseSeed('4294967296'), 0);  // Wraps to 32 bits
+  for (const text of ['', ' ', '-1', '1.5', '1e3', 'abc', '0x', '12 34', String(2 ** 53)]) {
+    assert.equal(Random.parseSeed(text), null, text);
+  }
+});
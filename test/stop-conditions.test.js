@@ -0,0 +1,70 @@
+/**
+ * Tests for "run until" parsing and checks (js/stop-conditions.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StopConditions } from '../js/stop-conditions.js';
+
+/**
+ * The parts of PopulationWasm that check() reads
+ */
+function population({ completedPairs = 0, pending = 0, highOrder = 0, copy = 0, numTapes = 100 } = {}) {
+  return {
+    numTapes,
+    completedPairs,
+    generation: completedPairs / numTapes,
+    pendingExecutions: pending,
+    complexityHistory: [{ highOrder }],
+    copyEMA: copy,
+  };
+}
+
+test('parses clauses and their aliases', () => {
+  assert.deepEqual(StopConditions.parse('epoch 5000, hk 1.5').conditions, { epoch: 5000, highOrder: 1.5 });
+  assert.deepEqual(StopConditions.parse(' Epochs 3 ,H-K 0.5,copy 40 ').conditions, { epoch: 3, highOrder: 0.5, copy: 40 });
+  assert.deepEqual(StopConditions.parse('pairs 1000').conditions, { pairs: 1000 });
+  assert.equal(StopConditions.parse('time 90').conditions.seconds, 90);
+  assert.equal(StopConditions.parse('time 90s').conditions.seconds, 90);
+  assert.equal(StopConditions.parse('time 10m').conditions.seconds, 600);
+  assert.equal(StopConditions.parse('time 1.5h').conditions.seconds, 5400);
+  assert.equal(StopConditions.parse(''), null);
+  assert.equal(StopConditions.parse(' , '), null);
+});
+
+test('rejects clauses it does not understand', () => {
+  assert.throws(() => StopConditions.parse('speed 5'), /Unknown stop condition "speed 5"/);
+  assert.throws(() => StopConditions.parse('epoch'), /Unknown stop condition/);
+  assert.throws(() => StopConditions.parse('epoch 1 2'), /Unknown stop condition/);
+  assert.throws(() => StopConditions.parse('epoch -1'), /Invalid value in "epoch -1"/);
+  assert.throws(() => StopConditions.parse('hk lots'), /Invalid value/);
+  assert.throws(() => StopConditions.parse('time 5d'), /Invalid value/);
+});
+
+test('toString parses back to the same conditions', () => {
+  const conditions = StopConditions.parse('epoch 12.5, pairs 900, hk 1, copy 32, time 2m');
+  assert.deepEqual(StopConditions.parse(conditions.toString()).conditions, conditions.conditions);
+});
+
+test('pairLimit is the nearer of the epoch and pair targets', () => {
+  assert.equal(StopConditions.parse('epoch 2').pairLimit(100), 200);
+  assert.equal(StopConditions.parse('epoch 2, pairs 150').pairLimit(100), 150);
+  assert.equal(StopConditions.parse('epoch 0.333').pairLimit(100), 33);
+  assert.equal(StopConditions.parse('hk 1').pairLimit(100), Infinity);
+});
+
+test('epoch and pair targets wait for batches in flight', () => {
+  const conditions = StopConditions.parse('epoch 2');
+  assert.equal(conditions.check(population({ completedPairs: 199 }), 0), null);
+  assert.equal(conditions.check(population({ completedPairs: 200, pending: 1 }), 0), null);
+  assert.equal(conditions.check(population({ completedPairs: 200 }), 0), 'epoch 2.00');
+  assert.equal(StopConditions.parse('epoch 5, pairs 150').check(population({ completedPairs: 150 }), 0), 'pairs 150');
+});
+
+test('metric and time targets hold as soon as they are reached', () => {
+  assert.equal(StopConditions.parse('hk 1.5').check(population({ highOrder: 1.4 }), 0), null);
+  assert.equal(StopConditions.parse('hk 1.5').check(population({ highOrder: 1.5 }), 0), 'hk 1.50');
+  assert.equal(StopConditions.parse('copy 32').check(population({ copy: 40 }), 0), 'copy 40.0');
+  assert.equal(StopConditions.parse('time 10m').check(population(), 599), null);
+  assert.equal(StopConditions.parse('time 10m').check(population(), 600.4), 'time 600s');
+});
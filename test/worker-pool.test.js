@@ -0,0 +1,197 @@
+/**
+ * Tests for chunked dispatch and worker replacement (js/worker-pool.js)
+ *
+ * Fake workers answer right away (or after a delay, or never) so the pool's
+ * scheduling can be checked without WASM.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerPool } from '../js/worker-pool.js';
+
+/**
+ * Web Worker stand-in that echoes which pairs it ran
+ */
+class FakeWorker {
+  /**
+   * @param {Object} behavior
+   * @param {number} behavior.delay - Milliseconds before answering a batch (default 0)
+   * @param {number|null} behavior.crashOn - Crash on this batch, counting from 1 (default never)
+   * @param {number|null} behavior.hangOn - Never answer this batch or later ones (default never)
+   */
+  constructor({ delay = 0, crashOn = null, hangOn = null } = {}) {
+    this.listeners = { message: new Set(), error: new Set(), messageerror: new Set() };
+    this.delay = delay;
+    this.crashOn = crashOn;
+    this.hangOn = hangOn;
+    this.batches = [];  // Messages received, in order
+    this.terminated = false;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type].delete(listener);
+  }
+
+  emit(type, event) {
+    if (this.terminated) return;
+    for (const listener of [...this.listeners[type]]) listener(event);
+  }
+
+  postMessage({ type, data }) {
+    if (type === 'init') {
+      setTimeout(() => this.emit('message', { data: { type: 'ready' } }), 0);
+      return;
+    }
+    this.batches.push({ type, data });
+    const n = this.batches.length;
+    if (n === this.crashOn) {
+      setTimeout(() => this.emit('error', { message: 'boom' }), 0);
+      return;
+    }
+    if (this.hangOn !== null && n >= this.hangOn) return;
+    const count = type === 'execute' ? data.pairs.length : data.count;
+    const results = { count, elapsed: 1, firstIndex: data.selection?.firstIndex ?? data.pairs[0].index };
+    setTimeout(() => this.emit('message', { data: { type: 'results', results } }), this.delay);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * Pool whose workers are FakeWorkers, created in order from behaviors
+ * (later spawns, i.e. replacements, behave normally)
+ */
+async function fakePool(numWorkers, behaviors = [], options = {}) {
+  const spawned = [];
+  const pool = new WorkerPool(numWorkers, () => {
+    const worker = new FakeWorker(behaviors[spawned.length] ?? {});
+    spawned.push(worker);
+    return worker;
+  }, options);
+  await pool.init(null, 64);
+  return { pool, spawned };
+}
+
+function pairs(count) {
+  return Array.from({ length: count }, (_, index) => ({ a: 0, b: 64, index }));
+}
+
+test('a batch is cut into contiguous chunks covering every pair once', async () => {
+  const { pool, spawned } = await fakePool(3);
+  const results = await pool.executeBatch(pairs(100));
+
+  // ~chunksPerWorker chunks per worker
+  const chunkSize = Math.ceil(100 / (3 * pool.chunksPerWorker));
+  assert.equal(results.length, Math.ceil(100 / chunkSize));
+  const covered = results
+    .map(r => [r.firstIndex, r.count])
+    .sort((x, y) => x[0] - y[0]);
+  let next = 0;
+  for (const [first, count] of covered) {
+    assert.equal(first, next);
+    next += count;
+  }
+  assert.equal(next, 100);
+
+  assert.ok(spawned.every(worker => worker.batches.length > 0));
+  assert.equal(pool.workerStats().reduce((sum, s) => sum + s.pairs, 0), 100);
+  pool.terminate();
+});
+
+test('generated batches give each chunk its global first index', async () => {
+  const { pool, spawned } = await fakePool(2);
+  await pool.executeGenerated(50, { alignment: 1, localityLimit: null, seed: 1, firstIndex: 1000 }, 32, 8192, 0, 0);
+  const firsts = spawned.flatMap(w => w.batches.map(b => [b.data.selection.firstIndex, b.data.count]));
+  firsts.sort((x, y) => x[0] - y[0]);
+  let next = 1000;
+  for (const [first, count] of firsts) {
+    assert.equal(first, next);
+    next += count;
+  }
+  assert.equal(next, 1050);
+  pool.terminate();
+});
+
+test('a slow worker takes fewer chunks', async () => {
+  const { pool, spawned } = await fakePool(2, [{ delay: 30 }, { delay: 0 }]);
+  await pool.executeBatch(pairs(400));
+  assert.ok(spawned[0].batches.length < spawned[1].batches.length);
+  const [slow, fast] = pool.workerStats();
+  assert.equal(slow.pairs + fast.pairs, 400);
+  assert.ok(slow.pairs < fast.pairs);
+  pool.terminate();
+});
+
+test('a crashed worker fails only its chunk and is replaced', async () => {
+  const lost = [];
+  const { pool, spawned } = await fakePool(3, [{}, { crashOn: 1 }, {}]);
+  pool.onWorkerLost = (event) => lost.push(event);
+
+  const error = await pool.executeBatch(pairs(120)).then(() => null, e => e);
+  assert.ok(error, 'batch should fail');
+  assert.match(error.message, /Worker 1 crashed: boom/);
+  const chunkSize = Math.ceil(120 / (3 * pool.chunksPerWorker));
+  assert.equal(error.failedPairs, chunkSize);
+  assert.equal(error.results.reduce((sum, r) => sum + r.count, 0), 120 - chunkSize);
+
+  assert.equal(pool.restarts, 1);
+  assert.deepEqual(lost.map(e => e.index), [1]);
+  assert.ok(spawned[1].terminated);
+
+  // The replacement joins once ready, on the same slot
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(pool.availableWorkers, 3);
+  assert.equal(pool.workers[1], spawned[3]);
+  const results = await pool.executeBatch(pairs(120));
+  assert.equal(results.reduce((sum, r) => sum + r.count, 0), 120);
+  pool.terminate();
+});
+
+test('a worker that stops answering is replaced after batchTimeout', async () => {
+  const { pool, spawned } = await fakePool(2, [{ hangOn: 1 }, {}], { batchTimeout: 50 });
+  const error = await pool.executeBatch(pairs(40)).then(() => null, e => e);
+  assert.match(error.message, /Worker 0 did not answer within 0.05 s/);
+  assert.equal(error.failedPairs, Math.ceil(40 / (2 * pool.chunksPerWorker)));
+  assert.equal(pool.restarts, 1);
+  assert.ok(spawned[0].terminated);
+  pool.terminate();
+});
+
+test('batches fail whole while every worker restarts', async () => {
+  const { pool } = await fakePool(1, [{ crashOn: 1 }]);
+  await pool.executeBatch(pairs(10)).catch(() => {});
+  // The replacement is still starting
+  assert.equal(pool.availableWorkers, 0);
+  const error = await pool.executeBatch(pairs(10)).then(() => null, e => e);
+  assert.match(error.message, /No workers available/);
+  assert.equal(error.failedPairs, 10);
+  pool.terminate();
+});
+
+test('resize adds workers and retires removed ones after their chunks', async () => {
+  const { pool, spawned } = await fakePool(3, [{ delay: 10 }, {}, {}]);
+  const running = pool.executeBatch(pairs(60));
+  await pool.resize(1);
+  assert.equal(pool.workerStats().length, 1);
+  const results = await running;
+  assert.equal(results.reduce((sum, r) => sum + r.count, 0), 60);
+  assert.ok(spawned[1].terminated && spawned[2].terminated);
+
+  await pool.resize(4);
+  assert.equal(pool.availableWorkers, 4);
+  pool.terminate();
+  assert.ok(spawned.every(worker => worker.terminated));
+});
+
+test('terminate rejects batches still waiting', async () => {
+  const { pool } = await fakePool(1, [{ hangOn: 1 }]);
+  const pending = pool.executeBatch(pairs(10));
+  pool.terminate();
+  await assert.rejects(pending, /Worker pool terminated/);
+});
@@ -14,6 +14,16 @@ export class ExecutionResult {
   halt_reason: number;
 }
 
+/**
+ * Compress data with zlib-wrapped deflate (used for soup snapshots)
+ */
+export function deflate_compress(data: Uint8Array): Uint8Array;
+
+/**
+ * Decompress zlib-wrapped deflate data (used for soup snapshots)
+ */
+export function deflate_decompress(data: Uint8Array): Uint8Array;
+
 /**
  * Run a batch of pair executions
  *
@@ -22,17 +32,36 @@ export class ExecutionResult {
  *
  * Returns concatenated results for each pair
  */
-export function execute_batch(soup: Uint8Array, pairs: Uint8Array, region_size: number, head1_offset: number, max_steps: number): Uint8Array;
+export function execute_batch(soup: Uint8Array, pairs: Uint8Array, region_size: number, head1_offset: number, max_steps: number, language_id: number, topology_bits: number): Uint8Array;
+
+/**
+ * Run a batch of pair executions, returning only what changed
+ *
+ * Pairs are packed as in `execute_batch`. Each result is the 7 u32 stats
+ * (28 bytes), a u32 count of modified bytes, then per modified byte its u16
+ * index in the combined tape and its new value (3 bytes). Pairs that write
+ * nothing cost 32 bytes instead of `28 + region_size * 2`.
+ */
+export function execute_batch_compact(soup: Uint8Array, pairs: Uint8Array, region_size: number, head1_offset: number, max_steps: number, language_id: number, topology_bits: number): Uint8Array;
+
+/**
+ * Run a batch of pair executions on a soup in this module's memory
+ *
+ * Pairs are packed as in `execute_batch`. Modified tapes are written straight
+ * back into the soup, so the result is only the 7 u32 stats (28 bytes) per pair.
+ */
+export function execute_batch_in_place(soup_ptr: number, soup_len: number, pairs: Uint8Array, region_size: number, head1_offset: number, max_steps: number, language_id: number, topology_bits: number): Uint8Array;
 
 /**
  * Execute a pair of regions from the soup
  *
- * Extracts two regions, combines them, executes BFF, and returns results.
+ * Extracts two regions, combines them, executes them in the given language
+ * and topology, and returns results.
  * Does NOT write back - that's handled in JS with compression cost comparison.
  *
  * Returns: [steps, head0_count, head1_count, math_count, copy_count, loop_count, halt_reason, ...modified_tape_data]
  */
-export function execute_pair(soup: Uint8Array, slot_a: number, slot_b: number, region_size: number, head1_offset: number, max_steps: number): Uint8Array;
+export function execute_pair(soup: Uint8Array, slot_a: number, slot_b: number, region_size: number, head1_offset: number, max_steps: number, language_id: number, topology_bits: number): Uint8Array;
 
 /**
  * Execute BFF program on a tape
@@ -43,20 +72,54 @@ export function execute_pair(soup: Uint8Array, slot_a: number, slot_b: number, r
 export function execute_tape(tape: Uint8Array): ExecutionResult;
 
 /**
- * Check if a region contains any BFF instructions
+ * Check if a region contains any instructions of a language
  */
-export function has_instructions(data: Uint8Array): boolean;
+export function has_instructions(data: Uint8Array, language_id: number): boolean;
 
 /**
  * Estimate Kolmogorov complexity using deflate compression (bits per byte)
  */
 export function kolmogorov_estimate(data: Uint8Array): number;
 
+/**
+ * Check if this build can run a language id
+ */
+export function language_supported(id: number): boolean;
+
 /**
  * Calculate Shannon entropy of data (bits per byte)
  */
 export function shannon_entropy(data: Uint8Array): number;
 
+/**
+ * Allocate a zeroed soup in this module's memory, for `execute_batch_in_place`
+ *
+ * Returns its address. In the threaded build the memory is shared, so every
+ * worker instantiated on it sees the same soup. Free it with `soup_free`.
+ */
+export function soup_alloc(len: number): number;
+
+/**
+ * Free a soup from `soup_alloc`
+ */
+export function soup_free(ptr: number, len: number): void;
+
+/**
+ * Check if this build understands packed topology bits
+ */
+export function topology_supported(bits: number): boolean;
+
+/**
+ * Execute a combined tape and record every step
+ *
+ * Runs the same interpreter as `execute_pair` on a copy of `tape`.
+ *
+ * Returns: [7 u32 stats as in `execute_pair`, ...final_tape, ...steps], where each
+ * step is 20 bytes: ip u32, head0 u32, head1 u32, write_index u32, opcode u8,
+ * old_value u8, new_value u8, has_write u8
+ */
+export function trace_tape(tape: Uint8Array, head1_offset: number, max_steps: number, language_id: number, topology_bits: number): Uint8Array;
+
 export type InitInput = RequestInfo | URL | Response | BufferSource | WebAssembly.Module;
 
 export interface InitOutput {
@@ -76,15 +139,25 @@ export interface InitOutput {
   readonly __wbg_set_executionresult_loop_count: (a: number, b: number) => void;
   readonly __wbg_set_executionresult_math_count: (a: number, b: number) => void;
   readonly __wbg_set_executionresult_steps: (a: number, b: number) => void;
-  readonly execute_batch: (a: number, b: number, c: number, d: number, e: number, f: number, g: number) => [number, number];
-  readonly execute_pair: (a: number, b: number, c: number, d: number, e: number, f: number, g: number) => [number, number];
+  readonly deflate_compress: (a: number, b: number) => [number, number];
+  readonly deflate_decompress: (a: number, b: number) => [number, number, number, number];
+  readonly execute_batch: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
+  readonly execute_batch_compact: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
+  readonly execute_batch_in_place: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
+  readonly execute_pair: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
   readonly execute_tape: (a: number, b: number, c: any) => number;
-  readonly has_instructions: (a: number, b: number) => number;
+  readonly has_instructions: (a: number, b: number, c: number) => [number, number, number];
   readonly kolmogorov_estimate: (a: number, b: number) => number;
+  readonly language_supported: (a: number) => number;
   readonly shannon_entropy: (a: number, b: number) => number;
+  readonly soup_alloc: (a: number) => number;
+  readonly soup_free: (a: number, b: number) => void;
+  readonly topology_supported: (a: number) => number;
+  readonly trace_tape: (a: number, b: number, c: number, d: number, e: number, f: number) => [number, number, number, number];
   readonly __wbindgen_externrefs: WebAssembly.Table;
   readonly __wbindgen_malloc: (a: number, b: number) => number;
   readonly __wbindgen_free: (a: number, b: number, c: number) => void;
+  readonly __externref_table_dealloc: (a: number) => void;
   readonly __wbindgen_start: () => void;
 }
 
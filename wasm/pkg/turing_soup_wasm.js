@@ -25,6 +25,12 @@ function passArray8ToWasm0(arg, malloc) {
     return ptr;
 }
 
+function takeFromExternrefTable0(idx) {
+    const value = wasm.__wbindgen_externrefs.get(idx);
+    wasm.__externref_table_dealloc(idx);
+    return value;
+}
+
 let cachedTextDecoder = new TextDecoder('utf-8', { ignoreBOM: true, fatal: true });
 cachedTextDecoder.decode();
 const MAX_SAFARI_DECODE_BYTES = 2146435072;
@@ -160,6 +166,37 @@ export class ExecutionResult {
 }
 if (Symbol.dispose) ExecutionResult.prototype[Symbol.dispose] = ExecutionResult.prototype.free;
 
+/**
+ * Compress data with zlib-wrapped deflate (used for soup snapshots)
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function deflate_compress(data) {
+    const ptr0 = passArray8ToWasm0(data, wasm.__wbindgen_malloc);
+    const len0 = WASM_VECTOR_LEN;
+    const ret = wasm.deflate_compress(ptr0, len0);
+    var v2 = getArrayU8FromWasm0(ret[0], ret[1]).slice();
+    wasm.__wbindgen_free(ret[0], ret[1] * 1, 1);
+    return v2;
+}
+
+/**
+ * Decompress zlib-wrapped deflate data (used for soup snapshots)
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function deflate_decompress(data) {
+    const ptr0 = passArray8ToWasm0(data, wasm.__wbindgen_malloc);
+    const len0 = WASM_VECTOR_LEN;
+    const ret = wasm.deflate_decompress(ptr0, len0);
+    if (ret[3]) {
+        throw takeFromExternrefTable0(ret[2]);
+    }
+    var v2 = getArrayU8FromWasm0(ret[0], ret[1]).slice();
+    wasm.__wbindgen_free(ret[0], ret[1] * 1, 1);
+    return v2;
+}
+
 /**
  * Run a batch of pair executions
  *
@@ -172,23 +209,86 @@ if (Symbol.dispose) ExecutionResult.prototype[Symbol.dispose] = ExecutionResult.
  * @param {number} region_size
  * @param {number} head1_offset
  * @param {number} max_steps
+ * @param {number} language_id
+ * @param {number} topology_bits
  * @returns {Uint8Array}
  */
-export function execute_batch(soup, pairs, region_size, head1_offset, max_steps) {
+export function execute_batch(soup, pairs, region_size, head1_offset, max_steps, language_id, topology_bits) {
     const ptr0 = passArray8ToWasm0(soup, wasm.__wbindgen_malloc);
     const len0 = WASM_VECTOR_LEN;
     const ptr1 = passArray8ToWasm0(pairs, wasm.__wbindgen_malloc);
     const len1 = WASM_VECTOR_LEN;
-    const ret = wasm.execute_batch(ptr0, len0, ptr1, len1, region_size, head1_offset, max_steps);
+    const ret = wasm.execute_batch(ptr0, len0, ptr1, len1, region_size, head1_offset, max_steps, language_id, topology_bits);
+    if (ret[3]) {
+        throw takeFromExternrefTable0(ret[2]);
+    }
     var v3 = getArrayU8FromWasm0(ret[0], ret[1]).slice();
     wasm.__wbindgen_free(ret[0], ret[1] * 1, 1);
     return v3;
 }
 
+/**
+ * Run a batch of pair executions, returning only what changed
+ *
+ * Pairs are packed as in `execute_batch`. Each result is the 7 u32 stats
+ * (28 bytes), a u32 count of modified bytes, then per modified byte its u16
+ * index in the combined tape and its new value (3 bytes). Pairs that write
+ * nothing cost 32 bytes instead of `28 + region_size * 2`.
+ * @param {Uint8Array} soup
+ * @param {Uint8Array} pairs
+ * @param {number} region_size
+ * @param {number} head1_offset
+ * @param {number} max_steps
+ * @param {number} language_id
+ * @param {number} topology_bits
+ * @returns {Uint8Array}
+ */
+export function execute_batch_compact(soup, pairs, region_size, head1_offset, max_steps, language_id, topology_bits) {
+    const ptr0 = passArray8ToWasm0(soup, wasm.__wbindgen_malloc);
+    const len0 = WASM_VECTOR_LEN;
+    const ptr1 = passArray8ToWasm0(pairs, wasm.__wbindgen_malloc);
+    const len1 = WASM_VECTOR_LEN;
+    const ret = wasm.execute_batch_compact(ptr0, len0, ptr1, len1, region_size, head1_offset, max_steps, language_id, topology_bits);
+    if (ret[3]) {
+        throw takeFromExternrefTable0(ret[2]);
+    }
+    var v3 = getArrayU8FromWasm0(ret[0], ret[1]).slice();
+    wasm.__wbindgen_free(ret[0], ret[1] * 1, 1);
+    return v3;
+}
+
+/**
+ * Run a batch of pair executions on a soup in this module's memory
+ *
+ * Pairs are packed as in `execute_batch`. Modified tapes are written straight
+ * back into the soup, so the result is only the 7 u32 stats (28 bytes) per pair.
+ * @param {number} soup_ptr
+ * @param {number} soup_len
+ * @param {Uint8Array} pairs
+ * @param {number} region_size
+ * @param {number} head1_offset
+ * @param {number} max_steps
+ * @param {number} language_id
+ * @param {number} topology_bits
+ * @returns {Uint8Array}
+ */
+export function execute_batch_in_place(soup_ptr, soup_len, pairs, region_size, head1_offset, max_steps, language_id, topology_bits) {
+    const ptr0 = passArray8ToWasm0(pairs, wasm.__wbindgen_malloc);
+    const len0 = WASM_VECTOR_LEN;
+    const ret = wasm.execute_batch_in_place(soup_ptr, soup_len, ptr0, len0, region_size, head1_offset, max_steps, language_id, topology_bits);
+    if (ret[3]) {
+        throw takeFromExternrefTable0(ret[2]);
+    }
+    var v2 = getArrayU8FromWasm0(ret[0], ret[1]).slice();
+    wasm.__wbindgen_free(ret[0], ret[1] * 1, 1);
+    return v2;
+}
+
 /**
  * Execute a pair of regions from the soup
  *
- * Extracts two regions, combines them, executes BFF, and returns results.
+ * Extracts two regions, combines them, executes them in the given language
+ * and topology, and returns results.
  * Does NOT write back - that's handled in JS with compression cost comparison.
  *
  * Returns: [steps, head0_count, head1_count, math_count, copy_count, loop_count, halt_reason, ...modified_tape_data]
@@ -198,12 +298,17 @@ export function execute_batch(soup, pairs, region_size, head1_offset, max_steps)
  * @param {number} region_size
  * @param {number} head1_offset
  * @param {number} max_steps
+ * @param {number} language_id
+ * @param {number} topology_bits
  * @returns {Uint8Array}
  */
-export function execute_pair(soup, slot_a, slot_b, region_size, head1_offset, max_steps) {
+export function execute_pair(soup, slot_a, slot_b, region_size, head1_offset, max_steps, language_id, topology_bits) {
     const ptr0 = passArray8ToWasm0(soup, wasm.__wbindgen_malloc);
     const len0 = WASM_VECTOR_LEN;
-    const ret = wasm.execute_pair(ptr0, len0, slot_a, slot_b, region_size, head1_offset, max_steps);
+    const ret = wasm.execute_pair(ptr0, len0, slot_a, slot_b, region_size, head1_offset, max_steps, language_id, topology_bits);
+    if (ret[3]) {
+        throw takeFromExternrefTable0(ret[2]);
+    }
     var v2 = getArrayU8FromWasm0(ret[0], ret[1]).slice();
     wasm.__wbindgen_free(ret[0], ret[1] * 1, 1);
     return v2;
@@ -225,15 +330,19 @@ export function execute_tape(tape) {
 }
 
 /**
- * Check if a region contains any BFF instructions
+ * Check if a region contains any instructions of a language
  * @param {Uint8Array} data
+ * @param {number} language_id
  * @returns {boolean}
  */
-export function has_instructions(data) {
+export function has_instructions(data, language_id) {
     const ptr0 = passArray8ToWasm0(data, wasm.__wbindgen_malloc);
     const len0 = WASM_VECTOR_LEN;
-    const ret = wasm.has_instructions(ptr0, len0);
-    return ret !== 0;
+    const ret = wasm.has_instructions(ptr0, len0, language_id);
+    if (ret[2]) {
+        throw takeFromExternrefTable0(ret[1]);
+    }
+    return ret[0] !== 0;
 }
 
 /**
@@ -248,6 +357,16 @@ export function kolmogorov_estimate(data) {
     return ret;
 }
 
+/**
+ * Check if this build can run a language id
+ * @param {number} id
+ * @returns {boolean}
+ */
+export function language_supported(id) {
+    const ret = wasm.language_supported(id);
+    return ret !== 0;
+}
+
 /**
  * Calculate Shannon entropy of data (bits per byte)
  * @param {Uint8Array} data
@@ -260,6 +379,65 @@ export function shannon_entropy(data) {
     return ret;
 }
 
+/**
+ * Allocate a zeroed soup in this module's memory, for `execute_batch_in_place`
+ *
+ * Returns its address. In the threaded build the memory is shared, so every
+ * worker instantiated on it sees the same soup. Free it with `soup_free`.
+ * @param {number} len
+ * @returns {number}
+ */
+export function soup_alloc(len) {
+    const ret = wasm.soup_alloc(len);
+    return ret >>> 0;
+}
+
+/**
+ * Free a soup from `soup_alloc`
+ * @param {number} ptr
+ * @param {number} len
+ */
+export function soup_free(ptr, len) {
+    wasm.soup_free(ptr, len);
+}
+
+/**
+ * Check if this build understands packed topology bits
+ * @param {number} bits
+ * @returns {boolean}
+ */
+export function topology_supported(bits) {
+    const ret = wasm.topology_supported(bits);
+    return ret !== 0;
+}
+
+/**
+ * Execute a combined tape and record every step
+ *
+ * Runs the same interpreter as `execute_pair` on a copy of `tape`.
+ *
+ * Returns: [7 u32 stats as in `execute_pair`, ...final_tape, ...steps], where each
+ * step is 20 bytes: ip u32, head0 u32, head1 u32, write_index u32, opcode u8,
+ * old_value u8, new_value u8, has_write u8
+ * @param {Uint8Array} tape
+ * @param {number} head1_offset
+ * @param {number} max_steps
+ * @param {number} language_id
+ * @param {number} topology_bits
+ * @returns {Uint8Array}
+ */
+export function trace_tape(tape, head1_offset, max_steps, language_id, topology_bits) {
+    const ptr0 = passArray8ToWasm0(tape, wasm.__wbindgen_malloc);
+    const len0 = WASM_VECTOR_LEN;
+    const ret = wasm.trace_tape(ptr0, len0, head1_offset, max_steps, language_id, topology_bits);
+    if (ret[3]) {
+        throw takeFromExternrefTable0(ret[2]);
+    }
+    var v2 = getArrayU8FromWasm0(ret[0], ret[1]).slice();
+    wasm.__wbindgen_free(ret[0], ret[1] * 1, 1);
+    return v2;
+}
+
 const EXPECTED_RESPONSE_TYPES = new Set(['basic', 'cors', 'default']);
 
 async function __wbg_load(module, imports) {
@@ -301,6 +479,11 @@ function __wbg_get_imports() {
     imports.wbg.__wbg___wbindgen_throw_dd24417ed36fc46e = function(arg0, arg1) {
         throw new Error(getStringFromWasm0(arg0, arg1));
     };
+    imports.wbg.__wbindgen_cast_2241b6af4c4b2941 = function(arg0, arg1) {
+        // Cast intrinsic for `Ref(String) -> Externref`.
+        const ret = getStringFromWasm0(arg0, arg1);
+        return ret;
+    };
     imports.wbg.__wbindgen_init_externref_table = function() {
         const table = wasm.__wbindgen_externrefs;
         const offset = table.grow(4);
@@ -16,13 +16,23 @@ export const __wbg_set_executionresult_head1_count: (a: number, b: number) => vo
 export const __wbg_set_executionresult_loop_count: (a: number, b: number) => void;
 export const __wbg_set_executionresult_math_count: (a: number, b: number) => void;
 export const __wbg_set_executionresult_steps: (a: number, b: number) => void;
-export const execute_batch: (a: number, b: number, c: number, d: number, e: number, f: number, g: number) => [number, number];
-export const execute_pair: (a: number, b: number, c: number, d: number, e: number, f: number, g: number) => [number, number];
+export const deflate_compress: (a: number, b: number) => [number, number];
+export const deflate_decompress: (a: number, b: number) => [number, number, number, number];
+export const execute_batch: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
+export const execute_batch_compact: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
+export const execute_batch_in_place: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
+export const execute_pair: (a: number, b: number, c: number, d: number, e: number, f: number, g: number, h: number, i: number) => [number, number, number, number];
 export const execute_tape: (a: number, b: number, c: any) => number;
-export const has_instructions: (a: number, b: number) => number;
+export const has_instructions: (a: number, b: number, c: number) => [number, number, number];
 export const kolmogorov_estimate: (a: number, b: number) => number;
+export const language_supported: (a: number) => number;
 export const shannon_entropy: (a: number, b: number) => number;
+export const soup_alloc: (a: number) => number;
+export const soup_free: (a: number, b: number) => void;
+export const topology_supported: (a: number) => number;
+export const trace_tape: (a: number, b: number, c: number, d: number, e: number, f: number) => [number, number, number, number];
 export const __wbindgen_externrefs: WebAssembly.Table;
 export const __wbindgen_malloc: (a: number, b: number) => number;
 export const __wbindgen_free: (a: number, b: number, c: number) => void;
+export const __externref_table_dealloc: (a: number) => void;
 export const __wbindgen_start: () => void;
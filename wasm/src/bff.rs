@@ -5,6 +5,10 @@
 //! - IP (instruction pointer): current execution position
 //! - head0 (read head): for reading data
 //! - head1 (write head): for writing data
+//!
+//! The interpreter loop is generic over `InstructionSet`, so other languages
+//! (see `forth.rs`) run on the same machine with the same halting rules.
+//! What happens at the tape edges is set by a `Topology`.
 
 /// Maximum steps before halting (2^13, matching paper)
 pub const MAX_STEPS: u32 = 8192;
@@ -31,6 +35,73 @@ pub enum HaltReason {
     MaxSteps = 1,
     UnmatchedBracket = 2,
     NoInstructions = 3,
+    HeadOutOfBounds = 4,
+}
+
+/// What a head does when it would move off the tape
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub enum HeadEdge {
+    Wrap,
+    Clamp,
+    Halt,
+}
+
+/// What the IP does when it moves past the last cell
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub enum IpEdge {
+    Halt,
+    Wrap,
+}
+
+/// How far bracket matching searches
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub enum BracketSearch {
+    /// Stop at the tape ends
+    Bounded,
+    /// Continue around the tape, once
+    Cyclic,
+}
+
+/// Edge behaviour of the combined tape
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub struct Topology {
+    pub heads: HeadEdge,
+    pub ip: IpEdge,
+    pub brackets: BracketSearch,
+}
+
+impl Topology {
+    /// The paper's rules: heads wrap, the IP halts at the end, brackets stop at the ends
+    pub const DEFAULT: Topology = Topology {
+        heads: HeadEdge::Wrap,
+        ip: IpEdge::Halt,
+        brackets: BracketSearch::Bounded,
+    };
+
+    /// Decode the packed form used by JavaScript (see `js/topology.js`):
+    /// bits 0-1 head edge, bit 2 IP edge, bit 3 bracket search
+    pub fn from_bits(bits: u32) -> Option<Topology> {
+        let heads = match bits & 0b11 {
+            0 => HeadEdge::Wrap,
+            1 => HeadEdge::Clamp,
+            2 => HeadEdge::Halt,
+            _ => return None,
+        };
+        if bits >> 4 != 0 {
+            return None;
+        }
+        Some(Topology {
+            heads,
+            ip: if bits & 0b100 != 0 { IpEdge::Wrap } else { IpEdge::Halt },
+            brackets: if bits & 0b1000 != 0 { BracketSearch::Cyclic } else { BracketSearch::Bounded },
+        })
+    }
+}
+
+impl Default for Topology {
+    fn default() -> Self {
+        Topology::DEFAULT
+    }
 }
 
 /// Result of executing a tape
@@ -68,20 +139,24 @@ pub fn has_instructions(tape: &[u8]) -> bool {
     tape.iter().any(|&b| is_instruction(b))
 }
 
-/// Find matching bracket (does not cross tape boundaries)
+/// Find matching bracket
+/// Bounded search stops at the tape ends; cyclic search wraps around and
+/// visits every other cell once.
 /// Returns None if unmatched
 #[inline]
-fn find_matching_bracket(tape: &[u8], start: usize, direction: i32) -> Option<usize> {
+fn find_matching_bracket(tape: &[u8], start: usize, direction: i32, search: BracketSearch) -> Option<usize> {
     let mut depth = 1i32;
     let mut pos = start as i32;
     let size = tape.len() as i32;
 
-    loop {
+    for _ in 1..size {
         pos += direction;
 
-        // Stop at tape boundaries
         if pos < 0 || pos >= size {
-            return None; // Unmatched - hit boundary
+            if search == BracketSearch::Bounded {
+                return None; // Unmatched - hit boundary
+            }
+            pos = pos.rem_euclid(size);
         }
 
         let byte = tape[pos as usize];
@@ -106,6 +181,7 @@ fn find_matching_bracket(tape: &[u8], start: usize, direction: i32) -> Option<us
             return Some(pos as usize);
         }
     }
+    None
 }
 
 /// Execute BFF program on tape
@@ -121,149 +197,317 @@ pub fn execute_with_head1(tape: &mut [u8], head1_start: usize) -> ExecutionResul
     execute_with_params(tape, head1_start, MAX_STEPS)
 }
 
-/// Execute BFF program with configurable head1 start and max steps
-pub fn execute_with_params(tape: &mut [u8], head1_start: usize, max_steps: u32) -> ExecutionResult {
-    let size = tape.len();
+/// Write made by one step
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub struct TraceWrite {
+    pub index: u32,
+    pub old_value: u8,
+    pub new_value: u8,
+}
 
-    // Early abort if no instructions
-    if !has_instructions(tape) {
-        return ExecutionResult {
-            steps: 0,
-            head0_count: 0,
-            head1_count: 0,
-            math_count: 0,
-            copy_count: 0,
-            loop_count: 0,
-            halt_reason: HaltReason::NoInstructions,
-        };
+/// One executed instruction
+/// ip, head0 and head1 are the positions when the instruction ran
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub struct TraceStep {
+    pub ip: u32,
+    pub opcode: u8,
+    pub head0: u32,
+    pub head1: u32,
+    pub write: Option<TraceWrite>,
+}
+
+/// Receives every executed instruction
+pub trait Tracer {
+    fn record(&mut self, step: TraceStep);
+}
+
+/// Tracer that records nothing (compiled away in the normal execution path)
+pub struct NoTrace;
+
+impl Tracer for NoTrace {
+    #[inline(always)]
+    fn record(&mut self, _step: TraceStep) {}
+}
+
+impl Tracer for Vec<TraceStep> {
+    fn record(&mut self, step: TraceStep) {
+        self.push(step);
     }
+}
 
-    let mut ip: usize = 0;
-    let mut head0: i32 = 0;  // Starts at beginning (left tape)
-    let mut head1: i32 = head1_start as i32;  // Starts at specified position
-    let mut steps: u32 = 0;
-    let mut head0_count: u32 = 0;
-    let mut head1_count: u32 = 0;
-    let mut math_count: u32 = 0;
-    let mut copy_count: u32 = 0;
-    let mut loop_count: u32 = 0;
-
-    // Wrap any head position to valid tape range
-    let wrap = |h: i32| -> usize {
-        ((h % size as i32) + size as i32) as usize % size
-    };
+/// Data stack depth for stack-based instruction sets (circular: pushing onto a
+/// full stack overwrites the oldest entry, popping an empty one reads stale data)
+pub const STACK_SIZE: usize = 16;
+
+/// Interpreter registers an instruction can act on
+/// Heads are always kept within the tape.
+#[derive(Clone, Debug)]
+pub struct Machine {
+    pub ip: usize,
+    pub head0: usize,
+    pub head1: usize,
+    pub stack: [u8; STACK_SIZE],
+    pub sp: usize,
+    pub topology: Topology,
+}
+
+impl Machine {
+    /// Move a head by -1 or +1 under the topology's head rule
+    /// Returns None if the head would leave the tape and the rule is to halt
+    #[inline]
+    pub fn moved(&self, head: usize, delta: isize, size: usize) -> Option<usize> {
+        let off_tape = if delta < 0 { head == 0 } else { head + 1 == size };
+        if !off_tape {
+            return Some(if delta < 0 { head - 1 } else { head + 1 });
+        }
+        match self.topology.heads {
+            HeadEdge::Wrap => Some(if delta < 0 { size - 1 } else { 0 }),
+            HeadEdge::Clamp => Some(head),
+            HeadEdge::Halt => None,
+        }
+    }
+
+    /// Move head0; false if execution halts instead
+    #[inline]
+    pub fn move_head0(&mut self, delta: isize, size: usize) -> bool {
+        match self.moved(self.head0, delta, size) {
+            Some(head) => {
+                self.head0 = head;
+                true
+            }
+            None => false,
+        }
+    }
+
+    /// Move head1; false if execution halts instead
+    #[inline]
+    pub fn move_head1(&mut self, delta: isize, size: usize) -> bool {
+        match self.moved(self.head1, delta, size) {
+            Some(head) => {
+                self.head1 = head;
+                true
+            }
+            None => false,
+        }
+    }
+
+    #[inline]
+    pub fn push(&mut self, value: u8) {
+        self.stack[self.sp] = value;
+        self.sp = (self.sp + 1) % STACK_SIZE;
+    }
+
+    #[inline]
+    pub fn pop(&mut self) -> u8 {
+        self.sp = (self.sp + STACK_SIZE - 1) % STACK_SIZE;
+        self.stack[self.sp]
+    }
+
+    /// Jump to the bracket matching the one at the IP
+    /// Returns false if it is unmatched
+    #[inline]
+    pub fn jump(&mut self, tape: &[u8], direction: i32) -> bool {
+        match find_matching_bracket(tape, self.ip, direction, self.topology.brackets) {
+            Some(target) => {
+                self.ip = target;
+                true
+            }
+            None => false,
+        }
+    }
+}
+
+/// What one instruction did besides moving registers
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub enum Effect {
+    None,
+    /// Wrote the tape: (index, old value)
+    Write(usize, u8),
+    /// Hit a bracket without a match; execution halts
+    Unmatched,
+    /// Moved a head off the tape under `HeadEdge::Halt`; execution halts
+    HeadOut,
+}
 
-    while steps < max_steps && ip < size {
-        steps += 1;
-        let byte = tape[ip];
+/// An instruction set the interpreter can run
+///
+/// Every instruction set shares the machine (IP, two heads, data stack), the
+/// halting rules, the topology and the `[`/`]` bracket bytes; they differ in which bytes are
+/// instructions and what those do. Each instruction counts towards one of the
+/// five `ExecutionResult` categories.
+pub trait InstructionSet {
+    /// Check if a byte is an instruction (everything else is a no-op)
+    fn is_instruction(byte: u8) -> bool;
 
+    /// Execute one instruction; the interpreter advances the IP afterwards
+    fn execute(byte: u8, machine: &mut Machine, tape: &mut [u8], counts: &mut ExecutionResult) -> Effect;
+}
+
+/// The BFF instruction set
+pub struct Bff;
+
+impl InstructionSet for Bff {
+    #[inline]
+    fn is_instruction(byte: u8) -> bool {
+        is_instruction(byte)
+    }
+
+    #[inline]
+    fn execute(byte: u8, m: &mut Machine, tape: &mut [u8], counts: &mut ExecutionResult) -> Effect {
+        let size = tape.len();
         match byte {
             instructions::HEAD0_DEC => {
-                head0 -= 1;
-                head0 = wrap(head0) as i32;
-                head0_count += 1;
+                counts.head0_count += 1;
+                if !m.move_head0(-1, size) {
+                    return Effect::HeadOut;
+                }
             }
             instructions::HEAD0_INC => {
-                head0 += 1;
-                head0 = wrap(head0) as i32;
-                head0_count += 1;
+                counts.head0_count += 1;
+                if !m.move_head0(1, size) {
+                    return Effect::HeadOut;
+                }
             }
             instructions::HEAD1_DEC => {
-                head1 -= 1;
-                head1 = wrap(head1) as i32;
-                head1_count += 1;
+                counts.head1_count += 1;
+                if !m.move_head1(-1, size) {
+                    return Effect::HeadOut;
+                }
             }
             instructions::HEAD1_INC => {
-                head1 += 1;
-                head1 = wrap(head1) as i32;
-                head1_count += 1;
+                counts.head1_count += 1;
+                if !m.move_head1(1, size) {
+                    return Effect::HeadOut;
+                }
             }
             instructions::DECREMENT => {
-                let idx = wrap(head0);
-                tape[idx] = tape[idx].wrapping_sub(1);
-                math_count += 1;
+                let old = tape[m.head0];
+                tape[m.head0] = old.wrapping_sub(1);
+                counts.math_count += 1;
+                return Effect::Write(m.head0, old);
             }
             instructions::INCREMENT => {
-                let idx = wrap(head0);
-                tape[idx] = tape[idx].wrapping_add(1);
-                math_count += 1;
+                let old = tape[m.head0];
+                tape[m.head0] = old.wrapping_add(1);
+                counts.math_count += 1;
+                return Effect::Write(m.head0, old);
             }
             instructions::COPY_TO_H1 => {
-                let src = wrap(head0);
-                let dst = wrap(head1);
-                tape[dst] = tape[src];
-                copy_count += 1;
+                let old = tape[m.head1];
+                tape[m.head1] = tape[m.head0];
+                counts.copy_count += 1;
+                return Effect::Write(m.head1, old);
             }
             instructions::COPY_TO_H0 => {
-                let src = wrap(head1);
-                let dst = wrap(head0);
-                tape[dst] = tape[src];
-                copy_count += 1;
+                let old = tape[m.head0];
+                tape[m.head0] = tape[m.head1];
+                counts.copy_count += 1;
+                return Effect::Write(m.head0, old);
             }
             instructions::LOOP_START => {
-                let idx = wrap(head0);
-                if tape[idx] == 0 {
-                    match find_matching_bracket(tape, ip, 1) {
-                        Some(target) => ip = target,
-                        None => {
-                            return ExecutionResult {
-                                steps,
-                                head0_count,
-                                head1_count,
-                                math_count,
-                                copy_count,
-                                loop_count,
-                                halt_reason: HaltReason::UnmatchedBracket,
-                            };
-                        }
-                    }
+                if tape[m.head0] == 0 && !m.jump(tape, 1) {
+                    return Effect::Unmatched;
                 }
             }
             instructions::LOOP_END => {
-                let idx = wrap(head0);
-                loop_count += 1;
-                if tape[idx] != 0 {
-                    match find_matching_bracket(tape, ip, -1) {
-                        Some(target) => {
-                            ip = target;
-                        }
-                        None => {
-                            return ExecutionResult {
-                                steps,
-                                head0_count,
-                                head1_count,
-                                math_count,
-                                copy_count,
-                                loop_count,
-                                halt_reason: HaltReason::UnmatchedBracket,
-                            };
-                        }
-                    }
+                counts.loop_count += 1;
+                if tape[m.head0] != 0 && !m.jump(tape, -1) {
+                    return Effect::Unmatched;
                 }
             }
             _ => {
                 // No-op: just advance IP
             }
         }
+        Effect::None
+    }
+}
+
+/// Execute BFF program with configurable head1 start and max steps
+pub fn execute_with_params(tape: &mut [u8], head1_start: usize, max_steps: u32) -> ExecutionResult {
+    execute_traced::<Bff, _>(tape, head1_start, max_steps, Topology::DEFAULT, &mut NoTrace)
+}
 
-        ip += 1;
+/// Execute a program in instruction set `L`, reporting every executed instruction to a tracer
+pub fn execute_traced<L: InstructionSet, T: Tracer>(
+    tape: &mut [u8],
+    head1_start: usize,
+    max_steps: u32,
+    topology: Topology,
+    tracer: &mut T,
+) -> ExecutionResult {
+    let size = tape.len();
+    let mut result = ExecutionResult {
+        steps: 0,
+        head0_count: 0,
+        head1_count: 0,
+        math_count: 0,
+        copy_count: 0,
+        loop_count: 0,
+        halt_reason: HaltReason::EndOfTape,
+    };
+
+    // Early abort if no instructions
+    if !tape.iter().any(|&b| L::is_instruction(b)) {
+        result.halt_reason = HaltReason::NoInstructions;
+        return result;
+    }
+
+    let mut machine = Machine {
+        ip: 0,
+        head0: 0,                   // Starts at beginning (left tape)
+        head1: head1_start % size,  // Starts at specified position
+        stack: [0; STACK_SIZE],
+        sp: 0,
+        topology,
+    };
+
+    while result.steps < max_steps && machine.ip < size {
+        result.steps += 1;
+        let byte = tape[machine.ip];
+        let (step_ip, step_head0, step_head1) = (machine.ip, machine.head0, machine.head1);
+
+        let effect = L::execute(byte, &mut machine, tape, &mut result);
+
+        tracer.record(TraceStep {
+            ip: step_ip as u32,
+            opcode: byte,
+            head0: step_head0 as u32,
+            head1: step_head1 as u32,
+            write: match effect {
+                Effect::Write(index, old_value) => Some(TraceWrite {
+                    index: index as u32,
+                    old_value,
+                    new_value: tape[index],
+                }),
+                _ => None,
+            },
+        });
+
+        match effect {
+            Effect::Unmatched => {
+                result.halt_reason = HaltReason::UnmatchedBracket;
+                return result;
+            }
+            Effect::HeadOut => {
+                result.halt_reason = HaltReason::HeadOutOfBounds;
+                return result;
+            }
+            _ => {}
+        }
+
+        machine.ip += 1;
+        if machine.ip == size && topology.ip == IpEdge::Wrap {
+            machine.ip = 0;
+        }
     }
 
-    let halt_reason = if steps >= max_steps {
+    result.halt_reason = if result.steps >= max_steps {
         HaltReason::MaxSteps
     } else {
         HaltReason::EndOfTape
     };
-
-    ExecutionResult {
-        steps,
-        head0_count,
-        head1_count,
-        math_count,
-        copy_count,
-        loop_count,
-        halt_reason,
-    }
+    result
 }
 
 #[cfg(test)]
@@ -294,4 +538,112 @@ mod tests {
         assert_eq!(result.halt_reason, HaltReason::NoInstructions);
         assert_eq!(result.steps, 0);
     }
+
+    #[test]
+    fn test_trace_matches_execution() {
+        // Copy loop: [[{.>]-] writes into the second half via head1
+        let mut program = vec![0u8; 32];
+        program[..8].copy_from_slice(b"[[{.>]-]");
+        for (i, b) in program.iter_mut().enumerate().skip(8) {
+            *b = (i * 37) as u8;
+        }
+
+        let mut plain = program.clone();
+        let expected = execute_with_params(&mut plain, 16, 256);
+
+        let mut traced = program.clone();
+        let mut trace: Vec<TraceStep> = Vec::new();
+        let result = execute_traced::<Bff, _>(&mut traced, 16, 256, Topology::DEFAULT, &mut trace);
+
+        assert_eq!(traced, plain);
+        assert_eq!(result.steps, expected.steps);
+        assert_eq!(result.halt_reason, expected.halt_reason);
+        assert_eq!(trace.len() as u32, result.steps);
+
+        // Replaying the writes onto the initial tape gives the final tape
+        let mut replay = program.clone();
+        for step in &trace {
+            if let Some(write) = step.write {
+                assert_eq!(replay[write.index as usize], write.old_value);
+                replay[write.index as usize] = write.new_value;
+            }
+        }
+        assert_eq!(replay, plain);
+    }
+
+    #[test]
+    fn test_trace_records_write() {
+        let mut tape = vec![b'+', 0, 0, 0];
+        let mut trace: Vec<TraceStep> = Vec::new();
+        execute_traced::<Bff, _>(&mut tape, 2, MAX_STEPS, Topology::DEFAULT, &mut trace);
+        assert_eq!(trace.len(), 4);
+        assert_eq!(trace[0].opcode, b'+');
+        assert_eq!(trace[0].head1, 2);
+        assert_eq!(
+            trace[0].write,
+            Some(TraceWrite { index: 0, old_value: b'+', new_value: b'+' + 1 })
+        );
+        assert_eq!(trace[1].write, None);
+    }
+
+    fn run_with(tape: &mut [u8], head1_start: usize, max_steps: u32, topology: Topology) -> ExecutionResult {
+        execute_traced::<Bff, _>(tape, head1_start, max_steps, topology, &mut NoTrace)
+    }
+
+    #[test]
+    fn test_topology_bits() {
+        assert_eq!(Topology::from_bits(0), Some(Topology::DEFAULT));
+        let all = Topology::from_bits(0b1110).unwrap();
+        assert_eq!(all.heads, HeadEdge::Halt);
+        assert_eq!(all.ip, IpEdge::Wrap);
+        assert_eq!(all.brackets, BracketSearch::Cyclic);
+        assert_eq!(Topology::from_bits(3), None);
+        assert_eq!(Topology::from_bits(16), None);
+    }
+
+    #[test]
+    fn test_head_edges() {
+        // '<' from cell 0, then '+' increments wherever head0 ended up
+        let program = [b'<', b'+', 0, 0];
+
+        let mut tape = program;
+        run_with(&mut tape, 2, 2, Topology::DEFAULT);
+        assert_eq!(tape[3], 1);
+
+        let mut tape = program;
+        run_with(&mut tape, 2, 2, Topology { heads: HeadEdge::Clamp, ..Topology::DEFAULT });
+        assert_eq!(tape[0], b'<' + 1);
+
+        let mut tape = program;
+        let result = run_with(&mut tape, 2, 2, Topology { heads: HeadEdge::Halt, ..Topology::DEFAULT });
+        assert_eq!(result.halt_reason, HaltReason::HeadOutOfBounds);
+        assert_eq!(result.steps, 1);
+        assert_eq!(result.head0_count, 1);
+        assert_eq!(tape, program);
+    }
+
+    #[test]
+    fn test_ip_wrap_runs_to_step_limit() {
+        let mut tape = vec![b'}', 0, 0, 0];
+        let result = run_with(&mut tape, 0, 10, Topology { ip: IpEdge::Wrap, ..Topology::DEFAULT });
+        assert_eq!(result.halt_reason, HaltReason::MaxSteps);
+        assert_eq!(result.steps, 10);
+        assert_eq!(result.head1_count, 3);
+    }
+
+    #[test]
+    fn test_cyclic_brackets() {
+        // ']' at the start matches the '[' at the end only when searching around the tape
+        let program = [b'+', b']', 0, b'['];
+
+        let mut tape = program;
+        let bounded = run_with(&mut tape, 2, 3, Topology::DEFAULT);
+        assert_eq!(bounded.halt_reason, HaltReason::UnmatchedBracket);
+
+        // Jumps back from 1 around to the '[' at 3, then runs off the end
+        let mut tape = program;
+        let result = run_with(&mut tape, 2, 3, Topology { brackets: BracketSearch::Cyclic, ..Topology::DEFAULT });
+        assert_eq!(result.halt_reason, HaltReason::EndOfTape);
+        assert_eq!(result.steps, 2);
+    }
 }
@@ -24,6 +24,17 @@ pub fn shannon_entropy(data: &[u8]) -> f64 {
     entropy
 }
 
+/// Compress data with zlib-wrapped deflate
+pub fn compress(data: &[u8]) -> Vec<u8> {
+    miniz_oxide::deflate::compress_to_vec_zlib(data, 6)
+}
+
+/// Decompress zlib-wrapped deflate data
+/// Returns None if the data is corrupt or truncated
+pub fn decompress(data: &[u8]) -> Option<Vec<u8>> {
+    miniz_oxide::inflate::decompress_to_vec_zlib(data).ok()
+}
+
 #[cfg(test)]
 mod tests {
     use super::*;
@@ -42,4 +53,17 @@ mod tests {
         let entropy = shannon_entropy(&data);
         assert!((entropy - 8.0).abs() < 0.001);
     }
+
+    #[test]
+    fn test_compress_roundtrip() {
+        let data: Vec<u8> = (0..4096).map(|i| (i % 7) as u8).collect();
+        let compressed = compress(&data);
+        assert!(compressed.len() < data.len());
+        assert_eq!(decompress(&compressed), Some(data));
+    }
+
+    #[test]
+    fn test_decompress_corrupt() {
+        assert_eq!(decompress(b"not deflate data"), None);
+    }
 }
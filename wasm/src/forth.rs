@@ -0,0 +1,197 @@
+//! Forth-style stack language
+//!
+//! A stack-machine relative of BFF for comparing how readily replicators
+//! emerge across languages. It keeps BFF's two heads and brackets, but data
+//! moves through a small circular stack instead of directly between heads:
+//! `@` loads the byte at head0, `!` stores into head1, so `@!` is BFF's `.`.
+//! Loops test (and consume) the top of the stack.
+
+use crate::bff::{Effect, ExecutionResult, InstructionSet, Machine};
+
+/// Forth instruction byte values
+pub mod instructions {
+    pub const HEAD0_DEC: u8 = b'<';  // 0x3C - head0--
+    pub const HEAD0_INC: u8 = b'>';  // 0x3E - head0++
+    pub const HEAD1_DEC: u8 = b'{';  // 0x7B - head1--
+    pub const HEAD1_INC: u8 = b'}';  // 0x7D - head1++
+    pub const LOAD: u8 = b'@';       // 0x40 - push tape[head0]
+    pub const STORE: u8 = b'!';      // 0x21 - tape[head1] = pop
+    pub const ADD: u8 = b'+';        // 0x2B - push pop + pop
+    pub const SUB: u8 = b'-';        // 0x2D - b = pop, a = pop, push a - b
+    pub const ONE: u8 = b'1';        // 0x31 - push 1
+    pub const DUP: u8 = b':';        // 0x3A - duplicate top
+    pub const SWAP: u8 = b'~';       // 0x7E - swap top two
+    pub const DROP: u8 = b'$';       // 0x24 - discard top
+    pub const LOOP_START: u8 = b'['; // 0x5B - if pop == 0, jump to ]
+    pub const LOOP_END: u8 = b']';   // 0x5D - if pop != 0, jump to [
+}
+
+/// The Forth-style instruction set
+pub struct Forth;
+
+impl InstructionSet for Forth {
+    #[inline]
+    fn is_instruction(byte: u8) -> bool {
+        matches!(
+            byte,
+            instructions::HEAD0_DEC
+                | instructions::HEAD0_INC
+                | instructions::HEAD1_DEC
+                | instructions::HEAD1_INC
+                | instructions::LOAD
+                | instructions::STORE
+                | instructions::ADD
+                | instructions::SUB
+                | instructions::ONE
+                | instructions::DUP
+                | instructions::SWAP
+                | instructions::DROP
+                | instructions::LOOP_START
+                | instructions::LOOP_END
+        )
+    }
+
+    #[inline]
+    fn execute(byte: u8, m: &mut Machine, tape: &mut [u8], counts: &mut ExecutionResult) -> Effect {
+        let size = tape.len();
+        match byte {
+            instructions::HEAD0_DEC => {
+                counts.head0_count += 1;
+                if !m.move_head0(-1, size) {
+                    return Effect::HeadOut;
+                }
+            }
+            instructions::HEAD0_INC => {
+                counts.head0_count += 1;
+                if !m.move_head0(1, size) {
+                    return Effect::HeadOut;
+                }
+            }
+            instructions::HEAD1_DEC => {
+                counts.head1_count += 1;
+                if !m.move_head1(-1, size) {
+                    return Effect::HeadOut;
+                }
+            }
+            instructions::HEAD1_INC => {
+                counts.head1_count += 1;
+                if !m.move_head1(1, size) {
+                    return Effect::HeadOut;
+                }
+            }
+            instructions::LOAD => {
+                m.push(tape[m.head0]);
+                counts.copy_count += 1;
+            }
+            instructions::STORE => {
+                let old = tape[m.head1];
+                tape[m.head1] = m.pop();
+                counts.copy_count += 1;
+                return Effect::Write(m.head1, old);
+            }
+            instructions::ADD => {
+                let b = m.pop();
+                let a = m.pop();
+                m.push(a.wrapping_add(b));
+                counts.math_count += 1;
+            }
+            instructions::SUB => {
+                let b = m.pop();
+                let a = m.pop();
+                m.push(a.wrapping_sub(b));
+                counts.math_count += 1;
+            }
+            instructions::ONE => {
+                m.push(1);
+                counts.math_count += 1;
+            }
+            instructions::DUP => {
+                let a = m.pop();
+                m.push(a);
+                m.push(a);
+                counts.math_count += 1;
+            }
+            instructions::SWAP => {
+                let b = m.pop();
+                let a = m.pop();
+                m.push(b);
+                m.push(a);
+                counts.math_count += 1;
+            }
+            instructions::DROP => {
+                m.pop();
+                counts.math_count += 1;
+            }
+            instructions::LOOP_START => {
+                if m.pop() == 0 && !m.jump(tape, 1) {
+                    return Effect::Unmatched;
+                }
+            }
+            instructions::LOOP_END => {
+                counts.loop_count += 1;
+                if m.pop() != 0 && !m.jump(tape, -1) {
+                    return Effect::Unmatched;
+                }
+            }
+            _ => {
+                // No-op: just advance IP
+            }
+        }
+        Effect::None
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use crate::bff::{execute_traced, HaltReason, NoTrace, Topology};
+
+    fn run(tape: &mut [u8], head1_start: usize, max_steps: u32) -> ExecutionResult {
+        execute_traced::<Forth, _>(tape, head1_start, max_steps, Topology::DEFAULT, &mut NoTrace)
+    }
+
+    #[test]
+    fn test_load_store_copies() {
+        // @! copies tape[head0] to tape[head1], like BFF's '.'
+        let mut tape = vec![b'@', b'!', 0, 0];
+        let result = run(&mut tape, 3, 2);
+        assert_eq!(tape[3], b'@');
+        assert_eq!(result.copy_count, 2);
+    }
+
+    #[test]
+    fn test_stack_arithmetic() {
+        // 1:+ pushes 1, duplicates and adds: 2 is stored at head1
+        let mut tape = vec![b'1', b':', b'+', b'!', 0, 0, 0, 0];
+        let result = run(&mut tape, 6, 64);
+        assert_eq!(tape[6], 2);
+        assert_eq!(result.math_count, 3);
+    }
+
+    #[test]
+    fn test_empty_stack_loop_skips() {
+        // '[' pops 0 from the fresh stack and jumps past the matching ']'
+        let mut tape = vec![b'[', b'}', b']', 0];
+        let result = run(&mut tape, 0, 64);
+        assert_eq!(result.head1_count, 0);
+        assert_eq!(result.loop_count, 0);
+        assert_eq!(result.steps, 2);
+    }
+
+    #[test]
+    fn test_copy_loop_hits_step_limit() {
+        let mut tape = vec![0u8; 16];
+        tape[..8].copy_from_slice(b"1[@!>}1]");
+        let result = run(&mut tape, 8, 100);
+        assert_eq!(result.halt_reason, HaltReason::MaxSteps);
+        assert_eq!(&tape[8..16], b"1[@!>}1]");
+    }
+
+    #[test]
+    fn test_bff_program_is_data() {
+        // '.' and ',' are no-ops here, so a BFF-only tape has no instructions
+        let mut tape = vec![b'.', b',', 0, 0];
+        let result = run(&mut tape, 2, 64);
+        assert_eq!(result.halt_reason, HaltReason::NoInstructions);
+    }
+}
@@ -0,0 +1,81 @@
+//! Instruction set selection
+//!
+//! Maps the language ids used by JavaScript (see `js/languages.js`) to the
+//! instruction sets the interpreter can run.
+
+use crate::bff::{self, Bff, ExecutionResult, InstructionSet, Topology, Tracer};
+use crate::forth::Forth;
+
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+#[repr(u32)]
+pub enum Language {
+    Bff = 0,
+    Forth = 1,
+}
+
+impl Language {
+    /// Look up a language by id
+    pub fn from_id(id: u32) -> Option<Language> {
+        match id {
+            0 => Some(Language::Bff),
+            1 => Some(Language::Forth),
+            _ => None,
+        }
+    }
+
+    /// Check if tape contains any instruction of this language
+    pub fn has_instructions(self, tape: &[u8]) -> bool {
+        match self {
+            Language::Bff => bff::has_instructions(tape),
+            Language::Forth => tape.iter().any(|&b| Forth::is_instruction(b)),
+        }
+    }
+
+    /// Execute a program with configurable head1 start, max steps and topology
+    pub fn execute(self, tape: &mut [u8], head1_start: usize, max_steps: u32, topology: Topology) -> ExecutionResult {
+        self.execute_traced(tape, head1_start, max_steps, topology, &mut bff::NoTrace)
+    }
+
+    /// Execute a program, reporting every executed instruction to a tracer
+    pub fn execute_traced<T: Tracer>(
+        self,
+        tape: &mut [u8],
+        head1_start: usize,
+        max_steps: u32,
+        topology: Topology,
+        tracer: &mut T,
+    ) -> ExecutionResult {
+        match self {
+            Language::Bff => bff::execute_traced::<Bff, T>(tape, head1_start, max_steps, topology, tracer),
+            Language::Forth => bff::execute_traced::<Forth, T>(tape, head1_start, max_steps, topology, tracer),
+        }
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn test_from_id() {
+        assert_eq!(Language::from_id(0), Some(Language::Bff));
+        assert_eq!(Language::from_id(1), Some(Language::Forth));
+        assert_eq!(Language::from_id(2), None);
+    }
+
+    #[test]
+    fn test_same_tape_differs_by_language() {
+        // '.' copies in BFF but is data in Forth
+        let program = [b'.', b'+', 0, 0];
+        assert!(Language::Bff.has_instructions(&program[..1]));
+        assert!(!Language::Forth.has_instructions(&program[..1]));
+
+        let mut bff_tape = program;
+        let mut forth_tape = program;
+        let bff_result = Language::Bff.execute(&mut bff_tape, 2, 2, Topology::DEFAULT);
+        let forth_result = Language::Forth.execute(&mut forth_tape, 2, 2, Topology::DEFAULT);
+        assert_eq!(bff_result.copy_count, 1);
+        assert_eq!(forth_result.copy_count, 0);
+        assert_eq!(forth_result.math_count, 1);
+    }
+}
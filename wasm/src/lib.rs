@@ -4,9 +4,35 @@
 
 mod bff;
 mod compression;
+mod forth;
+mod language;
 
+use bff::Topology;
+use language::Language;
 use wasm_bindgen::prelude::*;
 
+/// Look up a language id passed from JavaScript
+fn language(id: u32) -> Result<Language, JsValue> {
+    Language::from_id(id).ok_or_else(|| JsValue::from_str(&format!("Unknown language id {}", id)))
+}
+
+/// Check if this build can run a language id
+#[wasm_bindgen]
+pub fn language_supported(id: u32) -> bool {
+    Language::from_id(id).is_some()
+}
+
+/// Decode topology bits passed from JavaScript
+fn topology(bits: u32) -> Result<Topology, JsValue> {
+    Topology::from_bits(bits).ok_or_else(|| JsValue::from_str(&format!("Unknown topology bits {}", bits)))
+}
+
+/// Check if this build understands packed topology bits
+#[wasm_bindgen]
+pub fn topology_supported(bits: u32) -> bool {
+    Topology::from_bits(bits).is_some()
+}
+
 /// Execution result returned to JavaScript
 #[wasm_bindgen]
 pub struct ExecutionResult {
@@ -39,7 +65,8 @@ pub fn execute_tape(tape: &mut [u8]) -> ExecutionResult {
 
 /// Execute a pair of regions from the soup
 ///
-/// Extracts two regions, combines them, executes BFF, and returns results.
+/// Extracts two regions, combines them, executes them in the given language
+/// and topology, and returns results.
 /// Does NOT write back - that's handled in JS with compression cost comparison.
 ///
 /// Returns: [steps, head0_count, head1_count, math_count, copy_count, loop_count, halt_reason, ...modified_tape_data]
@@ -51,29 +78,84 @@ pub fn execute_pair(
     region_size: usize,
     head1_offset: usize,
     max_steps: u32,
+    language_id: u32,
+    topology_bits: u32,
+) -> Result<Vec<u8>, JsValue> {
+    let language = language(language_id)?;
+    let topology = topology(topology_bits)?;
+    Ok(run_pair(soup, slot_a, slot_b, region_size, head1_offset, max_steps, language, topology))
+}
+
+fn run_pair(
+    soup: &[u8],
+    slot_a: usize,
+    slot_b: usize,
+    region_size: usize,
+    head1_offset: usize,
+    max_steps: u32,
+    language: Language,
+    topology: Topology,
 ) -> Vec<u8> {
-    // Create combined tape (region_a followed by region_b)
-    let mut combined = Vec::with_capacity(region_size * 2);
+    let mut combined = gather_pair(soup, slot_a, slot_b, region_size);
+
+    // Execute with configurable head1 offset, max steps and topology
+    let result = language.execute(&mut combined, head1_offset, max_steps, topology);
+
+    // Pack result: 7 u32s (28 bytes) + tape data
+    let mut output = Vec::with_capacity(28 + combined.len());
+    pack_stats(&result, &mut output);
+
+    // Append modified tape
+    output.extend_from_slice(&combined);
+
+    output
+}
 
-    // Extract region A with wrapping
+/// Create combined tape (region_a followed by region_b), wrapping around the soup
+fn gather_pair(soup: &[u8], slot_a: usize, slot_b: usize, region_size: usize) -> Vec<u8> {
+    let mut combined = Vec::with_capacity(region_size * 2);
     for i in 0..region_size {
-        let idx = (slot_a + i) % soup.len();
-        combined.push(soup[idx]);
+        combined.push(soup[(slot_a + i) % soup.len()]);
     }
-
-    // Extract region B with wrapping
     for i in 0..region_size {
-        let idx = (slot_b + i) % soup.len();
-        combined.push(soup[idx]);
+        combined.push(soup[(slot_b + i) % soup.len()]);
     }
+    combined
+}
 
-    // Execute with configurable head1 offset and max steps
-    let result = bff::execute_with_params(&mut combined, head1_offset, max_steps);
+/// Pack statistics as 7 little-endian u32s
+fn pack_stats(result: &bff::ExecutionResult, output: &mut Vec<u8>) {
+    output.extend_from_slice(&result.steps.to_le_bytes());
+    output.extend_from_slice(&result.head0_count.to_le_bytes());
+    output.extend_from_slice(&result.head1_count.to_le_bytes());
+    output.extend_from_slice(&result.math_count.to_le_bytes());
+    output.extend_from_slice(&result.copy_count.to_le_bytes());
+    output.extend_from_slice(&result.loop_count.to_le_bytes());
+    output.extend_from_slice(&(result.halt_reason as u32).to_le_bytes());
+}
 
-    // Pack result: 7 u32s (28 bytes) + tape data
-    let mut output = Vec::with_capacity(28 + combined.len());
+/// Execute a combined tape and record every step
+///
+/// Runs the same interpreter as `execute_pair` on a copy of `tape`.
+///
+/// Returns: [7 u32 stats as in `execute_pair`, ...final_tape, ...steps], where each
+/// step is 20 bytes: ip u32, head0 u32, head1 u32, write_index u32, opcode u8,
+/// old_value u8, new_value u8, has_write u8
+#[wasm_bindgen]
+pub fn trace_tape(
+    tape: &[u8],
+    head1_offset: usize,
+    max_steps: u32,
+    language_id: u32,
+    topology_bits: u32,
+) -> Result<Vec<u8>, JsValue> {
+    let language = language(language_id)?;
+    let topology = topology(topology_bits)?;
+    let mut combined = tape.to_vec();
+    let mut trace: Vec<bff::TraceStep> = Vec::new();
+    let result = language.execute_traced(&mut combined, head1_offset, max_steps, topology, &mut trace);
 
-    // Pack statistics as little-endian u32s
+    let mut output = Vec::with_capacity(28 + combined.len() + trace.len() * 20);
     output.extend_from_slice(&result.steps.to_le_bytes());
     output.extend_from_slice(&result.head0_count.to_le_bytes());
     output.extend_from_slice(&result.head1_count.to_le_bytes());
@@ -81,17 +163,27 @@ pub fn execute_pair(
     output.extend_from_slice(&result.copy_count.to_le_bytes());
     output.extend_from_slice(&result.loop_count.to_le_bytes());
     output.extend_from_slice(&(result.halt_reason as u32).to_le_bytes());
-
-    // Append modified tape
     output.extend_from_slice(&combined);
 
-    output
+    for step in &trace {
+        let write = step.write.unwrap_or(bff::TraceWrite { index: 0, old_value: 0, new_value: 0 });
+        output.extend_from_slice(&step.ip.to_le_bytes());
+        output.extend_from_slice(&step.head0.to_le_bytes());
+        output.extend_from_slice(&step.head1.to_le_bytes());
+        output.extend_from_slice(&write.index.to_le_bytes());
+        output.push(step.opcode);
+        output.push(write.old_value);
+        output.push(write.new_value);
+        output.push(step.write.is_some() as u8);
+    }
+
+    Ok(output)
 }
 
-/// Check if a region contains any BFF instructions
+/// Check if a region contains any instructions of a language
 #[wasm_bindgen]
-pub fn has_instructions(data: &[u8]) -> bool {
-    bff::has_instructions(data)
+pub fn has_instructions(data: &[u8], language_id: u32) -> Result<bool, JsValue> {
+    Ok(language(language_id)?.has_instructions(data))
 }
 
 /// Calculate Shannon entropy of data (bits per byte)
@@ -110,6 +202,18 @@ pub fn kolmogorov_estimate(data: &[u8]) -> f64 {
     (compressed.len() as f64 * 8.0) / data.len() as f64
 }
 
+/// Compress data with zlib-wrapped deflate (used for soup snapshots)
+#[wasm_bindgen]
+pub fn deflate_compress(data: &[u8]) -> Vec<u8> {
+    compression::compress(data)
+}
+
+/// Decompress zlib-wrapped deflate data (used for soup snapshots)
+#[wasm_bindgen]
+pub fn deflate_decompress(data: &[u8]) -> Result<Vec<u8>, JsValue> {
+    compression::decompress(data).ok_or_else(|| JsValue::from_str("Corrupt or truncated deflate data"))
+}
+
 /// Run a batch of pair executions
 ///
 /// Input format: pairs as [slot_a_lo, slot_a_hi, slot_a_extra1, slot_a_extra2, slot_b_lo, slot_b_hi, slot_b_extra1, slot_b_extra2, ...]
@@ -123,7 +227,11 @@ pub fn execute_batch(
     region_size: usize,
     head1_offset: usize,
     max_steps: u32,
-) -> Vec<u8> {
+    language_id: u32,
+    topology_bits: u32,
+) -> Result<Vec<u8>, JsValue> {
+    let language = language(language_id)?;
+    let topology = topology(topology_bits)?;
     let pair_size = 8; // 2 x u32
     let num_pairs = pairs.len() / pair_size;
     let result_size = 28 + region_size * 2; // 7 u32 stats + tape
@@ -148,9 +256,217 @@ pub fn execute_batch(
             pairs[offset + 7],
         ]) as usize;
 
-        let result = execute_pair(soup, slot_a, slot_b, region_size, head1_offset, max_steps);
+        let result = run_pair(soup, slot_a, slot_b, region_size, head1_offset, max_steps, language, topology);
         output.extend_from_slice(&result);
     }
 
+    Ok(output)
+}
+
+/// Run a batch of pair executions, returning only what changed
+///
+/// Pairs are packed as in `execute_batch`. Each result is the 7 u32 stats
+/// (28 bytes), a u32 count of modified bytes, then per modified byte its u16
+/// index in the combined tape and its new value (3 bytes). Pairs that write
+/// nothing cost 32 bytes instead of `28 + region_size * 2`.
+#[wasm_bindgen]
+pub fn execute_batch_compact(
+    soup: &[u8],
+    pairs: &[u8],
+    region_size: usize,
+    head1_offset: usize,
+    max_steps: u32,
+    language_id: u32,
+    topology_bits: u32,
+) -> Result<Vec<u8>, JsValue> {
+    let language = language(language_id)?;
+    let topology = topology(topology_bits)?;
+    if region_size * 2 > 1 << 16 {
+        return Err(JsValue::from_str("Compact results need tapes of at most 32768 bytes"));
+    }
+    Ok(run_batch_compact(soup, pairs, region_size, head1_offset, max_steps, language, topology))
+}
+
+fn run_batch_compact(
+    soup: &[u8],
+    pairs: &[u8],
+    region_size: usize,
+    head1_offset: usize,
+    max_steps: u32,
+    language: Language,
+    topology: Topology,
+) -> Vec<u8> {
+    let mut output = Vec::with_capacity(pairs.len() / 8 * 32);
+
+    for pair in pairs.chunks_exact(8) {
+        let slot_a = u32::from_le_bytes([pair[0], pair[1], pair[2], pair[3]]) as usize;
+        let slot_b = u32::from_le_bytes([pair[4], pair[5], pair[6], pair[7]]) as usize;
+
+        let original = gather_pair(soup, slot_a, slot_b, region_size);
+        let mut combined = original.clone();
+        let result = language.execute(&mut combined, head1_offset, max_steps, topology);
+        pack_stats(&result, &mut output);
+
+        // Count placeholder, filled in once the changes are listed
+        let count_at = output.len();
+        output.extend_from_slice(&[0; 4]);
+        let mut count: u32 = 0;
+        if result.math_count > 0 || result.copy_count > 0 {
+            for (i, (&old, &new)) in original.iter().zip(&combined).enumerate() {
+                if old != new {
+                    output.extend_from_slice(&(i as u16).to_le_bytes());
+                    output.push(new);
+                    count += 1;
+                }
+            }
+        }
+        output[count_at..count_at + 4].copy_from_slice(&count.to_le_bytes());
+    }
+
     output
 }
+
+/// Allocate a zeroed soup in this module's memory, for `execute_batch_in_place`
+///
+/// Returns its address. In the threaded build the memory is shared, so every
+/// worker instantiated on it sees the same soup. Free it with `soup_free`.
+#[wasm_bindgen]
+pub fn soup_alloc(len: usize) -> usize {
+    Box::into_raw(vec![0u8; len].into_boxed_slice()) as *mut u8 as usize
+}
+
+/// Free a soup from `soup_alloc`
+#[wasm_bindgen]
+pub fn soup_free(ptr: usize, len: usize) {
+    // SAFETY: ptr and len come from soup_alloc, which leaked a boxed slice of that length
+    unsafe {
+        drop(Box::from_raw(std::ptr::slice_from_raw_parts_mut(ptr as *mut u8, len)));
+    }
+}
+
+/// Run a batch of pair executions on a soup in this module's memory
+///
+/// Pairs are packed as in `execute_batch`. Modified tapes are written straight
+/// back into the soup, so the result is only the 7 u32 stats (28 bytes) per pair.
+#[wasm_bindgen]
+pub fn execute_batch_in_place(
+    soup_ptr: usize,
+    soup_len: usize,
+    pairs: &[u8],
+    region_size: usize,
+    head1_offset: usize,
+    max_steps: u32,
+    language_id: u32,
+    topology_bits: u32,
+) -> Result<Vec<u8>, JsValue> {
+    let language = language(language_id)?;
+    let topology = topology(topology_bits)?;
+    // SAFETY: soup_ptr and soup_len describe a soup from soup_alloc. Other
+    // workers may run pairs on the same bytes concurrently (fast mode tolerates
+    // that, as with the copy path); each pair runs on a private copy of its tapes.
+    let soup = unsafe { std::slice::from_raw_parts_mut(soup_ptr as *mut u8, soup_len) };
+    Ok(run_batch_in_place(soup, pairs, region_size, head1_offset, max_steps, language, topology))
+}
+
+fn run_batch_in_place(
+    soup: &mut [u8],
+    pairs: &[u8],
+    region_size: usize,
+    head1_offset: usize,
+    max_steps: u32,
+    language: Language,
+    topology: Topology,
+) -> Vec<u8> {
+    let mut output = Vec::with_capacity(pairs.len() / 8 * 28);
+
+    for pair in pairs.chunks_exact(8) {
+        let slot_a = u32::from_le_bytes([pair[0], pair[1], pair[2], pair[3]]) as usize;
+        let slot_b = u32::from_le_bytes([pair[4], pair[5], pair[6], pair[7]]) as usize;
+
+        let mut combined = gather_pair(soup, slot_a, slot_b, region_size);
+        let result = language.execute(&mut combined, head1_offset, max_steps, topology);
+
+        // Write back only if the tape may have changed
+        if result.math_count > 0 || result.copy_count > 0 {
+            let len = soup.len();
+            for i in 0..region_size {
+                soup[(slot_a + i) % len] = combined[i];
+                soup[(slot_b + i) % len] = combined[region_size + i];
+            }
+        }
+
+        pack_stats(&result, &mut output);
+    }
+
+    output
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    fn pack_pairs(pairs: &[(u32, u32)]) -> Vec<u8> {
+        pairs.iter().flat_map(|&(a, b)| a.to_le_bytes().into_iter().chain(b.to_le_bytes())).collect()
+    }
+
+    #[test]
+    fn test_in_place_matches_copy_path() {
+        // A copy loop in the first tape, data in the second
+        let mut soup = vec![0u8; 64];
+        soup[0..4].copy_from_slice(b"[.>]");
+        for (i, byte) in soup[16..32].iter_mut().enumerate() {
+            *byte = i as u8 + 1;
+        }
+
+        let copied = run_pair(&soup, 0, 16, 16, 16, 1024, Language::Bff, Topology::DEFAULT);
+        let mut in_place = soup.clone();
+        let stats = run_batch_in_place(&mut in_place, &pack_pairs(&[(0, 16)]), 16, 16, 1024, Language::Bff, Topology::DEFAULT);
+
+        assert_eq!(stats, copied[..28]);
+        assert_eq!(in_place[0..16], copied[28..44]);
+        assert_eq!(in_place[16..32], copied[44..60]);
+        assert_eq!(in_place[32..], soup[32..]);
+    }
+
+    #[test]
+    fn test_in_place_runs_pairs_in_order() {
+        let mut soup = vec![0u8; 48];
+        soup[0..2].copy_from_slice(b"+.");
+
+        let stats = run_batch_in_place(&mut soup, &pack_pairs(&[(0, 32), (32, 16)]), 16, 16, 64, Language::Bff, Topology::DEFAULT);
+        assert_eq!(stats.len(), 56);
+
+        // Pair 1 turns its '+' into ',' and copies that to the start of its second tape
+        assert_eq!(soup[0], b',');
+        // Pair 2 runs that ',' and copies a zero over it
+        assert_eq!(soup[32], 0);
+    }
+
+    #[test]
+    fn test_compact_lists_modified_bytes() {
+        let mut soup = vec![0u8; 48];
+        soup[0..2].copy_from_slice(b"+.");
+
+        let full = run_pair(&soup, 0, 32, 16, 16, 64, Language::Bff, Topology::DEFAULT);
+        let compact = run_batch_compact(&soup, &pack_pairs(&[(0, 32), (16, 32)]), 16, 16, 64, Language::Bff, Topology::DEFAULT);
+
+        // '+' changes cell 0, '.' copies it to cell 16
+        assert_eq!(compact[..28], full[..28]);
+        assert_eq!(compact[28..32], 2u32.to_le_bytes());
+        assert_eq!(compact[32..35], [0, 0, b',']);
+        assert_eq!(compact[35..38], [16, 0, b',']);
+
+        // The second pair has no instructions: stats and an empty list
+        assert_eq!(compact.len(), 38 + 32);
+        assert_eq!(compact[38 + 28..], 0u32.to_le_bytes());
+    }
+
+    #[test]
+    fn test_soup_alloc_is_zeroed() {
+        let ptr = soup_alloc(256);
+        // SAFETY: fresh allocation of 256 bytes
+        let soup = unsafe { std::slice::from_raw_parts(ptr as *const u8, 256) };
+        assert!(soup.iter().all(|&b| b == 0));
+        soup_free(ptr, 256);
+    }
+}